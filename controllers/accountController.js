@@ -0,0 +1,89 @@
+const Account = require('../models/Account');
+const { hashPassword, checkPasswordStrength } = require('../services/auth');
+
+// Get all accounts
+exports.getAccounts = async (req, res) => {
+  try {
+    const accounts = await Account.find().sort({ username: 1 });
+    res.json({ success: true, accounts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single account
+exports.getAccount = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+    res.json({ success: true, account });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Create a new account: { username, name, password, role }
+exports.createAccount = async (req, res) => {
+  try {
+    const { username, name, password, role } = req.body;
+    const weakness = checkPasswordStrength(password);
+    if (weakness) {
+      return res.status(400).json({ success: false, error: weakness });
+    }
+
+    const account = new Account({ username, name, role, passwordHash: await hashPassword(password) });
+    await account.save();
+    res.status(201).json({ success: true, account });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Update an account: { name, role, isActive, password }
+exports.updateAccount = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    const { name, role, isActive, password } = req.body;
+    const demotesSelf = String(account._id) === req.auth.id && ((role && role !== 'admin') || isActive === false);
+    if (demotesSelf) {
+      return res.status(400).json({ success: false, error: 'You cannot remove your own admin access' });
+    }
+    if (password !== undefined) {
+      const weakness = checkPasswordStrength(password);
+      if (weakness) {
+        return res.status(400).json({ success: false, error: weakness });
+      }
+      account.passwordHash = await hashPassword(password);
+    }
+    if (name !== undefined) account.name = name;
+    if (role !== undefined) account.role = role;
+    if (isActive !== undefined) account.isActive = isActive;
+
+    await account.save();
+    res.json({ success: true, account });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete an account
+exports.deleteAccount = async (req, res) => {
+  try {
+    if (req.params.id === req.auth.id) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    const account = await Account.findByIdAndDelete(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+    res.json({ success: true, message: 'Account deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
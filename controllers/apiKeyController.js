@@ -0,0 +1,64 @@
+const ApiKey = require('../models/ApiKey');
+const { ROLES, createApiKey } = require('../services/auth');
+
+// Get all API keys, without the keys themselves
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Create an API key: { name, role, expiresAt }. The key is only returned here.
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, role = 'integration', expiresAt } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (expiresAt !== undefined && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ success: false, error: 'expiresAt must be a valid date' });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      role,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdBy: req.auth.name
+    });
+    res.status(201).json({ success: true, apiKey, key, message: 'Store this key now, it cannot be shown again' });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Revoke an API key
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Delete an API key
+exports.deleteApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByIdAndDelete(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, message: 'API key deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
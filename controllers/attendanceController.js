@@ -1,65 +1,6 @@
 const Attendance = require('../models/Attendance');
-const Device = require('../models/Device');
-const zktecoService = require('../services/zktecoService');
-// Get attendance logs from device
-exports.getAttendance = async (req, res) => {
-  try {
-    const device = await Device.findById(req.params.deviceId);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
-    }
-
-    const logs = await zktecoService.getAttendances(device._id);
-    
-    // Save to MongoDB
-    const attendanceRecords = logs.map(log => ({
-      userId: log.uid,
-      timestamp: new Date(log.timestamp),
-      status: log.status,
-      device: device._id,
-      verified: log.verified,
-      type: log.type
-    }));
-    
-    const savedLogs = await Attendance.insertMany(attendanceRecords);
-
-    res.json({ success: true, logs: savedLogs });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-};
-
-// Get real-time attendance
-exports.getRealTimeAttendance = async (req, res) => {
-  try {
-    const device = await Device.findById(req.params.deviceId);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
-    }
-
-    await zktecoService.getRealTimeLogs(device._id, async (log) => {
-      // Save to MongoDB
-      const attendanceRecord = new Attendance({
-        userId: log.uid,
-        timestamp: new Date(log.timestamp),
-        status: log.status,
-        device: device._id,
-        verified: log.verified,
-        type: log.type
-      });
-      
-      await attendanceRecord.save();
-
-      // Send the log via SSE or WebSocket would be better for production
-      res.json({ success: true, log: attendanceRecord });
-      
-      // Disconnect after getting first log (as in original code)
-      await zktecoService.disconnect(device._id);
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-};
+const { buildRecordFilter, validateExport, exportFileName, writeExport } = require('../services/attendanceExport');
+const { EXPORT_FORMATS } = require('../services/exportWriters');
 
 // Get attendance records from database
 exports.getAttendanceRecords = async (req, res) => {
@@ -67,16 +8,7 @@ exports.getAttendanceRecords = async (req, res) => {
     const { page = 1, limit = 50, userId, startDate, endDate } = req.query;
     
     // Build filter object
-    const filter = {};
-    if (userId) filter.userId = userId;
-    if (req.params.deviceId) filter.device = req.params.deviceId;
-    
-    // Date filter
-    if (startDate || endDate) {
-      filter.timestamp = {};
-      if (startDate) filter.timestamp.$gte = new Date(startDate);
-      if (endDate) filter.timestamp.$lte = new Date(endDate);
-    }
+    const filter = buildRecordFilter({ userId, deviceId: req.params.deviceId, startDate, endDate });
     
     const options = {
       page: parseInt(page),
@@ -105,4 +37,34 @@ exports.getAttendanceRecords = async (req, res) => {
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
+};
+
+// Export punches or daily/monthly summaries as CSV, XLSX or PDF
+exports.exportAttendance = async (req, res) => {
+  const { dataset = 'punches', format = 'csv', columns, userId, startDate, endDate } = req.query;
+  const request = {
+    dataset,
+    format,
+    columns: columns ? columns.split(',').map(column => column.trim()).filter(Boolean) : null,
+    filters: { userId, deviceId: req.params.deviceId, startDate, endDate }
+  };
+
+  const validationError = validateExport(request);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  try {
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(request)}"`);
+    await writeExport(res, request);
+  } catch (error) {
+    // Once rows are on the wire the only way to signal failure is to cut the download
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
 };
\ No newline at end of file
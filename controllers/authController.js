@@ -0,0 +1,49 @@
+const Account = require('../models/Account');
+const { ROLE_PERMISSIONS, login, verifyPassword, hashPassword, checkPasswordStrength } = require('../services/auth');
+
+// Sign in: { username, password } -> session token
+exports.login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'username and password are required' });
+    }
+
+    const session = await login(username, password);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+    res.json({ success: true, token: session.token, expiresIn: session.expiresIn, account: session.account });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get the caller and what their role allows
+exports.getMe = async (req, res) => {
+  res.json({ success: true, auth: req.auth, permissions: ROLE_PERMISSIONS[req.auth.role] || [] });
+};
+
+// Change the caller's password: { currentPassword, newPassword }
+exports.changePassword = async (req, res) => {
+  try {
+    if (req.auth.type !== 'account') {
+      return res.status(400).json({ success: false, error: 'API keys have no password' });
+    }
+    const { currentPassword, newPassword } = req.body;
+    const account = await Account.findById(req.auth.id);
+    if (!account || !(await verifyPassword(String(currentPassword || ''), account.passwordHash))) {
+      return res.status(401).json({ success: false, error: 'Current password is wrong' });
+    }
+    const weakness = checkPasswordStrength(newPassword);
+    if (weakness) {
+      return res.status(400).json({ success: false, error: weakness });
+    }
+
+    account.passwordHash = await hashPassword(newPassword);
+    await account.save();
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+const BiometricBackup = require('../models/BiometricBackup');
+const BiometricBackupEntry = require('../models/BiometricBackupEntry');
+
+// Get all backups, newest first
+exports.getBackups = async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { device: req.query.deviceId } : {};
+    const backups = await BiometricBackup.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, backups });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a backup with the users it holds
+exports.getBackup = async (req, res) => {
+  try {
+    const backup = await BiometricBackup.findById(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ success: false, error: 'Backup not found' });
+    }
+    const users = await BiometricBackupEntry.find({ backup: backup._id })
+      .select('uid userId fingerCount')
+      .sort({ uid: 1 });
+    res.json({ success: true, backup, users });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Delete a backup
+exports.deleteBackup = async (req, res) => {
+  try {
+    const backup = await BiometricBackup.findByIdAndDelete(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ success: false, error: 'Backup not found' });
+    }
+    await BiometricBackupEntry.deleteMany({ backup: backup._id });
+    res.json({ success: true, message: 'Backup deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
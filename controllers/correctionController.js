@@ -0,0 +1,67 @@
+const PunchCorrection = require('../models/PunchCorrection');
+const { requestCorrection, decideCorrection } = require('../services/punchCorrection');
+
+// Get corrections, filtered by ?status=&empCode=&action=
+exports.getCorrections = async (req, res) => {
+  try {
+    const { status, empCode, action, limit = 100 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (empCode) filter.empCode = empCode;
+    if (action) filter.action = action;
+
+    const corrections = await PunchCorrection.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 1000));
+    res.json({ success: true, corrections });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single correction with the original and the applied punch
+exports.getCorrection = async (req, res) => {
+  try {
+    const correction = await PunchCorrection.findById(req.params.id)
+      .populate('original')
+      .populate('appliedPunch');
+    if (!correction) {
+      return res.status(404).json({ success: false, error: 'Correction not found' });
+    }
+    res.json({ success: true, correction });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Request a correction:
+// { action: 'add'|'edit'|'void', empCode, attendanceId, punchDate, punchTime, timeZone, state, reason }.
+// The caller is recorded as the requester.
+exports.createCorrection = async (req, res) => {
+  try {
+    const { correction, status, error } = await requestCorrection({ ...req.body, requestedBy: req.auth.name });
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    res.status(201).json({ success: true, correction });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Reject a pending correction: { note }
+exports.rejectCorrection = async (req, res) => {
+  try {
+    const correction = await decideCorrection(req.params.id, false, { decidedBy: req.auth.name, note: req.body.note });
+    if (!correction) {
+      const existing = await PunchCorrection.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Correction not found' });
+      }
+      return res.status(409).json({ success: false, error: `Correction is ${existing.status}, only pending corrections can be rejected` });
+    }
+    res.json({ success: true, correction });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+const Destination = require('../models/Destination');
+const { renderPayload, buildRequest } = require('../services/payloadTemplate');
+const { restoreSecrets } = require('../services/webhookAuth');
+
+// Get all destinations
+exports.getDestinations = async (req, res) => {
+  try {
+    const destinations = await Destination.find().sort({ createdAt: 1 });
+    res.json({ success: true, destinations });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single destination
+exports.getDestination = async (req, res) => {
+  try {
+    const destination = await Destination.findById(req.params.id);
+    if (!destination) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+    res.json({ success: true, destination });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Create a new destination
+exports.createDestination = async (req, res) => {
+  try {
+    const destination = new Destination(req.body);
+    await destination.save();
+    res.status(201).json({ success: true, destination });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Update a destination
+exports.updateDestination = async (req, res) => {
+  try {
+    const update = { ...req.body };
+    // Clients get secrets masked; sending the mask back keeps the stored value
+    if (update.auth) {
+      const existing = await Destination.findById(req.params.id).select('auth').lean();
+      update.auth = restoreSecrets(update.auth, existing && existing.auth);
+    }
+
+    const destination = await Destination.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!destination) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+    res.json({ success: true, destination });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete a destination
+exports.deleteDestination = async (req, res) => {
+  try {
+    const destination = await Destination.findByIdAndDelete(req.params.id);
+    if (!destination) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+    res.json({ success: true, message: 'Destination deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Render the request a destination would receive for a sample punch
+exports.previewDestination = async (req, res) => {
+  try {
+    const destination = await Destination.findById(req.params.id);
+    if (!destination) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+
+    const record = {
+      id: 'preview',
+      userId: '1',
+      userName: 'Sample User',
+      timestamp: new Date().toISOString(),
+      state: 0,
+      punchType: 'Check-in',
+      verificationMethod: 'Fingerprint',
+      source: 'test',
+      ...req.body.record
+    };
+    const payload = renderPayload(destination.template, record, req.body.user || null, destination.timeZone || undefined);
+
+    res.json({ success: true, payload, request: buildRequest(destination, payload) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
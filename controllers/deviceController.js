@@ -1,5 +1,7 @@
 const Device = require('../models/Device');
 const zktecoService = require('../services/zktecoService');
+const { measureDrift, checkDeviceClock, getDriftHistory } = require('../services/clockSync');
+const { SERVER_TIME_ZONE } = require('../services/timeZone');
 
 // Get all devices
 exports.getDevices = async (req, res) => {
@@ -121,8 +123,89 @@ exports.getDeviceInfo = async (req, res) => {
       return res.status(400).json({ success: false, error: 'Device not connected' });
     }
 
-    const info = await zktecoService.getInfo(device._id);
+    const info = await zktecoService.runExclusive(device._id, 'device info', () => zktecoService.getInfo(device._id));
     res.json({ success: true, info });
+  } catch (error) {
+    res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+  }
+};
+
+// Get device time and how far it is from server time
+exports.getDeviceTime = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (!zktecoService.isDeviceConnected(device._id)) {
+      return res.status(400).json({ success: false, error: 'Device not connected' });
+    }
+
+    const { deviceTime, driftMs } = await zktecoService.runExclusive(device._id, 'clock read', () => measureDrift(device));
+    res.json({
+      success: true,
+      deviceTime,
+      serverTime: new Date(),
+      driftMs,
+      timeZone: device.timeZone || SERVER_TIME_ZONE
+    });
+  } catch (error) {
+    res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+  }
+};
+
+// Set device time, server time when no timestamp is given
+exports.setDeviceTime = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (!zktecoService.isDeviceConnected(device._id)) {
+      return res.status(400).json({ success: false, error: 'Device not connected' });
+    }
+
+    const { timestamp } = req.body;
+    const time = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(time.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid timestamp' });
+    }
+
+    const result = await zktecoService.runExclusive(device._id, 'clock sync', () => zktecoService.setDeviceTime(device._id, time, device.timeZone));
+    res.json(result);
+  } catch (error) {
+    res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+  }
+};
+
+// Measure drift now and set the clock to server time
+exports.syncDeviceClock = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (!zktecoService.isDeviceConnected(device._id)) {
+      return res.status(400).json({ success: false, error: 'Device not connected' });
+    }
+
+    const { drift, wandering } = await zktecoService.runExclusive(device._id, 'clock sync', () => checkDeviceClock(device, { force: true }));
+    res.json({ success: true, drift, wandering });
+  } catch (error) {
+    res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+  }
+};
+
+// Get clock drift history
+exports.getClockDrift = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    const history = await getDriftHistory(device._id, req.query);
+    res.json({ success: true, history });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
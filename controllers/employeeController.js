@@ -0,0 +1,104 @@
+const Employee = require('../models/Employee');
+
+// Get all employees
+exports.getEmployees = async (req, res) => {
+  try {
+    const { department, isActive, search } = req.query;
+    const filter = {};
+    if (department) filter.department = department;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ empCode: pattern }, { name: pattern }, { email: pattern }];
+    }
+
+    const employees = await Employee.find(filter).sort({ empCode: 1 });
+    res.json({ success: true, employees });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single employee
+exports.getEmployee = async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ success: false, error: 'Employee not found' });
+    }
+    res.json({ success: true, employee });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Another employee already mapped to one of these device users, so punches
+// could not tell the two apart
+async function findMappingConflict(deviceUsers, employeeId) {
+  for (const { device, userId } of Array.isArray(deviceUsers) ? deviceUsers : []) {
+    if (userId === undefined || userId === null) continue;
+    const owner = await Employee.findOne({
+      ...(employeeId ? { _id: { $ne: employeeId } } : {}),
+      deviceUsers: { $elemMatch: { device: device || null, userId: String(userId).trim() } }
+    }).select('empCode').lean();
+    if (owner) {
+      return `User ${userId} ${device ? `on device ${device}` : 'on every device'} already belongs to employee ${owner.empCode}`;
+    }
+  }
+  return null;
+}
+
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000;
+}
+
+// Create a new employee
+exports.createEmployee = async (req, res) => {
+  try {
+    const conflict = await findMappingConflict(req.body.deviceUsers);
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+
+    const employee = new Employee(req.body);
+    await employee.save();
+    res.status(201).json({ success: true, employee });
+  } catch (error) {
+    res.status(isDuplicateKeyError(error) ? 409 : 400).json({ success: false, error: error.message });
+  }
+};
+
+// Update an employee
+exports.updateEmployee = async (req, res) => {
+  try {
+    const conflict = await findMappingConflict(req.body.deviceUsers, req.params.id);
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+
+    const employee = await Employee.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!employee) {
+      return res.status(404).json({ success: false, error: 'Employee not found' });
+    }
+    res.json({ success: true, employee });
+  } catch (error) {
+    res.status(isDuplicateKeyError(error) ? 409 : 400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete an employee
+exports.deleteEmployee = async (req, res) => {
+  try {
+    const employee = await Employee.findByIdAndDelete(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ success: false, error: 'Employee not found' });
+    }
+    res.json({ success: true, message: 'Employee deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+const Holiday = require('../models/Holiday');
+const { parseCsv } = require('../services/csvImport');
+
+// Get holidays, optionally within ?startDate=&endDate= or for one ?department=
+exports.getHolidays = async (req, res) => {
+  try {
+    const { startDate, endDate, department } = req.query;
+    const filter = {};
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = startDate;
+      if (endDate) filter.date.$lte = endDate;
+    }
+    if (department) filter.department = { $in: [department, null] };
+
+    const holidays = await Holiday.find(filter).sort({ date: 1 });
+    res.json({ success: true, holidays });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single holiday
+exports.getHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+    res.json({ success: true, holiday });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Create a new holiday
+exports.createHoliday = async (req, res) => {
+  try {
+    const holiday = new Holiday(req.body);
+    await holiday.save();
+    res.status(201).json({ success: true, holiday });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Update a holiday
+exports.updateHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!holiday) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+    res.json({ success: true, holiday });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete a holiday
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+    res.json({ success: true, message: 'Holiday deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Import holidays from CSV (name,date,duration,department). A row for a day
+// and department that already has a holiday replaces it. Nothing is saved
+// unless every row is valid.
+exports.importHolidays = async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!csv || !csv.trim()) {
+      return res.status(400).json({ success: false, error: 'Send the CSV as a text/csv body or as { "csv": "..." }' });
+    }
+
+    const rows = parseCsv(csv);
+    const errors = [];
+    const holidays = rows.map(({ line, record }) => {
+      const holiday = new Holiday({
+        name: record.name,
+        date: record.date,
+        duration: record.duration,
+        department: record.department
+      });
+      const validationError = holiday.validateSync();
+      if (validationError) {
+        errors.push({ line, error: validationError.message });
+      }
+      return holiday;
+    });
+    if (rows.length === 0) {
+      errors.push({ line: 1, error: 'No rows to import' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'CSV has invalid rows, nothing was imported', errors });
+    }
+
+    const result = await Holiday.bulkWrite(holidays.map(holiday => ({
+      updateOne: {
+        filter: { date: holiday.date, department: holiday.department },
+        update: { $set: { name: holiday.name, duration: holiday.duration } },
+        upsert: true
+      }
+    })));
+    res.json({
+      success: true,
+      imported: rows.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+const Leave = require('../models/Leave');
+const { parseCsv } = require('../services/csvImport');
+const { hasPermission } = require('../services/auth');
+
+// Fields a request may set; status only changes through the decisions below
+const EDITABLE_FIELDS = ['empCode', 'type', 'startDate', 'endDate', 'duration', 'reason'];
+
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Which statuses a decision applies to
+const DECISIONS = {
+  approve: { status: 'approved', from: ['pending'] },
+  reject: { status: 'rejected', from: ['pending'] },
+  cancel: { status: 'cancelled', from: ['pending', 'approved'] }
+};
+
+// Get leave, filtered by ?empCode=&status=&type= and overlapping ?startDate=&endDate=
+exports.getLeaves = async (req, res) => {
+  try {
+    const { empCode, status, type, startDate, endDate } = req.query;
+    const filter = {};
+    if (empCode) filter.empCode = empCode;
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (startDate) filter.endDate = { $gte: startDate };
+    if (endDate) filter.startDate = { $lte: endDate };
+
+    const leaves = await Leave.find(filter).sort({ startDate: -1 });
+    res.json({ success: true, leaves });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single leave
+exports.getLeave = async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ success: false, error: 'Leave not found' });
+    }
+    res.json({ success: true, leave });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Request leave, pending until approved
+exports.createLeave = async (req, res) => {
+  try {
+    const leave = new Leave({ ...pick(req.body, EDITABLE_FIELDS), requestedBy: req.auth.name });
+    await leave.save();
+    res.status(201).json({ success: true, leave });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Update a pending leave
+exports.updateLeave = async (req, res) => {
+  try {
+    // Saved as a document so the validators can compare fields
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ success: false, error: 'Leave not found' });
+    }
+    if (leave.status !== 'pending') {
+      return res.status(409).json({ success: false, error: `Leave is ${leave.status}, only pending leave can be changed` });
+    }
+    leave.set(pick(req.body, EDITABLE_FIELDS));
+    await leave.save();
+    res.json({ success: true, leave });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete a leave
+exports.deleteLeave = async (req, res) => {
+  try {
+    const leave = await Leave.findByIdAndDelete(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ success: false, error: 'Leave not found' });
+    }
+    res.json({ success: true, message: 'Leave deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Approve, reject or cancel a leave: POST /:id/approve { note }.
+// Whoever filed a leave cannot approve it themselves.
+exports.decideLeave = decision => async (req, res) => {
+  try {
+    const { status, from } = DECISIONS[decision];
+    const leave = await Leave.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: { $in: from },
+        ...(decision === 'approve' ? { requestedBy: { $ne: req.auth.name } } : {})
+      },
+      {
+        status,
+        decidedBy: req.auth.name,
+        decidedAt: new Date(),
+        decisionNote: req.body.note
+      },
+      { new: true, runValidators: true }
+    );
+    if (!leave) {
+      const existing = await Leave.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Leave not found' });
+      }
+      if (decision === 'approve' && existing.requestedBy === req.auth.name && from.includes(existing.status)) {
+        return res.status(403).json({ success: false, error: 'Leave cannot be approved by the account that requested it' });
+      }
+      return res.status(409).json({ success: false, error: `Leave is ${existing.status} and cannot be ${status}` });
+    }
+    res.json({ success: true, leave });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Import leave from CSV (empCode,type,startDate,endDate,duration,status,reason).
+// Rows without a status are pending, and only callers who may approve leave
+// can import decided rows. The importer is the requester of every row, so
+// approved rows are refused like any self-approval. Nothing is saved unless
+// every row is valid.
+exports.importLeaves = async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!csv || !csv.trim()) {
+      return res.status(400).json({ success: false, error: 'Send the CSV as a text/csv body or as { "csv": "..." }' });
+    }
+
+    const rows = parseCsv(csv);
+    const decided = rows.some(({ record }) => record.status && record.status !== 'pending');
+    if (decided && !hasPermission(req.auth.role, 'leave:approve')) {
+      return res.status(403).json({ success: false, error: `Role ${req.auth.role} can only import pending leave` });
+    }
+    const approved = rows.filter(({ record }) => record.status === 'approved');
+    if (approved.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Leave cannot be approved by the account that imports it, import it as pending and have another account approve it',
+        lines: approved.map(({ line }) => line)
+      });
+    }
+
+    const errors = [];
+    const leaves = rows.map(({ line, record }) => {
+      const leave = new Leave({
+        ...pick(record, EDITABLE_FIELDS),
+        endDate: record.endDate || record.startDate,
+        requestedBy: req.auth.name,
+        ...(record.status ? { status: record.status } : {}),
+        ...(record.status && record.status !== 'pending' ? { decidedBy: req.auth.name, decidedAt: new Date() } : {})
+      });
+      const validationError = leave.validateSync();
+      if (validationError) {
+        errors.push({ line, error: validationError.message });
+      }
+      return leave;
+    });
+    if (rows.length === 0) {
+      errors.push({ line: 1, error: 'No rows to import' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'CSV has invalid rows, nothing was imported', errors });
+    }
+
+    await Leave.insertMany(leaves);
+    res.status(201).json({ success: true, imported: leaves.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
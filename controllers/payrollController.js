@@ -0,0 +1,54 @@
+const { monthRange, getPayrollSummary } = require('../services/payroll');
+const { getPayrollFormat, listPayrollFormats } = require('../services/payrollFormats');
+
+// Get the monthly payroll summary per employee
+exports.getPayrollSummary = async (req, res) => {
+  try {
+    const { month, empCode, department } = req.query;
+    if (!monthRange(month)) {
+      return res.status(400).json({ success: false, error: 'month is required as YYYY-MM' });
+    }
+
+    const summaries = await getPayrollSummary({ month, empCode, department });
+    res.json({
+      success: true,
+      month,
+      complete: summaries.length > 0 ? summaries[0].complete : null,
+      total: summaries.length,
+      summaries
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get the available payroll export formats
+exports.getPayrollFormats = async (req, res) => {
+  res.json({ success: true, formats: listPayrollFormats() });
+};
+
+// Export the monthly payroll summary in a payroll import format
+exports.exportPayroll = async (req, res) => {
+  try {
+    const { month, format = 'csv', empCode, department } = req.query;
+    if (!monthRange(month)) {
+      return res.status(400).json({ success: false, error: 'month is required as YYYY-MM' });
+    }
+    const payrollFormat = getPayrollFormat(format);
+    if (!payrollFormat) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${listPayrollFormats().map(({ name }) => name).join(', ')}`
+      });
+    }
+
+    const summaries = await getPayrollSummary({ month, empCode, department });
+    const body = payrollFormat.render(summaries, { month });
+
+    res.setHeader('Content-Type', payrollFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="payroll-${month}-${format}.${payrollFormat.extension}"`);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
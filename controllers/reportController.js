@@ -0,0 +1,20 @@
+const { validateDateRange } = require('../services/timesheet');
+const { evaluateAttendance } = require('../services/shiftEvaluation');
+
+// Lateness, early departures, absences and overtime against the roster
+exports.getAttendanceReport = async (req, res) => {
+  try {
+    const { startDate, endDate, empCode, department, status } = req.query;
+    const rangeError = validateDateRange(startDate, endDate);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const report = await evaluateAttendance({ startDate, endDate, empCode, department });
+    const days = status ? report.days.filter(day => day.status === status) : report.days;
+
+    res.json({ success: true, startDate, endDate, employees: report.employees, total: days.length, days });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
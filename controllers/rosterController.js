@@ -0,0 +1,64 @@
+const Roster = require('../models/Roster');
+
+// Get all rosters
+exports.getRosters = async (req, res) => {
+  try {
+    const rosters = await Roster.find(req.query.empCode ? { empCode: req.query.empCode } : {}).sort({ empCode: 1, startDate: -1 });
+    res.json({ success: true, rosters });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single roster
+exports.getRoster = async (req, res) => {
+  try {
+    const roster = await Roster.findById(req.params.id);
+    if (!roster) {
+      return res.status(404).json({ success: false, error: 'Roster not found' });
+    }
+    res.json({ success: true, roster });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Create a new roster
+exports.createRoster = async (req, res) => {
+  try {
+    const roster = new Roster(req.body);
+    await roster.save();
+    res.status(201).json({ success: true, roster });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Update a roster
+exports.updateRoster = async (req, res) => {
+  try {
+    // Saved as a document so the validators can compare fields
+    const roster = await Roster.findById(req.params.id);
+    if (!roster) {
+      return res.status(404).json({ success: false, error: 'Roster not found' });
+    }
+    roster.set(req.body);
+    await roster.save();
+    res.json({ success: true, roster });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete a roster
+exports.deleteRoster = async (req, res) => {
+  try {
+    const roster = await Roster.findByIdAndDelete(req.params.id);
+    if (!roster) {
+      return res.status(404).json({ success: false, error: 'Roster not found' });
+    }
+    res.json({ success: true, message: 'Roster deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
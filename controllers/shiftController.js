@@ -0,0 +1,71 @@
+const Shift = require('../models/Shift');
+const Roster = require('../models/Roster');
+
+// Get all shifts
+exports.getShifts = async (req, res) => {
+  try {
+    const shifts = await Shift.find().sort({ startTime: 1 });
+    res.json({ success: true, shifts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get a single shift
+exports.getShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ success: false, error: 'Shift not found' });
+    }
+    res.json({ success: true, shift });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Create a new shift
+exports.createShift = async (req, res) => {
+  try {
+    const shift = new Shift(req.body);
+    await shift.save();
+    res.status(201).json({ success: true, shift });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Update a shift
+exports.updateShift = async (req, res) => {
+  try {
+    const shift = await Shift.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!shift) {
+      return res.status(404).json({ success: false, error: 'Shift not found' });
+    }
+    res.json({ success: true, shift });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+// Delete a shift
+exports.deleteShift = async (req, res) => {
+  try {
+    // Rosters would silently lose working days
+    if (await Roster.exists({ $or: [{ shift: req.params.id }, { cycle: req.params.id }] })) {
+      return res.status(409).json({ success: false, error: 'Shift is used by a roster, deactivate it instead' });
+    }
+
+    const shift = await Shift.findByIdAndDelete(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ success: false, error: 'Shift not found' });
+    }
+    res.json({ success: true, message: 'Shift deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { getTimesheets, validateDateRange } = require('../services/timesheet');
+const { getSessions } = require('../services/punchPairing');
+
+function summarize(timesheets) {
+  return {
+    days: timesheets.length,
+    workedMinutes: timesheets.reduce((total, day) => total + day.workedMinutes, 0),
+    breakMinutes: timesheets.reduce((total, day) => total + day.breakMinutes, 0),
+    flaggedDays: timesheets.filter(day => day.flags.length > 0).length
+  };
+}
+
+// Get timesheets for a date range
+exports.getTimesheets = async (req, res) => {
+  try {
+    const { startDate, endDate, empCode, userId, department, deviceId, flagged } = req.query;
+    const rangeError = validateDateRange(startDate, endDate);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    let timesheets = await getTimesheets({ startDate, endDate, empCode, userId, department, deviceId });
+    if (flagged === 'true') {
+      timesheets = timesheets.filter(day => day.flags.length > 0);
+    }
+
+    res.json({ success: true, startDate, endDate, total: timesheets.length, timesheets });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get the timesheet of one employee with totals
+exports.getEmployeeTimesheet = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const rangeError = validateDateRange(startDate, endDate);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const timesheets = await getTimesheets({ startDate, endDate, empCode: req.params.empCode });
+    res.json({
+      success: true,
+      empCode: req.params.empCode,
+      startDate,
+      endDate,
+      totals: summarize(timesheets),
+      timesheets
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get the in/out sessions of one employee, paired from the punch sequence
+exports.getEmployeeSessions = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const rangeError = validateDateRange(startDate, endDate);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const sessions = await getSessions({ empCode: req.params.empCode, startDate, endDate });
+    res.json({
+      success: true,
+      empCode: req.params.empCode,
+      startDate,
+      endDate,
+      total: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+import auth from '../services/auth.js';
+
+const { authenticateCredentials, hasPermission } = auth;
+
+// Anyone may call these
+const PUBLIC = 'public';
+// Any signed-in caller may call these
+const AUTHENTICATED = 'authenticated';
+
+// Permission each API route requires, first match wins. `:name` matches one
+// path segment and a trailing `/*` the path and anything under it. Routes
+// that are not listed are for admins only.
+const ROUTE_PERMISSIONS = [
+  ['POST', '/api/auth/login', PUBLIC],
+  ['*', '/api/auth/*', AUTHENTICATED],
+  ['*', '/api/accounts/*', 'accounts:manage'],
+  ['*', '/api/api-keys/*', 'api-keys:manage'],
+
+  // Queue and delivery
+  ['GET', '/api/rush-handling-status', 'queue:read'],
+  ['POST', '/api/rush-handling-control', 'queue:manage'],
+  ['GET', '/api/dead-letters/*', 'queue:read'],
+  ['*', '/api/dead-letters/*', 'queue:manage'],
+  ['GET', '/api/deliveries/*', 'queue:read'],
+  ['GET', '/api/push-statistics', 'queue:read'],
+  ['GET', '/api/diagnostic', 'queue:read'],
+  ['POST', '/api/test-auto-push', 'queue:manage'],
+  ['*', '/api/destinations/*', 'destinations:manage'],
+
+  // Devices
+  ['GET', '/api/device-sessions', 'devices:read'],
+  ['GET', '/api/device-info', 'devices:read'],
+  ['POST', '/api/poll-now', 'devices:manage'],
+  ['GET', '/api/polling-cursor', 'devices:read'],
+  ['PUT', '/api/polling-cursor', 'devices:manage'],
+  ['POST', '/api/reinitialize-device', 'devices:manage'],
+  ['GET', '/api/devices/:deviceId/records/*', 'attendance:read'],
+  // Reads the device log and stores it
+  ['GET', '/api/devices/:deviceId/attendance', 'devices:manage'],
+  ['GET', '/api/devices/*', 'devices:read'],
+  ['*', '/api/devices/*', 'devices:manage'],
+
+  // Users enrolled on the terminals and their biometrics
+  ['GET', '/api/users', 'device-users:read'],
+  ['*', '/api/users/*', 'device-users:write'],
+  ['*', '/api/biometric-backups/*', 'biometrics:manage'],
+
+  // Attendance
+  ['GET', '/api/attendance', 'attendance:read'],
+  ['GET', '/api/records/*', 'attendance:read'],
+  ['POST', '/api/push-attendance', 'attendance:push'],
+  ['POST', '/api/corrections/:id/approve', 'corrections:approve'],
+  ['POST', '/api/corrections/:id/reject', 'corrections:approve'],
+  ['GET', '/api/corrections/*', 'attendance:read'],
+  ['POST', '/api/corrections', 'corrections:request'],
+  ['GET', '/api/timesheets/*', 'attendance:read'],
+  ['GET', '/api/reports/*', 'attendance:read'],
+  ['GET', '/api/payroll/*', 'payroll:read'],
+
+  // Employees, schedules and leave
+  ['GET', '/api/employees/*', 'employees:read'],
+  ['*', '/api/employees/*', 'employees:write'],
+  ['GET', '/api/shifts/*', 'attendance:read'],
+  ['*', '/api/shifts/*', 'schedules:write'],
+  ['GET', '/api/rosters/*', 'attendance:read'],
+  ['*', '/api/rosters/*', 'schedules:write'],
+  ['GET', '/api/holidays/*', 'attendance:read'],
+  ['*', '/api/holidays/*', 'schedules:write'],
+  ['GET', '/api/leaves/*', 'attendance:read'],
+  ['POST', '/api/leaves/:id/approve', 'leave:approve'],
+  ['POST', '/api/leaves/:id/reject', 'leave:approve'],
+  ['*', '/api/leaves/*', 'leave:write']
+].map(([method, path, permission]) => {
+  const pattern = path
+    .replace(/\/\*$/, '')
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:[A-Za-z]+/g, '[^/]+');
+  return {
+    method,
+    matcher: new RegExp(`^${pattern}${path.endsWith('/*') ? '(?:/.*)?' : ''}/?$`),
+    permission
+  };
+});
+
+/** Permission a request needs, '*' (admin) for routes that are not listed */
+function requiredPermission(method, path) {
+  const rule = ROUTE_PERMISSIONS.find(candidate =>
+    (candidate.method === '*' || candidate.method === method) && candidate.matcher.test(path)
+  );
+  return rule ? rule.permission : '*';
+}
+
+/**
+ * Authenticate API calls and check the caller's role against ROUTE_PERMISSIONS.
+ * Runs after the static files, so anything else that gets here is refused:
+ * every route lives under /api. Express matches routes case-insensitively,
+ * so the path is lowercased before it is checked.
+ */
+const requireAccess = async (req, res, next) => {
+  const path = req.path.toLowerCase();
+  if (path !== '/api' && !path.startsWith('/api/')) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  if (req.method === 'OPTIONS') return next();
+
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const permission = requiredPermission(method, path);
+  if (permission === PUBLIC) return next();
+
+  try {
+    req.auth = await authenticateCredentials({
+      authorization: req.get('authorization'),
+      apiKey: req.get('x-api-key')
+    });
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.auth) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  if (permission !== AUTHENTICATED && !hasPermission(req.auth.role, permission)) {
+    return res.status(403).json({ success: false, error: `Role ${req.auth.role} is not allowed to do this` });
+  }
+  next();
+};
+
+// Socket.IO handshake: io({ auth: { token } }), { auth: { apiKey } } or an
+// Authorization / X-API-Key header
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers } = socket.handshake;
+  try {
+    socket.data.auth = await authenticateCredentials({
+      authorization: auth.token ? `Bearer ${auth.token}` : headers.authorization,
+      apiKey: auth.apiKey || headers['x-api-key']
+    });
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!socket.data.auth) {
+    return next(new Error('Authentication required'));
+  }
+  next();
+};
+
+export default {
+  ROUTE_PERMISSIONS,
+  requiredPermission,
+  requireAccess,
+  authenticateSocket
+};
\ No newline at end of file
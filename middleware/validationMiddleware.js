@@ -1,38 +1,102 @@
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      errors: errors.array() 
+    });
+  }
+  next();
+};
 
 // Validation for device creation
 const validateDevice = [
   body('name').notEmpty().withMessage('Name is required'),
   body('ip').isIP(4).withMessage('Valid IPv4 address is required'),
   body('port').isInt({ min: 1, max: 65535 }).withMessage('Valid port number is required'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        success: false, 
-        errors: errors.array() 
-      });
-    }
-    next();
-  }
+  handleValidationErrors
 ];
 
 // Validation for device ID parameter
 const validateDeviceId = [
   param('id').isMongoId().withMessage('Valid device ID is required'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        success: false, 
-        errors: errors.array() 
-      });
-    }
-    next();
-  }
+  handleValidationErrors
+];
+
+// Field limits come from the terminal's user record
+const deviceUserFields = [
+  body('name').optional().isString().trim().isLength({ max: 24 }).withMessage('Name must be at most 24 characters'),
+  body('role').optional().isIn([0, 14]).withMessage('Role must be 0 (user) or 14 (admin)').toInt(),
+  body('password').optional().isString().isLength({ max: 8 }).withMessage('Password must be at most 8 characters'),
+  body('cardno').optional().isInt({ min: 0, max: 65535 }).withMessage('Card number must be between 0 and 65535').toInt()
+];
+
+// Validation for creating a user on a device
+const validateDeviceUser = [
+  body('deviceId').isMongoId().withMessage('Valid device ID is required'),
+  body('userId').isString().trim().matches(/^[0-9A-Za-z]{1,9}$/).withMessage('User ID must be 1-9 letters or digits'),
+  body('name').notEmpty().withMessage('Name is required'),
+  body('uid').optional().isInt({ min: 1, max: 3000 }).withMessage('uid must be between 1 and 3000').toInt(),
+  ...deviceUserFields,
+  handleValidationErrors
+];
+
+// Validation for updating a user on a device
+const validateDeviceUserUpdate = [
+  param('userId').matches(/^[0-9A-Za-z]{1,9}$/).withMessage('Valid user ID is required'),
+  body('deviceId').isMongoId().withMessage('Valid device ID is required'),
+  ...deviceUserFields,
+  handleValidationErrors
+];
+
+// Validation for removing a user from a device
+const validateDeviceUserDelete = [
+  param('userId').matches(/^[0-9A-Za-z]{1,9}$/).withMessage('Valid user ID is required'),
+  query('deviceId').isMongoId().withMessage('Valid device ID is required'),
+  handleValidationErrors
+];
+
+// Validation for syncing users across devices
+const validateUserSync = [
+  body('deviceIds').optional().isArray({ min: 1 }).withMessage('deviceIds must be a non-empty array'),
+  body('deviceIds.*').isMongoId().withMessage('Valid device IDs are required'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+  body('removeUnknown').optional().isBoolean().withMessage('removeUnknown must be a boolean').toBoolean(),
+  handleValidationErrors
+];
+
+// Validation for backing up a device's biometric data
+const validateBiometricBackup = [
+  body('deviceId').isMongoId().withMessage('Valid device ID is required'),
+  handleValidationErrors
+];
+
+// Validation for restoring a biometric backup to a device
+const validateBiometricRestore = [
+  param('id').isMongoId().withMessage('Valid backup ID is required'),
+  body('deviceId').isMongoId().withMessage('Valid device ID is required'),
+  body('userIds').optional().isArray({ min: 1 }).withMessage('userIds must be a non-empty array'),
+  body('userIds.*').isString().notEmpty().withMessage('User IDs must be strings'),
+  handleValidationErrors
+];
+
+// Validation for comparing a device with a biometric backup
+const validateBiometricVerify = [
+  param('id').isMongoId().withMessage('Valid backup ID is required'),
+  query('deviceId').isMongoId().withMessage('Valid device ID is required'),
+  handleValidationErrors
 ];
 
 export default {
   validateDevice,
-  validateDeviceId
+  validateDeviceId,
+  validateDeviceUser,
+  validateDeviceUserUpdate,
+  validateDeviceUserDelete,
+  validateUserSync,
+  validateBiometricBackup,
+  validateBiometricRestore,
+  validateBiometricVerify
 };
\ No newline at end of file
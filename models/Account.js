@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A person signing in to the dashboard or the API. Not to be confused with
+// the users enrolled on the terminals.
+const accountSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9._-]{3,32}$/, 'username must be 3-32 letters, digits, dots, dashes or underscores']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // scrypt hash, see services/auth.js
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'hr', 'viewer', 'integration'],
+    default: 'viewer'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, account) => {
+      delete account.passwordHash;
+      return account;
+    }
+  }
+});
+
+module.exports = mongoose.model('Account', accountSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Credential for a service calling the API. Only a hash of the key is
+// stored; the key itself is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Public part of the key, used to find it
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'hr', 'viewer', 'integration'],
+    default: 'integration'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Never expires when unset
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, apiKey) => {
+      delete apiKey.keyHash;
+      return apiKey;
+    }
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
\ No newline at end of file
@@ -1,22 +1,70 @@
 const mongoose = require('mongoose');
 
 const attendanceSchema = new mongoose.Schema({
+  // Deterministic identity of the physical punch, see services/punchStore.js
+  punchKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   userId: {
-    type: Number,
+    type: String,
     required: true
   },
+  userName: {
+    type: String
+  },
+  // HR employee code, the device user id when the user is not in the directory
+  empCode: {
+    type: String
+  },
   timestamp: {
     type: Date,
     required: true
   },
+  // Raw device state, null when the source does not report it
   status: {
     type: Number,
-    required: true
+    default: null
   },
   device: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Device',
-    required: true
+    ref: 'Device'
+  },
+  deviceIp: {
+    type: String
+  },
+  // IANA zone of the clock that recorded the punch
+  timeZone: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: ['realtime', 'poll', 'manual', 'test', 'device', 'correction'],
+    default: 'device'
+  },
+  punchType: {
+    type: String
+  },
+  // Type worked out from the punch sequence, see services/punchPairing.js
+  inferredPunchType: {
+    type: String,
+    enum: ['Check-in', 'Check-out', 'Break-out', 'Break-in', 'Overtime-in', 'Overtime-out', 'Duplicate']
+  },
+  verificationMethod: {
+    type: String
+  },
+  // The approved correction this punch was stored for
+  correction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PunchCorrection'
+  },
+  // Set when an approved correction edited or voided this punch. The punch
+  // stays as recorded but no longer counts in timesheets and reports.
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PunchCorrection',
+    default: null
   },
   verified: {
     type: Number,
@@ -33,5 +81,12 @@ const attendanceSchema = new mongoose.Schema({
 // Compound index for efficient querying
 attendanceSchema.index({ device: 1, timestamp: -1 });
 attendanceSchema.index({ userId: 1, timestamp: -1 });
+attendanceSchema.index({ empCode: 1, timestamp: -1 });
+attendanceSchema.index({ deviceIp: 1, userId: 1, timestamp: 1 });
+// One row per physical punch from a registered device, see services/punchStore.js
+attendanceSchema.index(
+  { device: 1, userId: 1, timestamp: 1 },
+  { unique: true, partialFilterExpression: { device: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A snapshot of the users and fingerprint templates of a device. The
+// per-user data lives encrypted in BiometricBackupEntry.
+const biometricBackupSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceName: {
+    type: String
+  },
+  userCount: {
+    type: Number,
+    default: 0
+  },
+  fingerCount: {
+    type: Number,
+    default: 0
+  },
+  // Faces enrolled on the device when it was backed up, null when it does not
+  // report them. Face templates cannot be read, so these are not in the backup.
+  faceCount: {
+    type: Number,
+    default: null
+  },
+  warnings: [{
+    type: String
+  }],
+  // Identifies the key the entries were encrypted with, never the key itself
+  keyId: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+biometricBackupSchema.index({ device: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BiometricBackup', biometricBackupSchema);
\ No newline at end of file
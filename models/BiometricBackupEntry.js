@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One user of a biometric backup. Identifiers and counts stay readable for
+// selective restores and verification; name, password, card and templates
+// are only stored encrypted.
+const biometricBackupEntrySchema = new mongoose.Schema({
+  backup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BiometricBackup',
+    required: true
+  },
+  uid: {
+    type: Number,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  fingerCount: {
+    type: Number,
+    default: 0
+  },
+  // AES-256-GCM, see services/biometricBackup.js
+  data: {
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    content: { type: String, required: true }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+biometricBackupEntrySchema.index({ backup: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('BiometricBackupEntry', biometricBackupEntrySchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One clock check of a device
+const clockDriftSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceName: {
+    type: String
+  },
+  measuredAt: {
+    type: Date,
+    default: Date.now
+  },
+  deviceTime: {
+    type: Date,
+    required: true
+  },
+  // Device time minus server time, positive when the device runs ahead
+  driftMs: {
+    type: Number,
+    required: true
+  },
+  corrected: {
+    type: Boolean,
+    default: false
+  },
+  correctionError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+clockDriftSchema.index({ device: 1, measuredAt: -1 });
+
+// Drift history is kept for 90 days
+clockDriftSchema.index({ measuredAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ClockDrift', clockDriftSchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const attemptSchema = require('./deliveryAttempt');
+
+const deadLetterSchema = new mongoose.Schema({
+  queueId: {
+    type: String,
+    required: true
+  },
+  record: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  userId: {
+    type: String
+  },
+  // Replays go back to this destination only
+  destinationId: {
+    type: String
+  },
+  destinationName: {
+    type: String
+  },
+  error: {
+    type: String,
+    required: true
+  },
+  // permanent: the destination refused the punch, retrying will not help
+  failureType: {
+    type: String,
+    enum: ['retryable', 'permanent']
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  history: [attemptSchema],
+  status: {
+    type: String,
+    enum: ['open', 'replayed', 'discarded'],
+    default: 'open'
+  },
+  replayedAt: {
+    type: Date
+  },
+  replayQueueId: {
+    type: String
+  },
+  discardedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient filtering
+deadLetterSchema.index({ status: 1, createdAt: -1 });
+deadLetterSchema.index({ userId: 1, createdAt: -1 });
+deadLetterSchema.index({ destinationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
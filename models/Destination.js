@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { validateTemplate, CONTENT_TYPES } = require('../services/payloadTemplate');
+const { AUTH_TYPES, validateAuth, redactAuth } = require('../services/webhookAuth');
+const { DEFAULT_RETRYABLE_STATUS_CODES, validateResponseRules } = require('../services/responseRules');
+const { isValidTimeZone } = require('../services/timeZone');
+
+const jsonRuleSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  value: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+// When a response counts as delivered and which failures are worth retrying,
+// see services/responseRules.js
+const responseRulesSchema = new mongoose.Schema({
+  successStatusCodes: [Number],
+  jsonEquals: [jsonRuleSchema],
+  jsonNotEquals: [jsonRuleSchema],
+  bodyPattern: String,
+  retryableStatusCodes: {
+    type: [Number],
+    default: () => [...DEFAULT_RETRYABLE_STATUS_CODES]
+  },
+  retryRejectedBody: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+// How requests prove they come from the bridge, see services/webhookAuth.js
+const authSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: AUTH_TYPES,
+    default: 'none'
+  },
+  token: String,
+  username: String,
+  password: String,
+  headerName: String,
+  apiKey: String,
+  secret: String,
+  signatureHeader: {
+    type: String,
+    default: 'X-Signature'
+  },
+  timestampHeader: {
+    type: String,
+    default: 'X-Timestamp'
+  }
+}, {
+  _id: false
+});
+
+const destinationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^https?:\/\/\S+$/
+  },
+  method: {
+    type: String,
+    enum: ['POST', 'PUT', 'PATCH', 'GET'],
+    default: 'POST'
+  },
+  contentType: {
+    type: String,
+    enum: Object.keys(CONTENT_TYPES),
+    default: 'json'
+  },
+  // IANA zone dates and times are formatted in, the server's zone when unset
+  timeZone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // Field mapping used to build the payload, see services/payloadTemplate.js
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: {
+      validator: value => validateTemplate(value).length === 0,
+      message: props => validateTemplate(props.value).join('; ')
+    }
+  },
+  // A punch is sent only when it matches every non-empty filter
+  filters: {
+    devices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    }],
+    // Matched against the group of the punching user, the employee's
+    // department for users in the directory
+    userGroups: [String],
+    punchTypes: [String]
+  },
+  retryPolicy: {
+    maxRetries: {
+      type: Number,
+      default: 2,
+      min: 0
+    },
+    baseDelay: {
+      type: Number,
+      default: 1000,
+      min: 0
+    },
+    maxDelay: {
+      type: Number,
+      default: 5000,
+      min: 0
+    }
+  },
+  responseRules: {
+    type: responseRulesSchema,
+    default: () => ({}),
+    validate: {
+      validator: value => validateResponseRules(value).length === 0,
+      message: props => validateResponseRules(props.value).join('; ')
+    }
+  },
+  auth: {
+    type: authSchema,
+    default: () => ({}),
+    validate: {
+      validator: value => validateAuth(value).length === 0,
+      message: props => validateAuth(props.value).join('; ')
+    }
+  },
+  timeout: {
+    type: Number,
+    default: 8000,
+    min: 1000
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Secrets stay in the database, API responses only show that they are set
+destinationSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    ret.auth = redactAuth(ret.auth);
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Destination', destinationSchema);
\ No newline at end of file
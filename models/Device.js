@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../services/timeZone');
 
 const deviceSchema = new mongoose.Schema({
   name: {
@@ -29,6 +30,15 @@ const deviceSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // IANA zone the terminal clock runs in, the server's zone when unset
+  timeZone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Which device user an employee is on a terminal. Without a device the
+// mapping applies to every terminal.
+const deviceUserSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  },
+  uid: {
+    type: Number,
+    min: 1,
+    max: 3000
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+const employeeSchema = new mongoose.Schema({
+  // Code the HR system knows the employee by
+  empCode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deviceUsers: {
+    type: [deviceUserSchema],
+    default: [],
+    validate: {
+      validator: deviceUsers => new Set(deviceUsers.map(({ device }) => String(device || ''))).size === deviceUsers.length,
+      message: 'An employee can have only one user per device'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A device user belongs to one employee, so punches map to one employee
+employeeSchema.index(
+  { 'deviceUsers.device': 1, 'deviceUsers.userId': 1 },
+  { unique: true, partialFilterExpression: { 'deviceUsers.userId': { $exists: true } } }
+);
+
+// Index for efficient querying
+employeeSchema.index({ department: 1 });
+
+module.exports = mongoose.model('Employee', employeeSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A public or company holiday, for everyone or for one department
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'date must be YYYY-MM-DD']
+  },
+  duration: {
+    type: String,
+    enum: ['full', 'half'],
+    default: 'full'
+  },
+  // Only this department is off, everyone when unset
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One holiday per day and department
+holidaySchema.index({ date: 1, department: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
\ No newline at end of file
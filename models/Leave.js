@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Leave of one employee over an inclusive range of days. Only approved
+// leave excuses an absence.
+const leaveSchema = new mongoose.Schema({
+  empCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['annual', 'sick', 'casual', 'unpaid', 'maternity', 'paternity', 'bereavement', 'other'],
+    required: true
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'startDate must be YYYY-MM-DD']
+  },
+  // Same as startDate for a single day
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'endDate must be YYYY-MM-DD'],
+    validate: {
+      validator: function (endDate) { return endDate >= this.startDate; },
+      message: 'endDate must not be before startDate'
+    }
+  },
+  duration: {
+    type: String,
+    enum: ['full', 'half'],
+    default: 'full',
+    validate: {
+      validator: function (duration) { return duration !== 'half' || this.startDate === this.endDate; },
+      message: 'Half-day leave must start and end on the same day'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Account that filed the leave, which may not approve it
+  requestedBy: {
+    type: String,
+    trim: true
+  },
+  decidedBy: {
+    type: String,
+    trim: true
+  },
+  decidedAt: {
+    type: Date
+  },
+  decisionNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+leaveSchema.pre('validate', function (next) {
+  if (!this.endDate) this.endDate = this.startDate;
+  next();
+});
+
+// Index for efficient querying
+leaveSchema.index({ empCode: 1, startDate: 1 });
+leaveSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Leave', leaveSchema);
\ No newline at end of file
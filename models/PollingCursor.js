@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const pollingCursorSchema = new mongoose.Schema({
+  deviceKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Device time of the newest punch seen so far
+  lastTimestamp: {
+    type: Date
+  },
+  // Number of records on the device at the last poll. The device log is
+  // append-only, so records past this position are new regardless of their
+  // timestamps. Null forces a timestamp based scan.
+  recordCount: {
+    type: Number,
+    default: null
+  },
+  lastPolledAt: {
+    type: Date
+  },
+  resetAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PollingCursor', pollingCursorSchema);
\ No newline at end of file
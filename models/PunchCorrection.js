@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A requested change to the punch record, applied only once approved.
+//
+//   add  - a punch that was never recorded
+//   edit - replace a stored punch with one at another time or state
+//   void - drop a stored punch from timesheets and reports
+//
+// The stored punch itself is never changed: it is only marked as
+// superseded, and an added or edited punch is stored as a new record.
+const correctionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['add', 'edit', 'void'],
+    required: true
+  },
+  empCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // The stored punch being edited or voided
+  original: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: function () { return this.action !== 'add'; }
+  },
+  // The original as it was when the correction was requested
+  originalPunch: {
+    timestamp: Date,
+    status: Number,
+    punchType: String,
+    userId: String,
+    device: mongoose.Schema.Types.ObjectId,
+    deviceIp: String,
+    source: String,
+    punchKey: String
+  },
+  timestamp: {
+    type: Date,
+    required: function () { return this.action !== 'void'; }
+  },
+  state: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  timeZone: {
+    type: String
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedBy: {
+    type: String,
+    trim: true
+  },
+  // pending -> approved -> applied | failed, or pending -> rejected
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'applied', 'failed'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: String,
+    trim: true
+  },
+  decidedAt: {
+    type: Date
+  },
+  decisionNote: {
+    type: String,
+    trim: true
+  },
+  // The punch stored when the correction was applied
+  appliedPunch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  error: {
+    type: String
+  },
+  // Audit trail, oldest first
+  history: [{
+    _id: false,
+    event: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'applied', 'failed']
+    },
+    by: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+correctionSchema.index({ status: 1, createdAt: -1 });
+correctionSchema.index({ empCode: 1, createdAt: -1 });
+correctionSchema.index({ original: 1, status: 1 });
+
+module.exports = mongoose.model('PunchCorrection', correctionSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const attemptSchema = require('./deliveryAttempt');
+
+const queueItemSchema = new mongoose.Schema({
+  queueId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  record: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Id of the punch, shared by the items sent to each destination
+  recordId: {
+    type: String
+  },
+  // Device the punch came from, each device has its own queue
+  deviceKey: {
+    type: String,
+    default: 'default'
+  },
+  // Each destination gets its own item so its retries and status are independent.
+  // Items stored before destinations existed have none and go to the primary one.
+  destinationId: {
+    type: String
+  },
+  destinationName: {
+    type: String
+  },
+  // pending: waiting in storage, queued: loaded into the in-memory queue,
+  // retrying: failed attempt waiting for its backoff, delivered/failed: final
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'retrying', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  history: [attemptSchema],
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for picking up due items in order
+queueItemSchema.index({ status: 1, nextAttemptAt: 1, createdAt: 1 });
+queueItemSchema.index({ deviceKey: 1, status: 1, nextAttemptAt: 1 });
+queueItemSchema.index({ recordId: 1 });
+
+// Delivered items are only kept for a week
+queueItemSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('QueueItem', queueItemSchema);
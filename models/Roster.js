@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Which shifts an employee works from a date on.
+//
+//   fixed    - the same shift on the given weekdays
+//   rotating - a cycle of shifts counted from cycleStart, null entries are days off
+//
+// When assignments overlap, the one starting latest applies.
+const rosterSchema = new mongoose.Schema({
+  empCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  pattern: {
+    type: String,
+    enum: ['fixed', 'rotating'],
+    default: 'fixed'
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: function () { return this.pattern === 'fixed'; }
+  },
+  // 0 = Sunday ... 6 = Saturday
+  workDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [1, 2, 3, 4, 5]
+  },
+  cycle: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Shift', default: null }],
+    validate: {
+      validator: function (cycle) { return this.pattern !== 'rotating' || cycle.length > 0; },
+      message: 'A rotating roster needs a cycle of shifts'
+    }
+  },
+  cycleStart: {
+    type: String,
+    match: [DATE_PATTERN, 'cycleStart must be YYYY-MM-DD']
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'startDate must be YYYY-MM-DD']
+  },
+  // Last day of the assignment, open-ended when unset
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'endDate must be YYYY-MM-DD'],
+    validate: {
+      validator: function (endDate) { return !endDate || endDate >= this.startDate; },
+      message: 'endDate must not be before startDate'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+rosterSchema.index({ empCode: 1, startDate: -1 });
+
+module.exports = mongoose.model('Roster', rosterSchema);
\ No newline at end of file
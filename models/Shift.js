@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../services/timeZone');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A working period on the site's wall clock. A shift whose end is not
+// after its start is a night shift ending the next day.
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'startTime must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'endTime must be HH:mm']
+  },
+  // Zone of the wall clock, the server's zone when unset
+  timeZone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // Arriving or leaving within the grace period does not count
+  graceLateMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  graceEarlyMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  breakRules: {
+    // Unpaid break time within the shift
+    breakMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Deduct breakMinutes when no break was punched
+    autoDeduct: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Extra time counts as overtime from this many minutes on
+  overtimeThresholdMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // How far from the shift punches are still taken as its check-in and check-out
+  punchWindow: {
+    beforeStartMinutes: {
+      type: Number,
+      default: 240,
+      min: 0
+    },
+    afterEndMinutes: {
+      type: Number,
+      default: 360,
+      min: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+shiftSchema.virtual('isOvernight').get(function () {
+  return this.endTime <= this.startTime;
+});
+
+module.exports = mongoose.model('Shift', shiftSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One delivery attempt of a queued punch, kept on queue items and carried
+// over to their dead letters
+const attemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  error: {
+    type: String
+  },
+  // Requests sent during this attempt and how they failed
+  payloads: [{
+    type: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  _id: false
+});
+
+module.exports = attemptSchema;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount
+} = require('../controllers/accountController');
+
+// Dashboard and API accounts
+router.get('/', getAccounts);
+router.get('/:id', getAccount);
+router.post('/', createAccount);
+router.put('/:id', updateAccount);
+router.delete('/:id', deleteAccount);
+
+module.exports = router;
\ No newline at end of file
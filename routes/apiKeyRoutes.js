@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  deleteApiKey
+} = require('../controllers/apiKeyController');
+
+// Service API keys
+router.get('/', getApiKeys);
+router.post('/', createApiKey);
+router.post('/:id/revoke', revokeApiKey);
+router.delete('/:id', deleteApiKey);
+
+module.exports = router;
\ No newline at end of file
@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const {
-  getAttendance,
-  getRealTimeAttendance,
-  getAttendanceRecords
+  getAttendanceRecords,
+  exportAttendance
 } = require('../controllers/attendanceController');
 
-// Get attendance from device
-router.get('/devices/:deviceId/attendance', getAttendance);
-router.get('/devices/:deviceId/realtime', getRealTimeAttendance);
+// Reading the device log itself is done in server.js, which owns the
+// device connections and the punch store
 
 // Get attendance records from database
 router.get('/devices/:deviceId/records', getAttendanceRecords);
 router.get('/records', getAttendanceRecords); // Without device filter
 
+// Export records and summaries: ?dataset=punches|daily|monthly&format=csv|xlsx|pdf&columns=
+router.get('/devices/:deviceId/records/export', exportAttendance);
+router.get('/records/export', exportAttendance);
+
 module.exports = router;
\ No newline at end of file
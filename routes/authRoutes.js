@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  login,
+  getMe,
+  changePassword
+} = require('../controllers/authController');
+
+// Sessions of the signed-in account
+router.post('/login', login);
+router.get('/me', getMe);
+router.post('/change-password', changePassword);
+
+module.exports = router;
\ No newline at end of file
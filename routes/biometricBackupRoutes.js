@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBackups,
+  getBackup,
+  deleteBackup
+} = require('../controllers/biometricBackupController');
+
+// Stored biometric backups; taking and restoring them needs a device session
+router.get('/', getBackups);
+router.get('/:id', getBackup);
+router.delete('/:id', deleteBackup);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCorrections,
+  getCorrection,
+  createCorrection,
+  rejectCorrection
+} = require('../controllers/correctionController');
+
+// Punch corrections. Approval applies the punch, see POST /api/corrections/:id/approve in server.js
+router.get('/', getCorrections);
+router.get('/:id', getCorrection);
+router.post('/', createCorrection);
+router.post('/:id/reject', rejectCorrection);
+
+module.exports = router;
\ No newline at end of file
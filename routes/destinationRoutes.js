@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDestinations,
+  getDestination,
+  createDestination,
+  updateDestination,
+  deleteDestination,
+  previewDestination
+} = require('../controllers/destinationController');
+
+// Destination management routes
+router.get('/', getDestinations);
+router.get('/:id', getDestination);
+router.post('/', createDestination);
+router.put('/:id', updateDestination);
+router.delete('/:id', deleteDestination);
+
+// Show the payload a destination would receive
+router.post('/:id/preview', previewDestination);
+
+module.exports = router;
\ No newline at end of file
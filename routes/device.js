@@ -1,5 +1,6 @@
 import express from "express"
 import zktecoService from "../services/zktecoService.js"
+import Device from "../models/Device.js"
 
 const router = express.Router()
 
@@ -37,7 +38,9 @@ router.get("/info", async (req, res, next) => {
 // Get device time
 router.get("/time", async (req, res, next) => {
   try {
-    const result = await zktecoService.getDeviceTime()
+    const device = await Device.findById(req.query.deviceId)
+    const result = await zktecoService.runExclusive(req.query.deviceId, "clock read", () =>
+      zktecoService.getDeviceTime(req.query.deviceId, device && device.timeZone))
     res.json(result)
   } catch (error) {
     next(error)
@@ -47,8 +50,11 @@ router.get("/time", async (req, res, next) => {
 // Set device time
 router.put("/time", async (req, res, next) => {
   try {
-    const { timestamp } = req.body
-    const result = await zktecoService.setDeviceTime(timestamp)
+    const { deviceId, timestamp } = req.body
+    // Terminals keep wall-clock time in their own zone
+    const device = await Device.findById(deviceId)
+    const result = await zktecoService.runExclusive(deviceId, "clock sync", () =>
+      zktecoService.setDeviceTime(deviceId, timestamp, device && device.timeZone))
     res.json(result)
   } catch (error) {
     next(error)
@@ -9,6 +9,10 @@ const {
   connectDevice,
   disconnectDevice,
   getDeviceInfo,
+  getDeviceTime,
+  setDeviceTime,
+  syncDeviceClock,
+  getClockDrift,
   getConnectedDevices,
   getAllConnectedDevices
 } = require('../controllers/deviceController');
@@ -25,6 +29,12 @@ router.delete('/:id', deleteDevice);
 router.post('/:id/connect', connectDevice);
 router.post('/:id/disconnect', disconnectDevice);
 router.get('/:id/info', getDeviceInfo);
+
+// Device clock routes
+router.get('/:id/time', getDeviceTime);
+router.put('/:id/time', setDeviceTime);
+router.post('/:id/clock-sync', syncDeviceClock);
+router.get('/:id/clock-drift', getClockDrift);
 router.get('/debug/connected', getAllConnectedDevices);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmployees,
+  getEmployee,
+  createEmployee,
+  updateEmployee,
+  deleteEmployee
+} = require('../controllers/employeeController');
+
+// Employee directory routes
+router.get('/', getEmployees);
+router.get('/:id', getEmployee);
+router.post('/', createEmployee);
+router.put('/:id', updateEmployee);
+router.delete('/:id', deleteEmployee);
+
+module.exports = router;
\ No newline at end of file
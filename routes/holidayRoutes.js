@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getHolidays,
+  getHoliday,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+} = require('../controllers/holidayController');
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Holiday calendar
+router.get('/', getHolidays);
+router.post('/import', csvBody, importHolidays);
+router.get('/:id', getHoliday);
+router.post('/', createHoliday);
+router.put('/:id', updateHoliday);
+router.delete('/:id', deleteHoliday);
+
+module.exports = router;
\ No newline at end of file
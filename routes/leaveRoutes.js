@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLeaves,
+  getLeave,
+  createLeave,
+  updateLeave,
+  deleteLeave,
+  decideLeave,
+  importLeaves
+} = require('../controllers/leaveController');
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Employee leave and its approval
+router.get('/', getLeaves);
+router.post('/import', csvBody, importLeaves);
+router.get('/:id', getLeave);
+router.post('/', createLeave);
+router.put('/:id', updateLeave);
+router.delete('/:id', deleteLeave);
+router.post('/:id/approve', decideLeave('approve'));
+router.post('/:id/reject', decideLeave('reject'));
+router.post('/:id/cancel', decideLeave('cancel'));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPayrollSummary,
+  getPayrollFormats,
+  exportPayroll
+} = require('../controllers/payrollController');
+
+// Monthly payroll close
+router.get('/summary', getPayrollSummary);
+router.get('/formats', getPayrollFormats);
+router.get('/export', exportPayroll);
+
+module.exports = router;
\ No newline at end of file
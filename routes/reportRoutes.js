@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAttendanceReport
+} = require('../controllers/reportController');
+
+// Attendance evaluated against shifts
+router.get('/attendance', getAttendanceReport);
+
+module.exports = router;
\ No newline at end of file
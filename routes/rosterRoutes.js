@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRosters,
+  getRoster,
+  createRoster,
+  updateRoster,
+  deleteRoster
+} = require('../controllers/rosterController');
+
+// Shift assignments by date
+router.get('/', getRosters);
+router.get('/:id', getRoster);
+router.post('/', createRoster);
+router.put('/:id', updateRoster);
+router.delete('/:id', deleteRoster);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShifts,
+  getShift,
+  createShift,
+  updateShift,
+  deleteShift
+} = require('../controllers/shiftController');
+
+// Shift definitions
+router.get('/', getShifts);
+router.get('/:id', getShift);
+router.post('/', createShift);
+router.put('/:id', updateShift);
+router.delete('/:id', deleteShift);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTimesheets,
+  getEmployeeTimesheet,
+  getEmployeeSessions
+} = require('../controllers/timesheetController');
+
+// Daily timesheets computed from stored punches
+router.get('/', getTimesheets);
+router.get('/:empCode', getEmployeeTimesheet);
+router.get('/:empCode/sessions', getEmployeeSessions);
+
+module.exports = router;
\ No newline at end of file
@@ -1,32 +1,143 @@
 import express from 'express';
 import http from 'http';
 import { Server } from 'socket.io';
-import Zkteco from 'zkteco-js';
 import cors from 'cors';
+import helmet from 'helmet';
+import { rateLimit } from 'express-rate-limit';
+import cron from 'node-cron';
 import { EventEmitter } from 'events';
+import connectDB from './config/database.js';
+import Device from './models/Device.js';
+import QueueItem from './models/QueueItem.js';
+import DeadLetter from './models/DeadLetter.js';
+import PollingCursor from './models/PollingCursor.js';
+import BiometricBackup from './models/BiometricBackup.js';
+import Destination from './models/Destination.js';
+import Attendance from './models/Attendance.js';
+import PunchCorrection from './models/PunchCorrection.js';
+import { buildPunchKey, recordPunch } from './services/punchStore.js';
+import { pairRecentPunches } from './services/punchPairing.js';
+import { requestCorrection, decideCorrection, finishCorrection, supersedeOriginal, restoreOriginal, correctionRecord } from './services/punchCorrection.js';
+import { renderPayload, buildRequest } from './services/payloadTemplate.js';
+import { applyAuth } from './services/webhookAuth.js';
+import CircuitBreaker from './services/circuitBreaker.js';
+import { evaluateResponse } from './services/responseRules.js';
+import { checkDeviceClock } from './services/clockSync.js';
+import { backupDevice, restoreBackup, verifyBackup } from './services/biometricBackup.js';
+import { loadEmployeeDirectory, findEmployee, findEmployeeByCode, getEmployeeCount } from './services/employeeDirectory.js';
+import { SERVER_TIME_ZONE, deviceTimeToInstant, formatDateInZone } from './services/timeZone.js';
+import { hasConfiguredSecret, hasPermission, ensureInitialAdmin } from './services/auth.js';
+import { ALL_ROOM, QUEUE_ROOM, EVENT_PERMISSIONS, roleRoom, deviceRoom, departmentRoom, parseRoom, canJoin, excludedRoles, recordRooms, recordInRooms } from './services/realtime.js';
+import zktecoService from './services/zktecoService.js';
+import validation from './middleware/validationMiddleware.js';
+import authMiddleware from './middleware/authMiddleware.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import attendanceRoutes from './routes/attendanceRoutes.js';
+import destinationRoutes from './routes/destinationRoutes.js';
+import employeeRoutes from './routes/employeeRoutes.js';
+import biometricBackupRoutes from './routes/biometricBackupRoutes.js';
+import timesheetRoutes from './routes/timesheetRoutes.js';
+import shiftRoutes from './routes/shiftRoutes.js';
+import rosterRoutes from './routes/rosterRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import payrollRoutes from './routes/payrollRoutes.js';
+import holidayRoutes from './routes/holidayRoutes.js';
+import leaveRoutes from './routes/leaveRoutes.js';
+import correctionRoutes from './routes/correctionRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import accountRoutes from './routes/accountRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
 
 const app = express();
 const server = http.createServer(app);
 
-// Configure CORS for Express
-app.use(cors({
-    origin: "*",
-    methods: ["GET", "POST", "PUT", "DELETE"]
+// ===== SECURITY CONFIGURATION =====
+// Browser origins allowed to call the API, comma separated. Unset means the
+// dashboard served by this server only.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+const CORS_OPTIONS = {
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"]
+};
+
+const RATE_LIMIT_CONFIG = {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 1000,
+    loginMax: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10
+};
+
+// Behind a reverse proxy the client address comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// The dashboard uses inline handlers and loads Socket.IO from cdnjs
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+            scriptSrcAttr: ["'unsafe-inline'"],
+            styleSrc: ["'self'", "'unsafe-inline'"],
+            connectSrc: ["'self'", ...CORS_ORIGINS]
+        }
+    }
 }));
 
+// Configure CORS for Express
+app.use(cors(CORS_OPTIONS));
+
 // Configure CORS for Socket.IO
 const io = new Server(server, {
     cors: {
-        origin: "*",
+        origin: CORS_OPTIONS.origin,
         methods: ["GET", "POST"]
     }
 });
 
+const apiLimiter = rateLimit({
+    windowMs: RATE_LIMIT_CONFIG.windowMs,
+    limit: RATE_LIMIT_CONFIG.max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many requests, try again later' }
+});
+
+// Failed sign-ins only, so a busy office sharing one address is not locked out
+const loginLimiter = rateLimit({
+    windowMs: RATE_LIMIT_CONFIG.windowMs,
+    limit: RATE_LIMIT_CONFIG.loginMax,
+    skipSuccessfulRequests: true,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many sign-in attempts, try again later' }
+});
+
 const EXPRESS_PORT = process.env.EXPRESS_PORT || 3000;
-const DEVICE_IP = '118.179.40.236';
-const DEVICE_PORT = 4370;
 const CONNECTION_TIMEOUT = 10000; // Increased timeout for VPS
 const MAX_RETRIES = 5;
+const DEVICE_SYNC_INTERVAL = 60000; // Pick up devices added or changed through /api/devices
+
+// Registered when the Device collection is empty, so an existing
+// single-terminal installation keeps working after upgrading
+const DEFAULT_DEVICE = {
+    name: 'Main Terminal',
+    ip: process.env.DEVICE_IP || '118.179.40.236',
+    port: parseInt(process.env.DEVICE_PORT) || 4370,
+    timeout: CONNECTION_TIMEOUT,
+    timeZone: process.env.DEVICE_TIME_ZONE
+};
+
+// ===== REAL-TIME FEED CONFIGURATION =====
+const REALTIME_CONFIG = {
+    historySize: 1000,      // Punches kept for clients joining or reconnecting
+    snapshotLimit: 200,     // Punches sent on subscribe unless the client asks for fewer
+    maxRoomsPerSocket: 50
+};
 
 // ===== SIMPLIFIED RUSH HANDLING CONFIGURATION =====
 const RUSH_HANDLING_CONFIG = {
@@ -42,12 +153,80 @@ const RUSH_HANDLING_CONFIG = {
     }
 };
 
+// ===== CIRCUIT BREAKER CONFIGURATION =====
+// One breaker per destination: after `failureThreshold` consecutive failures its
+// items are held in the queue until a half-open probe gets through
+const CIRCUIT_BREAKER_CONFIG = {
+    failureThreshold: 5,
+    resetTimeout: 30000,
+    halfOpenMaxRequests: 1
+};
+
 // External API Configuration
 const EXTERNAL_API_CONFIG = {
     enabled: true,
     url: 'https://laureates.aljaami.co.uk/api/pop.php',
     timeout: 8000
 };
+const DESTINATION_SYNC_INTERVAL = 30000;
+const EMPLOYEE_SYNC_INTERVAL = 60000; // Pick up directory changes made outside /api/employees
+
+// Registered when no destination is configured, so punches keep reaching
+// the HR endpoint in the shape it has always received
+const DEFAULT_DESTINATION = {
+    name: 'Laureates HR',
+    url: EXTERNAL_API_CONFIG.url,
+    method: 'POST',
+    contentType: 'json',
+    timeout: EXTERNAL_API_CONFIG.timeout,
+    template: {
+        fields: {
+            emp_code: 'empCode',
+            punch_time: { field: 'timestamp', format: 'HH:mm:ss' },
+            punch_date: { field: 'timestamp', format: 'YYYY-MM-DD' },
+            device_ip: 'deviceIp',
+            user_name: { field: 'userName', default: 'Unknown' }
+        }
+    },
+    // pop.php answers 200 with {"status":"error"} when it rejects a punch
+    responseRules: {
+        jsonNotEquals: [{ path: 'status', value: 'error' }]
+    }
+};
+
+// ===== CLOCK SYNC CONFIGURATION =====
+// Device clocks are compared with server time on a schedule and set back
+// when they drift past the threshold
+const CLOCK_SYNC_CONFIG = {
+    enabled: true,
+    schedule: '*/15 * * * *',
+    thresholdMs: 30000,
+    autoCorrect: true,
+    // Alert when a device needs this many corrections within the window
+    alertCorrections: 3,
+    alertWindowMs: 24 * 60 * 60 * 1000
+};
+
+// ===== USER SYNC CONFIGURATION =====
+// Enrolled users are copied between terminals following the employee
+// directory. Off by default: run it through POST /api/users/sync first.
+const USER_SYNC_CONFIG = {
+    enabled: false,
+    schedule: '0 * * * *',
+    // Also remove device users that are not in the directory
+    removeUnknown: false
+};
+
+// ===== PUNCH PAIRING CONFIGURATION =====
+// Most terminals report every punch as Check-in, so the type is inferred
+// from the user's punch sequence and shift, see services/punchPairing.js
+const PAIRING_CONFIG = {
+    duplicateWindowSeconds: 60,
+    maxSessionHours: 16,
+    maxBreakMinutes: 120,
+    // Treat a reported Check-in (state 0) as reliable
+    trustCheckIn: false
+};
 
 // ===== POLLING CONFIGURATION =====
 const POLLING_CONFIG = {
@@ -60,14 +239,23 @@ const POLLING_CONFIG = {
 const rushHandlingStats = {
     totalProcessed: 0,
     totalQueued: 0,
-    totalDropped: 0,
+    totalSpilled: 0,
+    totalRecovered: 0,
+    totalDeadLettered: 0,
+    totalDuplicates: 0,
+    totalHeld: 0,
     totalErrors: 0,
+    totalRetryableErrors: 0,
+    totalPermanentErrors: 0,
     queueLength: 0,
     concurrentPushes: 0
 };
 
-const pushQueue = [];
+// One in-memory queue per device so a busy terminal cannot starve the others
+const pushQueues = new Map();
+// isProcessingQueue guards against a second loop, queuePaused is the operator's pause
 let isProcessingQueue = false;
+let queuePaused = false;
 let concurrentPushCount = 0;
 
 // Track push statistics
@@ -78,52 +266,165 @@ const pushStatistics = {
     lastPush: null
 };
 
-let deviceInstance;
-let connectionAttempts = 0;
-let usersCache = [];
+// One session per registered device: connection, polling state, users and stats
+const deviceSessions = new Map();
+// Active destinations, oldest first, and their delivery counters
+let destinations = [];
+const destinationStats = new Map();
+const circuitBreakers = new Map();
+// Recent punches for the live feed, newest first, each with a `seq` clients
+// resume from after reconnecting
 let attendanceHistory = [];
-let lastPolledTimestamp = new Date();
-let realTimeListenersActive = false;
-let isPollingInProgress = false; // Prevent overlapping polls
-let pollingInterval;
+let attendanceSeq = 0;
 
 // Middleware
+app.use('/api/', apiLimiter);
+app.use('/api/auth/login', loginLimiter);
 app.use(express.json());
 app.use(express.static('public'));
+// Every /api route needs a session token or API key from here on
+app.use(authMiddleware.requireAccess);
 
 // ===== SIMPLIFIED QUEUE PROCESSING =====
 
 /**
- * Add record to processing queue
+ * Queue a record belongs to: its device, or its source for records
+ * that did not come from a device
+ */
+function getQueueKey(attendanceRecord) {
+    return attendanceRecord.deviceId || attendanceRecord.source || 'default';
+}
+
+function getQueue(queueKey) {
+    if (!pushQueues.has(queueKey)) {
+        pushQueues.set(queueKey, []);
+    }
+    return pushQueues.get(queueKey);
+}
+
+function getQueueLength() {
+    let length = 0;
+    for (const queue of pushQueues.values()) {
+        length += queue.length;
+    }
+    return length;
+}
+
+/**
+ * Take up to `size` items, round-robin across the device queues
+ */
+function takeBatch(size) {
+    const batch = [];
+    const queues = [...pushQueues.values()].filter(queue => queue.length > 0);
+
+    while (batch.length < size && queues.some(queue => queue.length > 0)) {
+        for (const queue of queues) {
+            if (queue.length > 0 && batch.length < size) {
+                batch.push(queue.shift());
+            }
+        }
+    }
+    return batch;
+}
+
+/**
+ * Convert a stored queue document into an in-memory queue item
+ */
+function toQueueItem(doc) {
+    return {
+        id: doc.queueId,
+        record: doc.record,
+        timestamp: doc.createdAt ? new Date(doc.createdAt).toISOString() : new Date().toISOString(),
+        destinationId: doc.destinationId || null,
+        destinationName: doc.destinationName || null,
+        attemptCount: doc.attemptCount || 0,
+        history: doc.history || [],
+        persisted: true
+    };
+}
+
+/**
+ * Update the stored state of a queue item without interrupting processing
+ */
+async function updateStoredQueueItem(queueId, update) {
+    try {
+        await QueueItem.updateOne({ queueId }, update);
+    } catch (error) {
+        console.error(`💾 Failed to update stored queue item ${queueId}:`, error.message);
+    }
+}
+
+/**
+ * Queue a punch once for every destination that wants it
+ */
+async function queueForDestinations(attendanceRecord) {
+    const user = findUser(attendanceRecord.userId, deviceSessions.get(attendanceRecord.deviceId));
+    const queued = [];
+
+    for (const destination of destinations) {
+        if (!destinationAccepts(destination, attendanceRecord, user)) continue;
+        const queueId = await addToProcessingQueue(attendanceRecord, destination);
+        queued.push({ destination: destination.name, queueId });
+    }
+    return queued;
+}
+
+/**
+ * Add record to the processing queue for one destination
  */
-function addToProcessingQueue(attendanceRecord) {
+async function addToProcessingQueue(attendanceRecord, destination) {
     const queueItem = {
         id: `queue-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         record: attendanceRecord,
         timestamp: new Date().toISOString(),
-        attemptCount: 0
+        destinationId: String(destination._id),
+        destinationName: destination.name,
+        attemptCount: 0,
+        history: [],
+        persisted: true
     };
 
-    // Check queue size limit
-    if (pushQueue.length >= RUSH_HANDLING_CONFIG.queueSize) {
-        const dropped = pushQueue.shift();
-        rushHandlingStats.totalDropped++;
-        console.warn(`🚨 Queue full, dropped record: ${dropped.id}`);
+    // When the device queue is full the item stays in storage only
+    // and is loaded back once the queue drains
+    const queueKey = getQueueKey(attendanceRecord);
+    const queue = getQueue(queueKey);
+    const spill = queue.length >= RUSH_HANDLING_CONFIG.queueSize;
+
+    try {
+        await QueueItem.create({
+            queueId: queueItem.id,
+            record: attendanceRecord,
+            recordId: attendanceRecord.id,
+            deviceKey: queueKey,
+            destinationId: queueItem.destinationId,
+            destinationName: queueItem.destinationName,
+            status: spill ? 'pending' : 'queued'
+        });
+    } catch (error) {
+        queueItem.persisted = false;
+        console.error(`💾 Failed to persist queue item ${queueItem.id}:`, error.message);
+    }
+
+    if (spill && queueItem.persisted) {
+        rushHandlingStats.totalSpilled++;
+        console.warn(`💾 Queue full, spilled record to storage: ${queueItem.id}`);
+    } else {
+        queue.push(queueItem);
     }
 
-    pushQueue.push(queueItem);
     rushHandlingStats.totalQueued++;
-    rushHandlingStats.queueLength = pushQueue.length;
+    rushHandlingStats.queueLength = getQueueLength();
+
+    const deviceStats = getDeviceStats(attendanceRecord);
+    if (deviceStats) deviceStats.queued++;
 
-    console.log(`📥 Added to queue: ${queueItem.id}. Queue length: ${pushQueue.length}`);
+    console.log(`📥 Added to queue ${queueKey} for ${destination.name}: ${queueItem.id}. Queue length: ${queue.length}`);
 
     // Start processing if not already running
-    if (!isProcessingQueue) {
-        setTimeout(processQueue, 10);
-    }
+    setTimeout(startQueueProcessing, 10);
 
-    io.emit('queue_status', {
-        queueLength: pushQueue.length,
+    publish('queue_status', QUEUE_ROOM, {
+        queueLength: getQueueLength(),
         concurrentPushes: concurrentPushCount,
         stats: rushHandlingStats
     });
@@ -131,6 +432,83 @@ function addToProcessingQueue(attendanceRecord) {
     return queueItem.id;
 }
 
+/**
+ * Load due items from storage into the in-memory device queues
+ */
+async function refillQueueFromStorage() {
+    try {
+        const dueFilter = {
+            status: { $in: ['pending', 'retrying'] },
+            nextAttemptAt: { $lte: new Date() }
+        };
+        const queueKeys = await QueueItem.distinct('deviceKey', dueFilter);
+        let loaded = 0;
+
+        for (const queueKey of queueKeys) {
+            const queue = getQueue(queueKey);
+            const room = RUSH_HANDLING_CONFIG.queueSize - queue.length;
+            if (room <= 0) continue;
+
+            const docs = await QueueItem.find({ ...dueFilter, deviceKey: queueKey })
+                .sort({ nextAttemptAt: 1, createdAt: 1 })
+                .limit(room)
+                .lean();
+
+            if (docs.length === 0) continue;
+
+            await QueueItem.updateMany(
+                { _id: { $in: docs.map(doc => doc._id) } },
+                { status: 'queued' }
+            );
+
+            queue.push(...docs.map(toQueueItem));
+            loaded += docs.length;
+        }
+
+        if (loaded === 0) return 0;
+
+        rushHandlingStats.queueLength = getQueueLength();
+        console.log(`💾 Loaded ${loaded} item(s) from storage into the queues`);
+        return loaded;
+    } catch (error) {
+        console.error('💾 Failed to load queue items from storage:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Resume items left over from a previous run
+ */
+async function resumePersistedQueue() {
+    try {
+        // Anything that was in memory when the process stopped goes back to pending
+        const result = await QueueItem.updateMany(
+            { status: 'queued' },
+            { status: 'pending' }
+        );
+        const backlog = await QueueItem.countDocuments({ status: { $in: ['pending', 'retrying'] } });
+        rushHandlingStats.totalRecovered += backlog;
+
+        console.log(`💾 Recovered ${backlog} stored queue item(s) (${result.modifiedCount} were in flight)`);
+    } catch (error) {
+        console.error('💾 Failed to recover stored queue:', error.message);
+    }
+
+    // Periodically pick up retries and spilled items that are due
+    setInterval(startQueueProcessing, RUSH_HANDLING_CONFIG.retryStrategy.maxDelay);
+
+    startQueueProcessing();
+}
+
+/**
+ * Start a processing loop unless one is running or the queue is paused
+ */
+function startQueueProcessing() {
+    if (!isProcessingQueue && !queuePaused) {
+        processQueue();
+    }
+}
+
 /**
  * Process the queue with controlled concurrency
  */
@@ -139,12 +517,24 @@ async function processQueue() {
         console.log('🔄 Queue processing already running, skipping...');
         return;
     }
+    if (queuePaused) {
+        return;
+    }
 
     isProcessingQueue = true;
-    console.log(`🚀 Starting queue processing. Items in queue: ${pushQueue.length}`);
 
     try {
-        while (pushQueue.length > 0 && isProcessingQueue) {
+        if (getQueueLength() === 0 && await refillQueueFromStorage() === 0) {
+            return;
+        }
+
+        console.log(`🚀 Starting queue processing. Items in queue: ${getQueueLength()}`);
+
+        while (!queuePaused) {
+            if (getQueueLength() === 0 && await refillQueueFromStorage() === 0) {
+                break;
+            }
+
             const availableSlots = RUSH_HANDLING_CONFIG.maxConcurrentPushes - concurrentPushCount;
             
             if (availableSlots <= 0) {
@@ -153,30 +543,29 @@ async function processQueue() {
                 continue;
             }
 
-            const batchSize = Math.min(availableSlots, RUSH_HANDLING_CONFIG.batchSize, pushQueue.length);
-            const batch = pushQueue.splice(0, batchSize);
-            rushHandlingStats.queueLength = pushQueue.length;
+            const batch = takeBatch(Math.min(availableSlots, RUSH_HANDLING_CONFIG.batchSize));
+            rushHandlingStats.queueLength = getQueueLength();
 
             console.log(`📦 Processing batch of ${batch.length} items`);
 
             const processingPromises = batch.map(item => processQueueItem(item));
             await Promise.allSettled(processingPromises);
 
-            if (pushQueue.length > 0) {
+            if (getQueueLength() > 0) {
                 await new Promise(resolve => setTimeout(resolve, RUSH_HANDLING_CONFIG.processingDelay));
             }
 
-            io.emit('queue_status', {
-                queueLength: pushQueue.length,
+            publish('queue_status', QUEUE_ROOM, {
+                queueLength: getQueueLength(),
                 concurrentPushes: concurrentPushCount,
                 stats: rushHandlingStats
             });
         }
+        console.log(queuePaused ? '⏸️ Queue processing stopped, queue is paused' : '✅ Queue processing completed');
     } catch (error) {
         console.error('❌ Error in queue processing:', error);
     } finally {
         isProcessingQueue = false;
-        console.log('✅ Queue processing completed');
     }
 }
 
@@ -189,41 +578,117 @@ async function processQueueItem(queueItem) {
     try {
         console.log(`🔧 Processing record ${queueItem.record.id} (Attempt ${queueItem.attemptCount + 1})`);
 
-        const result = await pushToExternalAPI(queueItem.record, queueItem.attemptCount);
+        // A removed or deactivated destination cannot be retried, the item is dead-lettered
+        const destination = findDestination(queueItem.destinationId);
+        const result = destination
+            ? await pushToExternalAPI(queueItem.record, queueItem.attemptCount, destination)
+            : { success: false, error: `Destination ${queueItem.destinationName || queueItem.destinationId} is no longer active`, attempts: [] };
+
+        if (result.held) {
+            // The destination is down: wait for its breaker instead of using up retries
+            await holdQueueItem(queueItem, result.retryAt);
+            return;
+        }
+
+        const deviceStats = getDeviceStats(queueItem.record);
+        const stats = destination ? getDestinationStats(destination) : null;
+        const retryPolicy = {
+            ...RUSH_HANDLING_CONFIG.retryStrategy,
+            ...(destination && destination.retryPolicy)
+        };
 
         if (result.success) {
             rushHandlingStats.totalProcessed++;
-            console.log(`✅ Successfully processed: ${queueItem.record.id} -> ${result.payload.emp_code} ${result.payload.punch_time}`);
+            if (deviceStats) deviceStats.delivered++;
+            stats.delivered++;
+            stats.lastDeliveredAt = new Date().toISOString();
+            console.log(`✅ Successfully processed: ${queueItem.record.id} -> ${result.destination}`);
+
+            await updateStoredQueueItem(queueItem.id, {
+                status: 'delivered',
+                attemptCount: queueItem.attemptCount + 1,
+                deliveredAt: new Date()
+            });
             
-            io.emit('external_api_push', {
+            publish('external_api_push', QUEUE_ROOM, {
                 recordId: queueItem.record.id,
+                destination: result.destination,
                 success: true,
                 message: 'Auto-pushed successfully',
                 payload: result.payload,
                 timestamp: new Date().toISOString()
             });
         } else {
+            // Without a destination there is nothing left to retry against
+            const retryable = Boolean(destination) && result.retryable !== false;
+
             rushHandlingStats.totalErrors++;
+            if (retryable) {
+                rushHandlingStats.totalRetryableErrors++;
+            } else {
+                rushHandlingStats.totalPermanentErrors++;
+            }
+            if (deviceStats) deviceStats.errors++;
+            if (stats) {
+                stats.errors++;
+                if (!retryable) stats.permanentErrors++;
+            }
             console.error(`❌ Failed to process: ${queueItem.record.id} - ${result.error}`);
+
+            const attemptEntry = {
+                attempt: queueItem.attemptCount + 1,
+                at: new Date(),
+                error: result.error,
+                payloads: result.attempts || []
+            };
+            queueItem.history.push(attemptEntry);
             
-            if (queueItem.attemptCount < RUSH_HANDLING_CONFIG.retryStrategy.maxRetries) {
+            if (retryable && queueItem.attemptCount < retryPolicy.maxRetries) {
                 queueItem.attemptCount++;
-                const backoffDelay = RUSH_HANDLING_CONFIG.retryStrategy.baseDelay * Math.pow(2, queueItem.attemptCount);
+                const backoffDelay = Math.min(
+                    retryPolicy.baseDelay * Math.pow(2, queueItem.attemptCount),
+                    retryPolicy.maxDelay
+                );
                 
                 console.log(`🔄 Retrying in ${backoffDelay}ms (Attempt ${queueItem.attemptCount + 1})`);
+
+                // The retry lives in storage so it survives a restart
+                if (queueItem.persisted) {
+                    await updateStoredQueueItem(queueItem.id, {
+                        status: 'retrying',
+                        attemptCount: queueItem.attemptCount,
+                        nextAttemptAt: new Date(Date.now() + backoffDelay),
+                        lastError: result.error,
+                        $push: { history: attemptEntry }
+                    });
+                }
                 
                 setTimeout(() => {
-                    pushQueue.push(queueItem);
-                    rushHandlingStats.queueLength = pushQueue.length;
-                    if (!isProcessingQueue) {
-                        processQueue();
+                    if (!queueItem.persisted) {
+                        getQueue(getQueueKey(queueItem.record)).push(queueItem);
+                        rushHandlingStats.queueLength = getQueueLength();
                     }
-                }, Math.min(backoffDelay, RUSH_HANDLING_CONFIG.retryStrategy.maxDelay));
+                    startQueueProcessing();
+                }, backoffDelay);
             } else {
-                console.error(`💀 Final failure after ${queueItem.attemptCount + 1} attempts: ${queueItem.record.id}`);
+                console.error(retryable
+                    ? `💀 Final failure after ${queueItem.attemptCount + 1} attempts: ${queueItem.record.id}`
+                    : `💀 Permanent failure, not retrying: ${queueItem.record.id}`);
+                if (deviceStats) deviceStats.failed++;
+                if (stats) stats.failed++;
+
+                await updateStoredQueueItem(queueItem.id, {
+                    status: 'failed',
+                    attemptCount: queueItem.attemptCount + 1,
+                    lastError: result.error,
+                    $push: { history: attemptEntry }
+                });
+
+                await moveToDeadLetters(queueItem, result.error, retryable ? 'retryable' : 'permanent');
                 
-                io.emit('external_api_push', {
+                publish('external_api_push', QUEUE_ROOM, {
                     recordId: queueItem.record.id,
+                    destination: queueItem.destinationName,
                     success: false,
                     message: `Failed after ${queueItem.attemptCount + 1} attempts: ${result.error}`,
                     timestamp: new Date().toISOString()
@@ -239,13 +704,170 @@ async function processQueueItem(queueItem) {
     }
 }
 
+/**
+ * Put an item aside until its destination's breaker lets requests through again
+ */
+async function holdQueueItem(queueItem, retryAt) {
+    rushHandlingStats.totalHeld++;
+    const delay = Math.max(retryAt.getTime() - Date.now(), RUSH_HANDLING_CONFIG.processingDelay);
+
+    console.log(`⏸️ Holding ${queueItem.record.id} for ${queueItem.destinationName} until ${retryAt.toISOString()}`);
+
+    // Stored items are picked up again by the storage sweep once due
+    if (queueItem.persisted) {
+        await updateStoredQueueItem(queueItem.id, {
+            status: 'pending',
+            nextAttemptAt: retryAt
+        });
+        return;
+    }
+
+    setTimeout(() => {
+        getQueue(getQueueKey(queueItem.record)).push(queueItem);
+        rushHandlingStats.queueLength = getQueueLength();
+        startQueueProcessing();
+    }, delay);
+}
+
+// ===== DEAD LETTER QUEUE =====
+
+/**
+ * Store a punch that exhausted its retries so it can be inspected and replayed
+ */
+async function moveToDeadLetters(queueItem, error, failureType) {
+    try {
+        const deadLetter = await DeadLetter.create({
+            queueId: queueItem.id,
+            record: queueItem.record,
+            userId: queueItem.record.userId != null ? String(queueItem.record.userId) : undefined,
+            destinationId: queueItem.destinationId,
+            destinationName: queueItem.destinationName,
+            error: error,
+            failureType: failureType,
+            attemptCount: queueItem.attemptCount + 1,
+            history: queueItem.history
+        });
+        rushHandlingStats.totalDeadLettered++;
+
+        console.warn(`🪦 Moved to dead letters: ${queueItem.record.id} for ${queueItem.destinationName} (${deadLetter._id})`);
+
+        publish('dead_letter', QUEUE_ROOM, {
+            id: deadLetter._id,
+            recordId: queueItem.record.id,
+            userId: deadLetter.userId,
+            destination: deadLetter.destinationName,
+            failureType: failureType,
+            error: error,
+            timestamp: new Date().toISOString()
+        });
+    } catch (storeError) {
+        console.error(`🪦 Failed to store dead letter for ${queueItem.record.id}:`, storeError.message);
+    }
+}
+
+/**
+ * Build a dead letter query from request filters
+ */
+function buildDeadLetterFilter(query) {
+    const { status = 'open', userId, destinationId, failureType, startDate, endDate, search } = query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (userId) filter.userId = String(userId);
+    if (destinationId) filter.destinationId = String(destinationId);
+    if (failureType) filter.failureType = failureType;
+    if (search) filter.error = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    return filter;
+}
+
+/**
+ * Send a dead letter back through the push queue of its destination.
+ * The dead letter is claimed before it is queued, so concurrent replays
+ * queue it once. Returns null when that destination is no longer active and
+ * false when the dead letter is no longer open.
+ */
+async function replayDeadLetter(deadLetter) {
+    const destination = findDestination(deadLetter.destinationId);
+    if (!destination) return null;
+
+    const claimed = await DeadLetter.findOneAndUpdate(
+        { _id: deadLetter._id, status: 'open' },
+        { status: 'replayed', replayedAt: new Date() },
+        { new: true }
+    );
+    if (!claimed) return false;
+
+    let queueId;
+    try {
+        queueId = await addToProcessingQueue(claimed.record, destination);
+    } catch (error) {
+        await DeadLetter.updateOne({ _id: claimed._id }, { status: 'open', $unset: { replayedAt: 1 } });
+        throw error;
+    }
+    await DeadLetter.updateOne({ _id: claimed._id }, { replayQueueId: queueId });
+
+    console.log(`♻️ Replayed dead letter ${claimed._id} as ${queueId}`);
+    return queueId;
+}
+
 // ===== HELPER FUNCTIONS =====
-function findUserName(userId) {
-    if (!usersCache || !Array.isArray(usersCache)) return 'Unknown';
-    const user = usersCache.find(u => u.userId == userId || u.id == userId);
+
+/**
+ * Look up a device user, preferring the device the punch came from
+ */
+function findDeviceUser(userId, session = null) {
+    const sessions = session
+        ? [session, ...[...deviceSessions.values()].filter(s => s !== session)]
+        : [...deviceSessions.values()];
+
+    for (const { usersCache } of sessions) {
+        if (!usersCache || !Array.isArray(usersCache)) continue;
+        const user = usersCache.find(u => u.userId == userId || u.id == userId);
+        if (user) return user;
+    }
+    return null;
+}
+
+/**
+ * Everything known about the user behind a punch: the device user, with
+ * the directory's employee details on top when the user is mapped
+ */
+function findUser(userId, session = null) {
+    const deviceUser = findDeviceUser(userId, session);
+    const employee = findEmployee(session && session.key, userId);
+    if (!employee) return deviceUser;
+
+    return {
+        ...deviceUser,
+        name: employee.name,
+        empCode: employee.empCode,
+        department: employee.department,
+        email: employee.email,
+        isActive: employee.isActive,
+        group: (deviceUser && deviceUser.group) || employee.department
+    };
+}
+
+function findUserName(userId, session = null) {
+    const user = findUser(userId, session);
     return user ? user.name : 'Unknown';
 }
 
+/**
+ * Per-device statistics for a record, if it came from a registered device
+ */
+function getDeviceStats(attendanceRecord) {
+    const session = attendanceRecord.deviceId && deviceSessions.get(attendanceRecord.deviceId);
+    return session ? session.stats : null;
+}
+
 function determineVerificationMethod(logData) {
     if (!logData) return 'Unknown';
     const verificationType = logData.type;
@@ -274,158 +896,323 @@ function determinePunchType(logData) {
     }
 }
 
-function parseZktecoTime(recordTime) {
+/**
+ * Turn a device time into an instant. The device libraries express the
+ * terminal's wall clock in the server's zone, so it is re-read in the
+ * device's own zone.
+ */
+function parseZktecoTime(recordTime, timeZone = SERVER_TIME_ZONE) {
     if (!recordTime) return new Date();
     try {
-        const datePart = recordTime.split(' GMT')[0];
-        return new Date(datePart);
+        const wallClock = recordTime instanceof Date
+            ? recordTime
+            : new Date(recordTime.split(' GMT')[0]);
+        return deviceTimeToInstant(wallClock, timeZone);
     } catch (error) {
         return new Date();
     }
 }
 
-// ===== EXTERNAL API PUSH =====
-async function pushToExternalAPI(attendanceData, retryCount = 0) {
-    if (!EXTERNAL_API_CONFIG.enabled) {
-        return { 
-            success: false, 
-            message: 'External API disabled',
-            retryCount: retryCount
-        };
-    }
-
-    pushStatistics.totalPushes++;
+/**
+ * Build a normalized attendance record from a raw device log.
+ * The record id is the punch key, so every source agrees on it.
+ */
+function buildAttendanceRecord(logData, source, session) {
+    // Polled logs carry record_time, real-time events carry attTime
+    const timeZone = session.device.timeZone || SERVER_TIME_ZONE;
+    const timestamp = parseZktecoTime(logData.record_time || logData.attTime, timeZone);
+    const userId = logData.user_id || logData.userId || 'Unknown';
+    // HR knows mapped users by their employee code, others by the device id
+    const employee = findEmployee(session.key, userId);
 
-    try {
-        const emp_code = attendanceData.userId;
-        
-        const punch_time = new Date(attendanceData.timestamp);
-        const formattedTime = punch_time.toLocaleTimeString('en-GB', { 
-            hour12: false,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
+    const attendanceRecord = {
+        userId: userId,
+        userName: findUserName(userId, session),
+        empCode: employee ? employee.empCode : String(userId),
+        department: employee ? employee.department : null,
+        timestamp: timestamp.toISOString(),
+        verificationMethod: determineVerificationMethod(logData),
+        punchType: determinePunchType(logData),
+        state: logData.state !== undefined ? logData.state : null,
+        source: source,
+        deviceId: session.key,
+        deviceName: session.device.name,
+        deviceIp: session.device.ip,
+        timeZone: timeZone,
+        rawData: logData
+    };
+    attendanceRecord.id = buildPunchKey(attendanceRecord);
 
-        const formattedDate = punch_time.toISOString().split('T')[0];
+    return attendanceRecord;
+}
 
-        const payloadVariations = [
-            {
-                emp_code: emp_code,
-                punch_time: formattedTime,
-                punch_date: formattedDate,
-                device_ip: DEVICE_IP,
-                user_name: attendanceData.userName || 'Unknown'
-            },
-            {
-                employee_code: emp_code,
-                time: formattedTime,
-                date: formattedDate
-            },
-            {
-                emp_id: emp_code,
-                punch_time: formattedTime,
-                punch_date: formattedDate
-            }
-        ];
+// ===== EMPLOYEE DIRECTORY =====
+async function refreshEmployeeDirectory() {
+    try {
+        await loadEmployeeDirectory();
+    } catch (error) {
+        console.error('❌ Failed to load employee directory:', error.message);
+    }
+}
 
-        let lastError = null;
-        
-        for (const payload of payloadVariations) {
-            try {
-                console.log(`\n📤 [PUSH START] Attempting to push attendance data:`);
-                console.log(`   👤 Employee: ${attendanceData.userName} (${emp_code})`);
-                console.log(`   🕒 Time: ${formattedTime}`);
-                console.log(`   📅 Date: ${formattedDate}`);
-                console.log(`   🔄 Attempt: ${retryCount + 1}`);
-                console.log(`   📦 Payload:`, JSON.stringify(payload, null, 2));
-
-                const response = await fetch(EXTERNAL_API_CONFIG.url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(payload),
-                    signal: AbortSignal.timeout(EXTERNAL_API_CONFIG.timeout)
-                });
+/**
+ * HR employee code for a punch. Looked up again at push time so punches
+ * queued before a user was mapped still go out under the right code.
+ */
+function resolveEmpCode(attendanceRecord) {
+    // Manual punches are entered by employee code already
+    const employee = attendanceRecord.deviceId && findEmployee(attendanceRecord.deviceId, attendanceRecord.userId);
+    if (employee) return employee.empCode;
+    return attendanceRecord.empCode || String(attendanceRecord.userId);
+}
 
-                const responseText = await response.text();
-                let responseData;
-                
-                try {
-                    responseData = JSON.parse(responseText);
-                } catch (e) {
-                    responseData = { message: responseText, raw: responseText };
-                }
+// ===== DESTINATIONS =====
+async function loadDestinations() {
+    try {
+        destinations = await Destination.find({ isActive: true }).sort({ createdAt: 1 }).lean();
+    } catch (error) {
+        console.error('❌ Failed to load destinations:', error.message);
+    }
+}
 
-                console.log(`📡 [API RESPONSE] Status: ${response.status}`);
-                console.log(`   Response:`, JSON.stringify(responseData, null, 2));
-
-                if (response.ok) {
-                    pushStatistics.successfulPushes++;
-                    pushStatistics.lastPush = new Date().toISOString();
-
-                    console.log(`✅ [PUSH SUCCESS] External API accepted the data`);
-                    console.log(`   👤 Employee: ${emp_code}`);
-                    console.log(`   🕒 Time: ${formattedTime}`);
-                    console.log(`   📊 Response:`, responseData);
-
-                    return {
-                        success: true,
-                        data: responseData,
-                        payload: payload,
-                        retryCount: retryCount
-                    };
-                } else {
-                    lastError = new Error(`HTTP ${response.status}: ${response.statusText} - ${responseText}`);
-                    console.warn(`⚠️ [PUSH FAILED] Payload format failed, trying next format...`);
-                }
-            } catch (error) {
-                lastError = error;
-                console.warn(`⚠️ [PUSH ERROR] Payload format error:`, error.message);
-            }
+async function seedDefaultDestination() {
+    try {
+        if (await Destination.countDocuments() === 0) {
+            const destination = await Destination.create(DEFAULT_DESTINATION);
+            console.log(`🎯 No destinations configured, added ${destination.name} (${destination.url})`);
+            return;
         }
 
-        throw lastError || new Error('All payload formats failed');
-
+        // Earlier releases seeded emp_code from the raw device user id
+        const upgraded = await Destination.updateOne(
+            { name: DEFAULT_DESTINATION.name, 'template.fields.emp_code': 'userId' },
+            { $set: { 'template.fields.emp_code': 'empCode' } }
+        );
+        if (upgraded.modifiedCount > 0) {
+            console.log(`🎯 ${DEFAULT_DESTINATION.name} now sends employee codes from the directory`);
+        }
     } catch (error) {
-        pushStatistics.failedPushes++;
-        
-        console.error(`❌ [PUSH FINAL FAILURE] All attempts failed:`);
-        console.error(`   👤 Employee: ${attendanceData.userId}`);
-        console.error(`   🕒 Time: ${new Date(attendanceData.timestamp).toLocaleTimeString('en-GB', { hour12: false })}`);
-        console.error(`   📅 Date: ${new Date(attendanceData.timestamp).toISOString().split('T')[0]}`);
-        console.error(`   ❌ Error: ${error.message}`);
-        
-        return {
-            success: false,
-            error: error.message,
-            payload: {
-                emp_code: attendanceData.userId,
-                punch_time: new Date(attendanceData.timestamp).toLocaleTimeString('en-GB', { hour12: false }),
-                punch_date: new Date(attendanceData.timestamp).toISOString().split('T')[0]
-            },
-            retryCount: retryCount
-        };
+        console.error('❌ Failed to register default destination:', error.message);
     }
 }
 
-// ===== ENHANCED POLLING MECHANISM WITH ERROR HANDLING =====
-async function pollForNewAttendances() {
-    if (!deviceInstance || !POLLING_CONFIG.enabled || isPollingInProgress) {
-        if (isPollingInProgress) {
-            console.log('⏳ [POLLING] Previous poll still in progress, skipping...');
-        }
-        return;
-    }
+function getPrimaryDestination() {
+    return destinations[0] || null;
+}
+
+/**
+ * Active destination by id. Items stored before destinations existed
+ * carry no id and belong to the primary destination.
+ */
+function findDestination(destinationId) {
+    if (!destinationId) return getPrimaryDestination();
+    return destinations.find(destination => String(destination._id) === destinationId) || null;
+}
+
+function getDestinationStats(destination) {
+    const key = String(destination._id);
+    if (!destinationStats.has(key)) {
+        destinationStats.set(key, { delivered: 0, errors: 0, permanentErrors: 0, failed: 0, lastDeliveredAt: null });
+    }
+    return destinationStats.get(key);
+}
+
+function getCircuitBreaker(destination) {
+    const key = String(destination._id);
+    if (!circuitBreakers.has(key)) {
+        circuitBreakers.set(key, new CircuitBreaker(destination.name, CIRCUIT_BREAKER_CONFIG, (breaker, previous) => {
+            const icon = breaker.state === 'open' ? '🔴' : breaker.state === 'half-open' ? '🟡' : '🟢';
+            console.log(`${icon} [CIRCUIT BREAKER] ${breaker.name}: ${previous} -> ${breaker.state}`);
+            publish('circuit_breaker', QUEUE_ROOM, { destinationId: key, ...breaker.getStatus() });
+        }));
+    }
+    return circuitBreakers.get(key);
+}
+
+/**
+ * Failures that say the destination is unreachable or overloaded, as opposed
+ * to a request it refused. Only these count towards opening the breaker.
+ */
+function isAvailabilityFailure(status) {
+    return status === undefined || status === 429 || status >= 500;
+}
+
+/**
+ * Whether a punch passes a destination's device, user group and punch type filters
+ */
+function destinationAccepts(destination, attendanceRecord, user) {
+    const { devices = [], userGroups = [], punchTypes = [] } = destination.filters || {};
+
+    if (devices.length > 0 && !devices.some(deviceId => String(deviceId) === attendanceRecord.deviceId)) {
+        return false;
+    }
+    if (userGroups.length > 0 && !(user && userGroups.includes(user.group))) {
+        return false;
+    }
+    if (punchTypes.length > 0 && !punchTypes.includes(attendanceRecord.punchType)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Send a rendered payload to a destination, authenticated the way it expects,
+ * and parse the response
+ */
+async function sendToDestination(destination, payload) {
+    const request = applyAuth(destination.auth, buildRequest(destination, payload));
+    const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: AbortSignal.timeout(destination.timeout || EXTERNAL_API_CONFIG.timeout)
+    });
+
+    const responseText = await response.text();
+    let responseData;
+
+    try {
+        responseData = JSON.parse(responseText);
+    } catch (e) {
+        responseData = { message: responseText, raw: responseText };
+    }
+
+    return { response, responseText, responseData };
+}
+
+// ===== EXTERNAL API PUSH =====
+async function pushToExternalAPI(attendanceData, retryCount, destination) {
+    if (!EXTERNAL_API_CONFIG.enabled) {
+        return { 
+            success: false, 
+            message: 'External API disabled',
+            retryCount: retryCount
+        };
+    }
+
+    if (!destination) {
+        return {
+            success: false,
+            error: 'No active destination configured',
+            attempts: [],
+            retryCount: retryCount
+        };
+    }
+
+    const breaker = getCircuitBreaker(destination);
+    if (!breaker.tryAcquire()) {
+        return {
+            success: false,
+            held: true,
+            error: `Circuit open for ${destination.name}`,
+            retryAt: breaker.getRetryAt(),
+            destination: destination.name,
+            attempts: [],
+            retryCount: retryCount
+        };
+    }
+
+    pushStatistics.totalPushes++;
+
+    let payload = null;
+    try {
+        const session = deviceSessions.get(attendanceData.deviceId) || null;
+        payload = renderPayload(
+            destination.template,
+            { ...attendanceData, empCode: resolveEmpCode(attendanceData) },
+            findUser(attendanceData.userId, session),
+            destination.timeZone || SERVER_TIME_ZONE
+        );
+
+        console.log(`\n📤 [PUSH START] Attempting to push attendance data to ${destination.name}:`);
+        console.log(`   👤 Employee: ${attendanceData.userName} (${attendanceData.userId})`);
+        console.log(`   🕒 Time: ${attendanceData.timestamp}`);
+        console.log(`   🔄 Attempt: ${retryCount + 1}`);
+        console.log(`   📦 Payload:`, JSON.stringify(payload, null, 2));
+
+        const { response, responseText, responseData } = await sendToDestination(destination, payload);
+
+        console.log(`📡 [API RESPONSE] Status: ${response.status}`);
+        console.log(`   Response:`, JSON.stringify(responseData, null, 2));
+
+        // A 2xx alone is not enough, the destination's rules decide
+        const verdict = evaluateResponse(destination.responseRules, {
+            status: response.status,
+            text: responseText,
+            data: responseData
+        });
+        if (!verdict.success) {
+            const error = new Error(`${verdict.reason} - ${responseText}`);
+            error.status = response.status;
+            error.retryable = verdict.retryable;
+            throw error;
+        }
+
+        breaker.recordSuccess();
+        pushStatistics.successfulPushes++;
+        pushStatistics.lastPush = new Date().toISOString();
+
+        console.log(`✅ [PUSH SUCCESS] ${destination.name} accepted the data`);
+        console.log(`   👤 Employee: ${attendanceData.userId}`);
+        console.log(`   📊 Response:`, responseData);
+
+        return {
+            success: true,
+            data: responseData,
+            payload: payload,
+            destination: destination.name,
+            attempts: [],
+            retryCount: retryCount
+        };
+
+    } catch (error) {
+        pushStatistics.failedPushes++;
+
+        // A rejected request still proves the destination is reachable
+        if (isAvailabilityFailure(error.status)) {
+            breaker.recordFailure(error.message);
+        } else {
+            breaker.recordSuccess();
+        }
+
+        // Network errors and timeouts carry no verdict and are worth retrying
+        const retryable = error.retryable !== undefined ? error.retryable : true;
+        
+        console.error(`❌ [PUSH FAILURE] ${destination.name} rejected the data (${retryable ? 'retryable' : 'permanent'}):`);
+        console.error(`   👤 Employee: ${attendanceData.userId}`);
+        console.error(`   🕒 Time: ${attendanceData.timestamp}`);
+        console.error(`   ❌ Error: ${error.message}`);
+        
+        return {
+            success: false,
+            retryable: retryable,
+            error: error.message,
+            payload: payload,
+            destination: destination.name,
+            attempts: [{ payload, status: error.status, error: error.message }],
+            retryCount: retryCount
+        };
+    }
+}
+
+// ===== ENHANCED POLLING MECHANISM WITH ERROR HANDLING =====
+async function pollForNewAttendances(session) {
+    const busyWith = zktecoService.busyWith(session.key);
+    if (!session.connected || !POLLING_CONFIG.enabled || busyWith) {
+        if (busyWith) {
+            console.log(`⏳ [POLLING] [${session.device.name}] Device busy with ${busyWith}, skipping...`);
+        }
+        return;
+    }
+
+    zktecoService.claim(session.key, 'poll');
+    session.isPollingInProgress = true;
+
+    try {
+        console.log(`\n🔍 [POLLING] [${session.device.name}] Checking for new attendance records...`);
 
-    isPollingInProgress = true;
-    
-    try {
-        console.log(`\n🔍 [POLLING] Checking for new attendance records...`);
-        
         // Add timeout to prevent hanging
-        const pollPromise = deviceInstance.getAttendances();
+        const pollPromise = zktecoService.getAttendances(session.key);
         const timeoutPromise = new Promise((_, reject) => 
             setTimeout(() => reject(new Error('Polling timeout')), 10000)
         );
@@ -440,7 +1227,7 @@ async function pollForNewAttendances() {
             if (pollError.message.includes('ERROR_IN_UNHANDLE_CMD') || 
                 pollError.message.includes('UNKNOWN ERROR')) {
                 console.log('🔄 [POLLING] Device communication error, attempting to reconnect...');
-                await reinitializeDeviceConnection();
+                await reinitializeDeviceConnection(session);
                 return;
             }
             throw pollError;
@@ -451,33 +1238,32 @@ async function pollForNewAttendances() {
         }
 
         // Process logs and find new ones
-        let newLogs = deviceLogs.map((log, index) => {
-            const timestamp = parseZktecoTime(log.record_time);
-            const userId = log.user_id || log.userId || 'Unknown';
+        let newLogs = deviceLogs.map(log => {
+            const attendanceRecord = buildAttendanceRecord(log, 'poll', session);
             return {
-                id: `poll-${timestamp.getTime()}-${index}`,
-                userId: userId,
-                userName: findUserName(userId),
-                timestamp: timestamp.toISOString(),
-                verificationMethod: determineVerificationMethod(log),
-                punchType: determinePunchType(log),
-                deviceIp: DEVICE_IP,
-                rawData: log,
-                pollTime: timestamp
+                ...attendanceRecord,
+                pollTime: new Date(attendanceRecord.timestamp)
             };
         });
 
-        // Filter only new records since last poll
-        newLogs = newLogs.filter(log => log.pollTime > lastPolledTimestamp);
+        // Records past the checkpointed position are new whatever their timestamp,
+        // so a device clock running ahead cannot mask them. If the device log was
+        // cleared or the cursor was reset, fall back to the timestamp.
+        if (session.lastPolledRecordCount !== null && newLogs.length >= session.lastPolledRecordCount) {
+            newLogs = newLogs.slice(session.lastPolledRecordCount);
+        } else {
+            newLogs = newLogs.filter(log => log.pollTime > session.lastPolledTimestamp);
+        }
         
         // Sort by timestamp
         newLogs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
         if (newLogs.length > 0) {
-            console.log(`🎯 [POLLING] Found ${newLogs.length} new attendance record(s) since last poll`);
+            console.log(`🎯 [POLLING] [${session.device.name}] Found ${newLogs.length} new attendance record(s) since last poll`);
             
-            // Process each new record
-            newLogs.forEach(log => {
+            // Process each new record. One that cannot be stored stops the poll
+            // before the cursor moves, so the next poll tries it again.
+            for (const log of newLogs) {
                 console.log(`\n🎯 [POLLED PUNCH] Detected via polling:`);
                 console.log(`   👤 User: ${log.userName} (${log.userId})`);
                 console.log(`   🕒 Time: ${new Date(log.timestamp).toLocaleTimeString()}`);
@@ -486,15 +1272,27 @@ async function pollForNewAttendances() {
                 console.log(`   📝 Type: ${log.punchType}`);
                 
                 // Process this attendance record
-                processAttendanceRecord(log);
-            });
+                try {
+                    await processAttendanceRecord(log);
+                } catch (error) {
+                    console.error(`💾 [POLLING] [${session.device.name}] Failed to record punch ${log.id}, retrying on the next poll:`, error.message);
+                    return;
+                }
+            }
 
             // Update last polled timestamp to the latest record
-            lastPolledTimestamp = new Date(Math.max(...newLogs.map(log => log.pollTime.getTime())));
+            session.lastPolledTimestamp = new Date(Math.max(
+                session.lastPolledTimestamp.getTime(),
+                ...newLogs.map(log => log.pollTime.getTime())
+            ));
         } else {
-            console.log(`🔍 [POLLING] No new records found since last poll`);
+            console.log(`🔍 [POLLING] [${session.device.name}] No new records found since last poll`);
         }
 
+        session.lastPolledRecordCount = deviceLogs.length;
+        session.stats.lastPolledAt = new Date().toISOString();
+        await savePollingCursor(session);
+
     } catch (error) {
         console.error('❌ [POLLING ERROR] Failed to poll attendance data:', error.message);
         
@@ -503,78 +1301,183 @@ async function pollForNewAttendances() {
             error.message.includes('socket') || 
             error.message.includes('connection')) {
             console.log('🔄 [POLLING] Device connection issue detected, attempting to reconnect...');
-            await reinitializeDeviceConnection();
+            await reinitializeDeviceConnection(session);
         }
     } finally {
-        isPollingInProgress = false;
+        session.isPollingInProgress = false;
+        zktecoService.release(session.key);
+    }
+}
+
+// ===== POLLING CURSOR =====
+
+/**
+ * Restore the polling position from storage so punches made while
+ * the server was down are caught up on the first poll
+ */
+async function loadPollingCursor(session) {
+    try {
+        // Cursors saved before multi-device support are keyed by IP
+        const cursor = await PollingCursor.findOne({ deviceKey: session.key }) ||
+            await PollingCursor.findOne({ deviceKey: session.device.ip });
+        if (cursor) {
+            session.lastPolledTimestamp = cursor.lastTimestamp || session.lastPolledTimestamp;
+            session.lastPolledRecordCount = cursor.recordCount;
+            console.log(`📍 [POLLING] [${session.device.name}] Resuming from ${session.lastPolledTimestamp.toISOString()} (record ${session.lastPolledRecordCount ?? 'n/a'})`);
+        } else {
+            console.log(`📍 [POLLING] [${session.device.name}] No stored cursor, starting from now`);
+        }
+    } catch (error) {
+        console.error('📍 [POLLING] Failed to load polling cursor:', error.message);
+    }
+}
+
+/**
+ * Checkpoint the polling position after a successful poll
+ */
+async function savePollingCursor(session, extra = {}) {
+    try {
+        return await PollingCursor.findOneAndUpdate(
+            { deviceKey: session.key },
+            {
+                lastTimestamp: session.lastPolledTimestamp,
+                recordCount: session.lastPolledRecordCount,
+                lastPolledAt: new Date(),
+                ...extra
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        console.error('📍 [POLLING] Failed to save polling cursor:', error.message);
+        return null;
     }
 }
 
 // ===== DEVICE RECONNECTION HANDLER =====
-async function reinitializeDeviceConnection() {
-    console.log('🔄 Attempting to reinitialize device connection...');
-    
-    if (deviceInstance) {
+
+/**
+ * Stop polling and close the device socket
+ */
+async function disconnectDeviceSession(session) {
+    if (session.pollingInterval) {
+        clearInterval(session.pollingInterval);
+        session.pollingInterval = null;
+    }
+    if (session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+    }
+
+    if (session.connected || zktecoService.isDeviceConnected(session.key)) {
         try {
-            deviceInstance.disconnect();
-            console.log('📴 Disconnected from device');
+            await zktecoService.disconnect(session.key);
+            console.log(`📴 [${session.device.name}] Disconnected from device`);
         } catch (error) {
-            console.log('⚠️ Error during device disconnect:', error.message);
+            console.log(`⚠️ [${session.device.name}] Error during device disconnect:`, error.message);
         }
-        deviceInstance = null;
     }
-    
+
+    session.connected = false;
+    session.realTimeListenersActive = false;
+}
+
+async function reinitializeDeviceConnection(session) {
+    console.log(`🔄 [${session.device.name}] Attempting to reinitialize device connection...`);
+
+    await disconnectDeviceSession(session);
+
     // Reset connection attempts to allow reconnection
-    connectionAttempts = 0;
-    
+    session.connectionAttempts = 0;
+
     // Reinitialize after a short delay
-    setTimeout(() => {
-        console.log('🔄 Reinitializing device connection...');
-        initializeDevice();
-    }, 5000);
+    scheduleDeviceInitialization(session, 5000);
 }
 
 // ===== ATTENDANCE PROCESSING =====
-function processAttendanceRecord(attendanceRecord) {
+/** Re-pair the user's recent punches and tag the record with its inferred type */
+async function inferPunchType(record) {
+    try {
+        record.inferredPunchType = await pairRecentPunches(record, PAIRING_CONFIG);
+    } catch (error) {
+        console.error(`🔗 Failed to pair punch ${record.id}:`, error.message);
+    }
+}
+
+/**
+ * Store a punch and push it on. Each physical punch is processed exactly
+ * once, whichever source saw it first. A punch that cannot be stored is not
+ * pushed either: the error is thrown so the caller can retry it later.
+ */
+async function processAttendanceRecord(attendanceRecord) {
+    const { duplicate } = await recordPunch(attendanceRecord);
+    if (duplicate) {
+        rushHandlingStats.totalDuplicates++;
+        const duplicateStats = getDeviceStats(attendanceRecord);
+        if (duplicateStats) duplicateStats.duplicates++;
+        console.log(`♊ [DUPLICATE] Punch ${attendanceRecord.id} already processed, skipping`);
+        return false;
+    }
+    await inferPunchType(attendanceRecord);
+
+    await dispatchAttendanceRecord(attendanceRecord);
+    return true;
+}
+
+/** Push a stored punch to the destinations and the live feed */
+async function dispatchAttendanceRecord(attendanceRecord) {
+    const deviceStats = getDeviceStats(attendanceRecord);
+    if (deviceStats) {
+        deviceStats.punches++;
+        deviceStats.lastPunchAt = attendanceRecord.timestamp;
+    }
+
     console.log(`\n🎯 ===== PROCESSING ATTENDANCE RECORD =====`);
     console.log(`   👤 User: ${attendanceRecord.userName} (${attendanceRecord.userId})`);
     console.log(`   🕒 Time: ${new Date(attendanceRecord.timestamp).toLocaleTimeString()}`);
     console.log(`   📅 Date: ${new Date(attendanceRecord.timestamp).toLocaleDateString()}`);
     console.log(`   🔒 Method: ${attendanceRecord.verificationMethod}`);
-    console.log(`   📝 Type: ${attendanceRecord.punchType}`);
-    
+    console.log(`   📝 Type: ${attendanceRecord.punchType}${attendanceRecord.inferredPunchType ? ` (inferred: ${attendanceRecord.inferredPunchType})` : ''}`);
+    console.log(`   📟 Device: ${attendanceRecord.deviceName || attendanceRecord.source}`);
+
     // ===== AUTO PUSH TO EXTERNAL API =====
     if (EXTERNAL_API_CONFIG.enabled) {
         if (RUSH_HANDLING_CONFIG.enabled) {
-            const queueId = addToProcessingQueue(attendanceRecord);
-            console.log(`🚀 [AUTO PUSH QUEUED] Added to processing queue`);
-            console.log(`   📋 Queue ID: ${queueId}`);
-            console.log(`   📊 Queue Length: ${pushQueue.length}`);
-            
-            io.emit('attendance_queued', {
+            const queued = await queueForDestinations(attendanceRecord);
+            console.log(`🚀 [AUTO PUSH QUEUED] Added to processing queue for ${queued.length} destination(s)`);
+            queued.forEach(({ destination, queueId }) => console.log(`   📋 ${destination}: ${queueId}`));
+            console.log(`   📊 Queue Length: ${getQueueLength()}`);
+
+            publish('attendance_queued', QUEUE_ROOM, {
                 recordId: attendanceRecord.id,
-                queueId: queueId,
-                queueLength: pushQueue.length
+                deviceId: attendanceRecord.deviceId,
+                queued: queued,
+                queueLength: getQueueLength()
             });
         } else {
             console.log('⚡ [DIRECT PUSH] Attempting direct push to external API...');
-            pushToExternalAPI(attendanceRecord)
-                .then(result => {
-                    if (result.success) {
-                        console.log(`✅ [DIRECT PUSH SUCCESS] Completed successfully`);
-                        io.emit('external_api_push', {
-                            recordId: attendanceRecord.id,
-                            success: true,
-                            message: 'Auto-pushed successfully',
-                            payload: result.payload,
-                            timestamp: new Date().toISOString()
+            const user = findUser(attendanceRecord.userId, deviceSessions.get(attendanceRecord.deviceId));
+            destinations
+                .filter(destination => destinationAccepts(destination, attendanceRecord, user))
+                .forEach(destination => {
+                    pushToExternalAPI(attendanceRecord, 0, destination)
+                        .then(result => {
+                            if (result.success) {
+                                console.log(`✅ [DIRECT PUSH SUCCESS] ${destination.name} completed successfully`);
+                                publish('external_api_push', QUEUE_ROOM, {
+                                    recordId: attendanceRecord.id,
+                                    destination: destination.name,
+                                    success: true,
+                                    message: 'Auto-pushed successfully',
+                                    payload: result.payload,
+                                    timestamp: new Date().toISOString()
+                                });
+                            } else {
+                                console.error(`❌ [DIRECT PUSH FAILED] ${destination.name} error: ${result.error}`);
+                            }
+                        })
+                        .catch(error => {
+                            console.error('🚨 [DIRECT PUSH ERROR] Unexpected error:', error);
                         });
-                    } else {
-                        console.error(`❌ [DIRECT PUSH FAILED] Error: ${result.error}`);
-                    }
-                })
-                .catch(error => {
-                    console.error('🚨 [DIRECT PUSH ERROR] Unexpected error:', error);
                 });
         }
     } else {
@@ -582,82 +1485,93 @@ function processAttendanceRecord(attendanceRecord) {
     }
     
     // Add to history
-    attendanceHistory.unshift(attendanceRecord);
-    if (attendanceHistory.length > 1000) {
-        attendanceHistory = attendanceHistory.slice(0, 1000);
+    const entry = { ...attendanceRecord, seq: ++attendanceSeq };
+    attendanceHistory.unshift(entry);
+    if (attendanceHistory.length > REALTIME_CONFIG.historySize) {
+        attendanceHistory = attendanceHistory.slice(0, REALTIME_CONFIG.historySize);
     }
     
-    // Broadcast to clients
-    io.emit('attendance_record', attendanceRecord);
-    io.emit('attendance_history', attendanceHistory);
+    // Only the new punch goes out, clients keep their own list
+    publish('attendance_record', recordRooms(entry), entry);
     
     console.log('🎯 ===== ATTENDANCE PROCESSING COMPLETE =====\n');
 }
 
 // ===== REAL-TIME ATTENDANCE PROCESSING =====
-async function processAndBroadcastAttendance(logData) {
-    console.log('\n🎯 ===== REAL-TIME PUNCH DETECTED =====');
+async function processAndBroadcastAttendance(logData, session) {
+    console.log(`\n🎯 ===== REAL-TIME PUNCH DETECTED [${session.device.name}] =====`);
     console.log('📥 Raw device data:', JSON.stringify(logData, null, 2));
-    
+
     if (!logData) return;
-    
-    const timestamp = parseZktecoTime(logData.record_time);
-    const userId = logData.user_id || logData.userId || 'Unknown';
-    
-    const attendanceRecord = {
-        id: `realtime-${timestamp.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
-        userId: userId,
-        userName: findUserName(userId),
-        timestamp: timestamp.toISOString(),
-        date: timestamp.toLocaleDateString(),
-        time: timestamp.toLocaleTimeString(),
-        verificationMethod: determineVerificationMethod(logData),
-        punchType: determinePunchType(logData),
-        deviceIp: DEVICE_IP,
-        rawData: logData
-    };
-    
-    processAttendanceRecord(attendanceRecord);
+
+    const attendanceRecord = buildAttendanceRecord(logData, 'realtime', session);
+    const timestamp = new Date(attendanceRecord.timestamp);
+    attendanceRecord.date = timestamp.toLocaleDateString(undefined, { timeZone: attendanceRecord.timeZone });
+    attendanceRecord.time = timestamp.toLocaleTimeString(undefined, { timeZone: attendanceRecord.timeZone });
+
+    try {
+        await processAttendanceRecord(attendanceRecord);
+    } catch (error) {
+        // The punch is in the device log too, polling stores it once the database answers
+        console.error(`💾 [${session.device.name}] Failed to record punch ${attendanceRecord.id}, leaving it to polling:`, error.message);
+    }
 }
 
 // ===== API ROUTES =====
 
 // Rush Handling Management
-app.get('/api/rush-handling-status', (_req, res) => {
+app.get('/api/rush-handling-status', async (_req, res) => {
+    let stored = null;
+    try {
+        stored = await QueueItem.countDocuments({ status: { $in: ['pending', 'retrying'] } });
+    } catch (error) {
+        console.error('💾 Failed to count stored queue items:', error.message);
+    }
+
     res.json({
         enabled: RUSH_HANDLING_CONFIG.enabled,
         config: RUSH_HANDLING_CONFIG,
         stats: rushHandlingStats,
         queue: {
-            length: pushQueue.length,
+            length: getQueueLength(),
+            stored: stored,
             concurrent: concurrentPushCount,
-            isProcessing: isProcessingQueue
-        }
+            isProcessing: isProcessingQueue,
+            paused: queuePaused,
+            devices: Object.fromEntries([...pushQueues].map(([queueKey, queue]) => [queueKey, queue.length]))
+        },
+        circuitBreakers: destinations.map(destination => ({
+            destinationId: destination._id,
+            ...getCircuitBreaker(destination).getStatus()
+        }))
     });
 });
 
-app.post('/api/rush-handling-control', (req, res) => {
+app.post('/api/rush-handling-control', async (req, res) => {
     const { action, config } = req.body;
     
     try {
         switch (action) {
             case 'pause':
-                isProcessingQueue = false;
+                // The running loop stops after its current batch
+                queuePaused = true;
                 console.log('⏸️ Queue processing paused');
                 break;
                 
             case 'resume':
-                if (!isProcessingQueue && pushQueue.length > 0) {
-                    processQueue();
-                }
+                queuePaused = false;
+                startQueueProcessing();
                 console.log('▶️ Queue processing resumed');
                 break;
                 
             case 'clear-queue':
-                const clearedCount = pushQueue.length;
-                pushQueue.length = 0;
+                const clearedCount = getQueueLength();
+                pushQueues.clear();
                 rushHandlingStats.queueLength = 0;
-                console.log(`🗑️ Cleared ${clearedCount} items from queue`);
+                const { deletedCount } = await QueueItem.deleteMany({
+                    status: { $in: ['pending', 'queued', 'retrying'] }
+                });
+                console.log(`🗑️ Cleared ${clearedCount} items from queue (${deletedCount} from storage)`);
                 break;
                 
             case 'update-config':
@@ -683,167 +1597,666 @@ app.post('/api/rush-handling-control', (req, res) => {
     }
 });
 
-// Device Information
-app.get('/api/device-info', async (_req, res) => {
-    if (!deviceInstance) return res.status(503).json({ error: 'Device not connected' });
-    try {
-        const formattedInfo = {
-            'IP Address': DEVICE_IP,
-            'Port': DEVICE_PORT,
-            'Connection Status': 'Connected',
-            'Real-time Monitoring': realTimeListenersActive ? 'Active' : 'Inactive',
-            'Polling': POLLING_CONFIG.enabled ? 'Active' : 'Inactive',
-            'Polling Status': isPollingInProgress ? 'In Progress' : 'Idle',
-            'External API': EXTERNAL_API_CONFIG.enabled ? 'Enabled' : 'Disabled',
-            'Rush Handling': RUSH_HANDLING_CONFIG.enabled ? 'Enabled' : 'Disabled',
-            'Queue Status': `${pushQueue.length} items waiting`
-        };
-        res.status(200).json(formattedInfo);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch device information' });
-    }
-});
+// Dead Letter Management
+app.get('/api/dead-letters', async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+        const filter = buildDeadLetterFilter(req.query);
+
+        const deadLetters = await DeadLetter.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .lean();
+
+        const total = await DeadLetter.countDocuments(filter);
+
+        res.json({
+            success: true,
+            deadLetters,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            total
+        });
+    } catch (error) {
+        console.error('Error listing dead letters:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/dead-letters/replay-all', async (req, res) => {
+    try {
+        const filter = { ...buildDeadLetterFilter(req.body || {}), status: 'open' };
+        const deadLetters = await DeadLetter.find(filter).sort({ createdAt: 1 });
+
+        const replayed = [];
+        const skipped = [];
+        for (const deadLetter of deadLetters) {
+            const queueId = await replayDeadLetter(deadLetter);
+            if (queueId) {
+                replayed.push({ id: deadLetter._id, queueId });
+            } else if (queueId === null) {
+                skipped.push({ id: deadLetter._id, destination: deadLetter.destinationName });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Replayed ${replayed.length} dead letter(s)` +
+                (skipped.length > 0 ? `, skipped ${skipped.length} for inactive destinations` : ''),
+            replayed,
+            skipped
+        });
+    } catch (error) {
+        console.error('Error replaying dead letters:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/dead-letters/:id', async (req, res) => {
+    try {
+        const deadLetter = await DeadLetter.findById(req.params.id);
+        if (!deadLetter) {
+            return res.status(404).json({ success: false, error: 'Dead letter not found' });
+        }
+        res.json({ success: true, deadLetter });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/dead-letters/:id/replay', async (req, res) => {
+    try {
+        const deadLetter = await DeadLetter.findById(req.params.id);
+        if (!deadLetter) {
+            return res.status(404).json({ success: false, error: 'Dead letter not found' });
+        }
+        if (deadLetter.status !== 'open') {
+            return res.status(409).json({ success: false, error: `Dead letter already ${deadLetter.status}` });
+        }
+
+        const queueId = await replayDeadLetter(deadLetter);
+        if (queueId === false) {
+            return res.status(409).json({ success: false, error: 'Dead letter is no longer open' });
+        }
+        if (!queueId) {
+            return res.status(409).json({ success: false, error: `Destination ${deadLetter.destinationName} is no longer active` });
+        }
+        res.json({ success: true, message: 'Dead letter queued for replay', queueId });
+    } catch (error) {
+        console.error('Error replaying dead letter:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/dead-letters/:id', async (req, res) => {
+    try {
+        const deadLetter = await DeadLetter.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { status: 'discarded', discardedAt: new Date() },
+            { new: true }
+        );
+        if (!deadLetter) {
+            return res.status(404).json({ success: false, error: 'Open dead letter not found' });
+        }
+
+        console.log(`🗑️ Discarded dead letter ${deadLetter._id}`);
+        res.json({ success: true, message: 'Dead letter discarded', deadLetter });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delivery status of one punch at every destination
+app.get('/api/deliveries/:recordId', async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const [queueItems, deadLetters] = await Promise.all([
+            QueueItem.find({ $or: [{ recordId }, { 'record.id': recordId }] }).sort({ createdAt: 1 }).lean(),
+            DeadLetter.find({ 'record.id': recordId }).sort({ createdAt: 1 }).lean()
+        ]);
+
+        res.json({
+            success: true,
+            recordId,
+            deliveries: queueItems.map(item => ({
+                queueId: item.queueId,
+                destinationId: item.destinationId,
+                destination: item.destinationName,
+                status: item.status,
+                attemptCount: item.attemptCount,
+                lastError: item.lastError,
+                nextAttemptAt: item.nextAttemptAt,
+                deliveredAt: item.deliveredAt
+            })),
+            deadLetters: deadLetters.map(deadLetter => ({
+                id: deadLetter._id,
+                destinationId: deadLetter.destinationId,
+                destination: deadLetter.destinationName,
+                status: deadLetter.status,
+                error: deadLetter.error
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching deliveries:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Device Sessions
+app.get('/api/device-sessions', (_req, res) => {
+    res.json({
+        success: true,
+        devices: [...deviceSessions.values()].map(describeDeviceSession)
+    });
+});
+
+// Device Information
+app.get('/api/device-info', async (req, res) => {
+    const sessions = getRequestedSessions(req.query.deviceId);
+    if (sessions.length === 0) return res.status(404).json({ error: 'Device not found' });
+    try {
+        if (req.query.deviceId) {
+            const session = sessions[0];
+            return res.status(200).json({
+                'Name': session.device.name,
+                'Location': session.device.location || 'N/A',
+                'IP Address': session.device.ip,
+                'Port': session.device.port,
+                'Connection Status': session.connected ? 'Connected' : 'Disconnected',
+                'Real-time Monitoring': session.realTimeListenersActive ? 'Active' : 'Inactive',
+                'Polling': POLLING_CONFIG.enabled ? 'Active' : 'Inactive',
+                'Polling Status': session.isPollingInProgress ? 'In Progress' : 'Idle',
+                'Queue Status': `${getQueue(session.key).length} items waiting`
+            });
+        }
+
+        const formattedInfo = {};
+        for (const session of sessions) {
+            formattedInfo[session.device.name] = `${session.device.ip}:${session.device.port} - ` +
+                `${session.connected ? 'Connected' : 'Disconnected'}, ${getQueue(session.key).length} queued`;
+        }
+        Object.assign(formattedInfo, {
+            'Polling': POLLING_CONFIG.enabled ? 'Active' : 'Inactive',
+            'External API': EXTERNAL_API_CONFIG.enabled ? 'Enabled' : 'Disabled',
+            'Rush Handling': RUSH_HANDLING_CONFIG.enabled ? 'Enabled' : 'Disabled',
+            'Queue Status': `${getQueueLength()} items waiting`
+        });
+        res.status(200).json(formattedInfo);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch device information' });
+    }
+});
+
+// User Management
+app.get('/api/users', async (req, res) => {
+    const sessions = getRequestedSessions(req.query.deviceId).filter(session => session.connected);
+    if (sessions.length === 0) return res.status(503).json({ error: 'Device not connected' });
+
+    const errors = [];
+    for (const session of sessions) {
+        try {
+            session.usersCache = await zktecoService.runExclusive(session.key, 'user list', () => zktecoService.getUsers(session.key));
+        } catch (error) {
+            console.error(`Error fetching users from ${session.device.name}:`, error.message);
+            errors.push(`${session.device.name}: ${error.message}`);
+        }
+    }
+
+    if (errors.length === sessions.length) {
+        return res.status(500).json({ error: 'Failed to fetch users from device: ' + errors.join('; ') });
+    }
+    res.status(200).json(mergeDeviceUsers(sessions));
+});
+
+app.post('/api/users', validation.validateDeviceUser, async (req, res) => {
+    const { deviceId, uid, userId, name, password, role, cardno } = req.body;
+    const session = deviceSessions.get(deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        const user = await zktecoService.runExclusive(session.key, 'user update', async () => {
+            if (await zktecoService.findUser(session.key, userId)) return null;
+            const saved = await zktecoService.saveUser(session.key, { uid, userId, name, password, role, cardno });
+            await refreshDeviceUsers(session);
+            return saved;
+        });
+        if (!user) {
+            return res.status(409).json({ success: false, error: `User ${userId} already exists on ${session.device.name}` });
+        }
+        console.log(`👤 [${session.device.name}] User ${userId} (${name}) created`);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        console.error(`Error creating user on ${session.device.name}:`, error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/users/sync', validation.validateUserSync, async (req, res) => {
+    const { deviceIds, dryRun = false, removeUnknown = false } = req.body;
+    const sessions = deviceIds
+        ? deviceIds.map(deviceId => deviceSessions.get(deviceId)).filter(Boolean)
+        : [...deviceSessions.values()];
+    if (sessions.length === 0) return res.status(404).json({ success: false, error: 'No matching devices' });
+
+    try {
+        const result = await runUserSync(sessions, { dryRun, removeUnknown });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error syncing users:', error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Biometric Backups
+app.post('/api/biometric-backups', validation.validateBiometricBackup, async (req, res) => {
+    const session = deviceSessions.get(req.body.deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        const backup = await zktecoService.runExclusive(session.key, 'biometric backup', () => backupDevice(session.device));
+        console.log(`🧬 [${session.device.name}] Backed up ${backup.userCount} users, ${backup.fingerCount} fingerprints`);
+        backup.warnings.forEach(warning => console.warn(`⚠️ [${session.device.name}] ${warning}`));
+        res.status(201).json({ success: true, backup });
+    } catch (error) {
+        console.error(`Error backing up ${session.device.name}:`, error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/biometric-backups/:id/restore', validation.validateBiometricRestore, async (req, res) => {
+    const { deviceId, userIds } = req.body;
+    const session = deviceSessions.get(deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        const backup = await BiometricBackup.findById(req.params.id);
+        if (!backup) return res.status(404).json({ success: false, error: 'Backup not found' });
+
+        const result = await zktecoService.runExclusive(session.key, 'biometric restore', async () => {
+            const restored = await restoreBackup(backup, session.device, { userIds });
+            await refreshDeviceUsers(session);
+            return restored;
+        });
+        console.log(`🧬 [${session.device.name}] Restored ${result.restored} users from backup ${backup._id}, ${result.failed} failed`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error(`Error restoring to ${session.device.name}:`, error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/biometric-backups/:id/verify', validation.validateBiometricVerify, async (req, res) => {
+    const session = deviceSessions.get(req.query.deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        const backup = await BiometricBackup.findById(req.params.id);
+        if (!backup) return res.status(404).json({ success: false, error: 'Backup not found' });
+
+        const verification = await zktecoService.runExclusive(session.key, 'biometric verification', () => verifyBackup(backup, session.device));
+        res.json({ success: true, verification });
+    } catch (error) {
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/users/:userId', validation.validateDeviceUserUpdate, async (req, res) => {
+    const { deviceId, ...changes } = req.body;
+    const session = deviceSessions.get(deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        const user = await zktecoService.runExclusive(session.key, 'user update', async () => {
+            const existing = await zktecoService.findUser(session.key, req.params.userId);
+            if (!existing) return null;
+            // Unchanged fields keep their device values; the slot never moves
+            const { name, password, role, cardno } = { ...existing, ...changes };
+            const saved = await zktecoService.saveUser(session.key, {
+                uid: existing.uid,
+                userId: existing.userId,
+                name,
+                password,
+                role,
+                cardno
+            });
+            await refreshDeviceUsers(session);
+            return saved;
+        });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        console.log(`👤 [${session.device.name}] User ${req.params.userId} updated`);
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error(`Error updating user on ${session.device.name}:`, error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/users/:userId', validation.validateDeviceUserDelete, async (req, res) => {
+    const session = deviceSessions.get(req.query.deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        const deleted = await zktecoService.runExclusive(session.key, 'user update', async () => {
+            if (!await zktecoService.deleteUser(session.key, req.params.userId)) return false;
+            await refreshDeviceUsers(session);
+            return true;
+        });
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        console.log(`👤 [${session.device.name}] User ${req.params.userId} deleted`);
+        res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting user on ${session.device.name}:`, error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Attendance Management
+app.get('/api/attendance', async (req, res) => {
+    const sessions = getRequestedSessions(req.query.deviceId).filter(session => session.connected);
+    if (sessions.length === 0) return res.status(503).json({ error: 'Device not connected' });
+    try {
+        const filterDate = req.query.date;
+        let processedLogs = [];
+        for (const session of sessions) {
+            let deviceLogs = await zktecoService.runExclusive(session.key, 'attendance read', () => zktecoService.getAttendances(session.key));
+            if (!Array.isArray(deviceLogs)) {
+                deviceLogs = Object.values(deviceLogs).find(val => Array.isArray(val)) || [];
+            }
+            processedLogs.push(...deviceLogs.map(log => buildAttendanceRecord(log, 'poll', session)));
+        }
+        if (filterDate) {
+            // Days are the device's days, not UTC ones
+            processedLogs = processedLogs.filter(log => 
+                formatDateInZone(new Date(log.timestamp), log.timeZone) === filterDate
+            );
+        }
+        processedLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        res.status(200).json({
+            success: true,
+            total: processedLogs.length,
+            records: processedLogs,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error fetching attendance:', error.message);
+        res.status(error.busy ? 409 : 500).json({ error: 'Failed to fetch attendance data: ' + error.message });
+    }
+});
+
+/**
+ * Store a device's whole log. Punches already stored are skipped and new
+ * ones go out like polled punches, so nothing reaches HR twice.
+ */
+app.get('/api/devices/:deviceId/attendance', async (req, res) => {
+    const session = deviceSessions.get(req.params.deviceId);
+    if (!session) return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!session.connected) return res.status(503).json({ success: false, error: 'Device not connected' });
+
+    try {
+        let deviceLogs = await zktecoService.runExclusive(session.key, 'attendance read', () => zktecoService.getAttendances(session.key));
+        if (!Array.isArray(deviceLogs)) {
+            deviceLogs = Object.values(deviceLogs).find(val => Array.isArray(val)) || [];
+        }
+
+        const records = deviceLogs
+            .map(log => buildAttendanceRecord(log, 'poll', session))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        let stored = 0;
+        for (const record of records) {
+            if (await processAttendanceRecord(record)) stored++;
+        }
+
+        console.log(`📥 [${session.device.name}] Stored ${stored} of ${records.length} device log record(s)`);
+        res.json({ success: true, total: records.length, stored, duplicates: records.length - stored });
+    } catch (error) {
+        console.error(`Error storing the log of ${session.device.name}:`, error.message);
+        res.status(error.busy ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Manual Push Endpoint
+// A manual punch is a correction request: it reaches the destinations once approved
+app.post('/api/push-attendance', async (req, res) => {
+    try {
+        const { emp_code, punch_time, punch_date, state = 0, timeZone = SERVER_TIME_ZONE, reason } = req.body;
+        if (!emp_code || !punch_time) {
+            return res.status(400).json({ error: 'emp_code and punch_time are required' });
+        }
+
+        const { correction, status, error } = await requestCorrection({
+            action: 'add',
+            empCode: emp_code,
+            punchDate: punch_date,
+            punchTime: punch_time,
+            timeZone,
+            state,
+            reason: reason || 'Manual punch',
+            requestedBy: req.auth.name
+        });
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        console.log(`📝 [MANUAL PUNCH] Correction ${correction._id} requested for ${emp_code} at ${punch_date || 'today'} ${punch_time}`);
+        publish('correction_requested', correctionRooms(correction), { correctionId: correction._id, empCode: correction.empCode, action: correction.action });
+        res.status(202).json({
+            success: true,
+            message: 'Punch recorded as a correction request, it is pushed once approved',
+            correction
+        });
+    } catch (error) {
+        console.error(`❌ [MANUAL PUNCH FAILED] Error: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ===== PUNCH CORRECTIONS =====
+/**
+ * Approve a correction and apply it: the original is superseded and an added or
+ * edited punch is stored and pushed. When anything fails the original is put
+ * back and the correction marked failed, so it can be approved again.
+ */
+app.post('/api/corrections/:id/approve', async (req, res) => {
+    try {
+        const { note } = req.body;
+        const correction = await decideCorrection(req.params.id, true, { decidedBy: req.auth.name, note });
+        if (!correction) {
+            const existing = await PunchCorrection.findById(req.params.id).catch(() => null);
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Correction not found' });
+            }
+            if (existing.requestedBy === req.auth.name && ['pending', 'failed'].includes(existing.status)) {
+                return res.status(403).json({ success: false, error: 'A correction cannot be approved by the account that requested it' });
+            }
+            return res.status(409).json({ success: false, error: `Correction is ${existing.status}, only pending or failed corrections can be approved` });
+        }
+
+        let superseded = false;
+        let appliedPunch;
+        const fail = async (statusCode, error) => {
+            if (appliedPunch) await Attendance.deleteOne({ _id: appliedPunch });
+            if (superseded) await restoreOriginal(correction);
+            const failed = await finishCorrection(correction, { error });
+            console.error(`❌ [CORRECTION] ${correction._id} failed: ${error}`);
+            return res.status(statusCode).json({ success: false, error, correction: failed });
+        };
+
+        let original = null;
+        let record = null;
+        try {
+            if (correction.action !== 'add') {
+                superseded = await supersedeOriginal(correction);
+                if (!superseded) {
+                    return await fail(409, 'The punch was corrected by another request');
+                }
+                original = await Attendance.findById(correction.original).lean();
+            }
+
+            if (correction.action !== 'void') {
+                const employee = findEmployeeByCode(correction.empCode);
+                record = correctionRecord(correction, original, {
+                    // Not findUserName: an employee code is not a device user id
+                    userName: employee ? employee.name : (original && original.userName) || null,
+                    department: employee ? employee.department : null
+                });
+                record.punchType = determinePunchType(record);
+                record.id = buildPunchKey(record);
+
+                const { duplicate, attendance } = await recordPunch(record);
+                if (duplicate) {
+                    return await fail(409, 'An identical punch is already recorded');
+                }
+                appliedPunch = attendance._id;
+                await inferPunchType(record);
+                await dispatchAttendanceRecord(record);
+            }
+        } catch (error) {
+            return await fail(500, error.message);
+        }
+
+        if (original) {
+            // Punches around the superseded one pair up differently without it
+            try {
+                await pairRecentPunches({
+                    id: original.punchKey,
+                    deviceId: original.device && String(original.device),
+                    userId: original.userId,
+                    empCode: original.empCode,
+                    source: original.source,
+                    timestamp: original.timestamp
+                }, PAIRING_CONFIG);
+            } catch (error) {
+                console.error(`🔗 Failed to re-pair punches around ${original._id}:`, error.message);
+            }
+        }
 
-// User Management
-app.get('/api/users', async (_req, res) => {
-    if (!deviceInstance) return res.status(503).json({ error: 'Device not connected' });
-    try {
-        let users = await deviceInstance.getUsers();
-        if (users && typeof users === 'object' && !Array.isArray(users)) {
-            users = Object.values(users).find(val => Array.isArray(val)) || [];
+        const applied = await finishCorrection(correction, { appliedPunch });
+        console.log(`✅ [CORRECTION] ${correction.action} for ${correction.empCode} applied (${correction._id})`);
+        if (original) {
+            // See services/punchCorrection.js: destinations are not told about superseded punches
+            console.log(`   ℹ️ Punch ${original.punchKey} is superseded here only, destinations that received it keep it`);
         }
-        users = Array.isArray(users) ? users : [];
-        usersCache = users;
-        res.status(200).json(users);
+        publish('correction_applied', correctionRooms(correction), { correctionId: correction._id, empCode: correction.empCode, action: correction.action });
+        res.json({ success: true, correction: applied, record });
     } catch (error) {
-        console.error('Error fetching users:', error.message);
-        res.status(500).json({ error: 'Failed to fetch users from device: ' + error.message });
+        console.error(`❌ [CORRECTION] Approval failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Attendance Management
-app.get('/api/attendance', async (req, res) => {
-    if (!deviceInstance) return res.status(503).json({ error: 'Device not connected' });
+// Force Poll Now
+app.post('/api/poll-now', async (req, res) => {
     try {
-        const filterDate = req.query.date;
-        let deviceLogs = await deviceInstance.getAttendances();
-        if (!Array.isArray(deviceLogs)) {
-            deviceLogs = Object.values(deviceLogs).find(val => Array.isArray(val)) || [];
-        }
-        let processedLogs = deviceLogs.map((log, index) => {
-            const timestamp = parseZktecoTime(log.record_time);
-            const userId = log.user_id || log.userId || 'Unknown';
-            return {
-                id: `att-${timestamp.getTime()}-${index}`,
-                userId: userId,
-                userName: findUserName(userId),
-                timestamp: timestamp.toISOString(),
-                verificationMethod: determineVerificationMethod(log),
-                punchType: determinePunchType(log),
-                deviceIp: DEVICE_IP,
-                rawData: log
-            };
-        });
-        if (filterDate) {
-            processedLogs = processedLogs.filter(log => 
-                new Date(log.timestamp).toISOString().split('T')[0] === filterDate
-            );
+        const sessions = getRequestedSessions(req.body && req.body.deviceId);
+        if (sessions.length === 0) return res.status(404).json({ success: false, error: 'Device not found' });
+
+        console.log('\n🔍 [MANUAL POLL] Manual poll triggered via API');
+        for (const session of sessions) {
+            await pollForNewAttendances(session);
         }
-        processedLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        attendanceHistory = processedLogs;
-        res.status(200).json({
+        res.json({
             success: true,
-            total: processedLogs.length,
-            records: processedLogs,
-            lastUpdated: new Date().toISOString()
+            message: 'Polling completed',
+            queue_length: getQueueLength(),
+            devices: sessions.map(session => ({
+                deviceId: session.key,
+                name: session.device.name,
+                last_polled: session.lastPolledTimestamp,
+                is_polling_in_progress: session.isPollingInProgress
+            }))
         });
     } catch (error) {
-        console.error('Error fetching attendance:', error.message);
-        res.status(500).json({ error: 'Failed to fetch attendance data: ' + error.message });
+        console.error('❌ Manual poll failed:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Manual Push Endpoint
-app.post('/api/push-attendance', async (req, res) => {
+// Polling Cursor
+app.get('/api/polling-cursor', async (req, res) => {
     try {
-        const { emp_code, punch_time, punch_date } = req.body;
-        if (!emp_code || !punch_time) {
-            return res.status(400).json({ error: 'emp_code and punch_time are required' });
-        }
-        
-        const payload = { 
-            emp_code, 
-            punch_time,
-            punch_date: punch_date || new Date().toISOString().split('T')[0]
-        };
-        
-        console.log(`\n🔄 [MANUAL PUSH] Starting manual push:`);
-        console.log(`   👤 Employee: ${emp_code}`);
-        console.log(`   🕒 Time: ${punch_time}`);
-        console.log(`   📅 Date: ${payload.punch_date}`);
-        
-        const response = await fetch(EXTERNAL_API_CONFIG.url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-            signal: AbortSignal.timeout(EXTERNAL_API_CONFIG.timeout)
-        });
+        const sessions = getRequestedSessions(req.query.deviceId);
+        const cursors = await PollingCursor.find({ deviceKey: { $in: sessions.map(session => session.key) } });
 
-        const responseText = await response.text();
-        let responseData;
-        
-        try {
-            responseData = JSON.parse(responseText);
-        } catch (e) {
-            responseData = { raw_response: responseText };
-        }
-        
-        console.log(`📡 [MANUAL PUSH RESPONSE] Status: ${response.status}`);
-        console.log(`   Response:`, JSON.stringify(responseData, null, 2));
-        
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        
-        console.log(`✅ [MANUAL PUSH SUCCESS] Completed successfully`);
-        
-        res.status(200).json({
+        res.json({
             success: true,
-            message: 'Attendance pushed successfully',
-            data: responseData,
-            payload: payload
+            cursors: sessions.map(session => ({
+                deviceId: session.key,
+                name: session.device.name,
+                cursor: cursors.find(cursor => cursor.deviceKey === session.key) || null,
+                current: {
+                    last_polled: session.lastPolledTimestamp,
+                    record_count: session.lastPolledRecordCount
+                }
+            }))
         });
     } catch (error) {
-        console.error(`❌ [MANUAL PUSH FAILED] Error: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Force Poll Now
-app.post('/api/poll-now', async (_req, res) => {
+app.put('/api/polling-cursor', async (req, res) => {
     try {
-        console.log('\n🔍 [MANUAL POLL] Manual poll triggered via API');
-        await pollForNewAttendances();
+        const { timestamp, deviceId } = req.body;
+        const resetTo = new Date(timestamp);
+        if (!timestamp || isNaN(resetTo.getTime())) {
+            return res.status(400).json({ success: false, error: 'A valid timestamp is required' });
+        }
+
+        const sessions = getRequestedSessions(deviceId);
+        if (sessions.length === 0) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+        if (sessions.some(session => session.isPollingInProgress)) {
+            return res.status(409).json({ success: false, error: 'Polling in progress, try again shortly' });
+        }
+
+        // Dropping the record count makes the next poll re-scan by timestamp.
+        // Punches that were already processed are skipped by de-duplication.
+        const cursors = [];
+        for (const session of sessions) {
+            session.lastPolledTimestamp = resetTo;
+            session.lastPolledRecordCount = null;
+            cursors.push(await savePollingCursor(session, { resetAt: new Date() }));
+
+            console.log(`📍 [POLLING] [${session.device.name}] Cursor reset to ${resetTo.toISOString()}`);
+        }
+
         res.json({
             success: true,
-            message: 'Polling completed',
-            queue_length: pushQueue.length,
-            last_polled: lastPolledTimestamp,
-            is_polling_in_progress: isPollingInProgress
+            message: `Polling will re-scan from ${resetTo.toISOString()}`,
+            cursors
         });
     } catch (error) {
-        console.error('❌ Manual poll failed:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Reinitialize Device Connection
-app.post('/api/reinitialize-device', async (_req, res) => {
+app.post('/api/reinitialize-device', async (req, res) => {
     try {
+        const sessions = getRequestedSessions(req.body && req.body.deviceId);
+        if (sessions.length === 0) return res.status(404).json({ success: false, error: 'Device not found' });
+
         console.log('\n🔄 [MANUAL REINITIALIZE] Manual device reinitialization triggered');
-        await reinitializeDeviceConnection();
+        for (const session of sessions) {
+            await reinitializeDeviceConnection(session);
+        }
         res.json({
             success: true,
             message: 'Device reinitialization triggered',
-            reinitializing: true
+            reinitializing: true,
+            devices: sessions.map(session => session.key)
         });
     } catch (error) {
         console.error('❌ Manual reinitialize failed:', error);
@@ -859,10 +2272,24 @@ app.get('/api/push-statistics', (_req, res) => {
         rush_handling: rushHandlingStats,
         polling: {
             enabled: POLLING_CONFIG.enabled,
-            last_polled: lastPolledTimestamp,
             interval: POLLING_CONFIG.interval,
-            is_in_progress: isPollingInProgress
-        }
+            devices: [...deviceSessions.values()].map(session => ({
+                deviceId: session.key,
+                name: session.device.name,
+                last_polled: session.lastPolledTimestamp,
+                is_in_progress: session.isPollingInProgress
+            }))
+        },
+        devices: [...deviceSessions.values()].map(session => ({
+            deviceId: session.key,
+            name: session.device.name,
+            stats: session.stats
+        })),
+        destinations: destinations.map(destination => ({
+            destinationId: destination._id,
+            name: destination.name,
+            stats: getDestinationStats(destination)
+        }))
     });
 });
 
@@ -876,212 +2303,626 @@ app.get('/api/diagnostic', async (_req, res) => {
             node_version: process.version,
             platform: process.platform
         },
-        device: { 
-            connected: !!deviceInstance, 
-            ip: DEVICE_IP, 
-            port: DEVICE_PORT,
-            real_time_active: realTimeListenersActive,
-            connection_attempts: connectionAttempts
-        },
+        devices: [...deviceSessions.values()].map(describeDeviceSession),
         external_api: EXTERNAL_API_CONFIG,
+        destinations: destinations.map(destination => ({
+            name: destination.name,
+            url: destination.url,
+            method: destination.method,
+            contentType: destination.contentType,
+            auth: (destination.auth && destination.auth.type) || 'none'
+        })),
         rush_handling: {
             enabled: RUSH_HANDLING_CONFIG.enabled,
-            queue_length: pushQueue.length,
+            queue_length: getQueueLength(),
             concurrent_pushes: concurrentPushCount,
             stats: rushHandlingStats
         },
         polling: {
             enabled: POLLING_CONFIG.enabled,
-            last_polled: lastPolledTimestamp,
-            interval: POLLING_CONFIG.interval,
-            is_in_progress: isPollingInProgress
+            interval: POLLING_CONFIG.interval
         },
-        data: { 
-            users: usersCache.length, 
-            attendance: attendanceHistory.length 
+        data: {
+            users: mergeDeviceUsers([...deviceSessions.values()]).length,
+            attendance: attendanceHistory.length
         }
     };
     res.json(diagnostic);
 });
 
 // Test Auto Push
-app.post('/api/test-auto-push', (req, res) => {
-    const { userId, userName } = req.body;
-    
+app.post('/api/test-auto-push', async (req, res) => {
+    const { userId, userName, deviceId } = req.body;
+    const session = deviceId ? deviceSessions.get(String(deviceId)) : null;
+    if (deviceId && !session) {
+        return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
     const testRecord = {
-        id: `test-${Date.now()}`,
         userId: userId || '250050',
         userName: userName || 'Test User',
         timestamp: new Date().toISOString(),
         punchType: 'Check-in',
         verificationMethod: 'Fingerprint',
-        deviceIp: DEVICE_IP
+        state: 0,
+        source: 'test',
+        deviceId: session ? session.key : undefined,
+        deviceName: session ? session.device.name : undefined,
+        deviceIp: session ? session.device.ip : undefined
     };
+    testRecord.id = buildPunchKey(testRecord);
     
     console.log('\n🧪 [TEST AUTO PUSH] Simulating real-time punch:');
     console.log('   Record:', JSON.stringify(testRecord, null, 2));
     
     // Process the test record
-    processAttendanceRecord(testRecord);
+    try {
+        await processAttendanceRecord(testRecord);
+    } catch (error) {
+        console.error('❌ Test auto push failed:', error.message);
+        return res.status(500).json({ success: false, error: error.message });
+    }
     
     res.json({
         success: true,
         message: 'Test record queued for auto push',
         record: testRecord,
-        queue_length: pushQueue.length
+        queue_length: getQueueLength()
     });
 });
 
+// Sign-in and access management
+app.use('/api/auth', authRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Device and stored attendance management
+app.use('/api/devices', deviceRoutes);
+app.use('/api', attendanceRoutes);
+
+// Destination changes apply to the next push without waiting for the sync
+app.use('/api/destinations', (req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => loadDestinations());
+    }
+    next();
+}, destinationRoutes);
+
+app.use('/api/biometric-backups', biometricBackupRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/rosters', rosterRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/corrections', correctionRoutes);
+
+app.use('/api/employees', (req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => refreshEmployeeDirectory());
+    }
+    next();
+}, employeeRoutes);
+
 // Handle preflight requests
-app.options('*', cors());
+app.options('*', cors(CORS_OPTIONS));
 
 // ===== SOCKET.IO HANDLERS =====
-io.on('connection', (socket) => {
-    console.log('🔌 Client connected');
-    
-    socket.emit('users_data', usersCache);
-    socket.emit('attendance_history', attendanceHistory);
-    socket.emit('push_statistics', pushStatistics);
-    
-    if (deviceInstance) {
-        deviceInstance.getInfo()
-            .then(info => socket.emit('device_info', info))
-            .catch(error => console.error('Error getting device info:', error));
+/**
+ * Emit an event to the subscribers of some rooms, leaving out roles that may not see it
+ */
+function publish(event, rooms, data) {
+    io.to(rooms).except(excludedRoles(event)).emit(event, data);
+}
+
+/**
+ * Emit an event to one client if its role may see it
+ */
+function sendToSocket(socket, event, data) {
+    if (hasPermission(socket.data.auth.role, EVENT_PERMISSIONS[event])) {
+        socket.emit(event, data);
+    }
+}
+
+/**
+ * Rooms a correction is announced in: everything, and the employee's department
+ */
+function correctionRooms(correction) {
+    const employee = findEmployeeByCode(correction.empCode);
+    return employee && employee.department ? [ALL_ROOM, departmentRoom(employee.department)] : [ALL_ROOM];
+}
+
+/**
+ * Send what a client needs after joining rooms: recent punches in those rooms
+ * (only those after `since` when resuming), users, device info and queue state
+ */
+function sendRoomSnapshot(socket, rooms, { since, limit } = {}) {
+    const joined = new Set(rooms);
+    const kinds = new Set(rooms.map(room => parseRoom(room).kind));
+    const max = Math.min(parseInt(limit) || REALTIME_CONFIG.snapshotLimit, REALTIME_CONFIG.historySize);
+
+    if (kinds.has(ALL_ROOM) || kinds.has('device') || kinds.has('department')) {
+        // Resuming needs every punch after `since` to still be in the history,
+        // and `since` to come from this server run
+        const oldestSeq = attendanceHistory.length > 0 ? attendanceHistory[attendanceHistory.length - 1].seq : attendanceSeq + 1;
+        const resuming = Number.isInteger(since) && since >= oldestSeq - 1 && since <= attendanceSeq;
+        const matching = attendanceHistory.filter(record => recordInRooms(record, joined) && (!resuming || record.seq > since));
+        // `since` is null for a full snapshot that replaces the client's list
+        sendToSocket(socket, 'attendance_history', {
+            records: matching.slice(0, max),
+            seq: attendanceSeq,
+            since: resuming ? since : null,
+            truncated: matching.length > max
+        });
+    }
+
+    if (kinds.has(ALL_ROOM)) {
+        sendToSocket(socket, 'users_data', mergeDeviceUsers([...deviceSessions.values()]));
+    }
+
+    const deviceSessionsToDescribe = kinds.has(ALL_ROOM)
+        ? [...deviceSessions.values()]
+        : rooms.map(room => parseRoom(room)).filter(room => room.kind === 'device').map(room => deviceSessions.get(room.id));
+    if (hasPermission(socket.data.auth.role, EVENT_PERMISSIONS.device_info)) {
+        for (const session of deviceSessionsToDescribe) {
+            // A busy device is described on the next subscription
+            if (!session || !session.connected || zktecoService.busyWith(session.key)) continue;
+            zktecoService.runExclusive(session.key, 'device info', () => zktecoService.getInfo(session.key))
+                .then(info => socket.emit('device_info', { deviceId: session.key, name: session.device.name, ...info }))
+                .catch(error => console.error(`Error getting device info for ${session.device.name}:`, error.message));
+        }
+    }
+
+    if (kinds.has(QUEUE_ROOM)) {
+        sendToSocket(socket, 'push_statistics', pushStatistics);
+        sendToSocket(socket, 'queue_status', {
+            queueLength: getQueueLength(),
+            concurrentPushes: concurrentPushCount,
+            stats: rushHandlingStats
+        });
     }
+}
+
+// Every socket needs a session token or API key
+io.use(authMiddleware.authenticateSocket);
+
+io.on('connection', (socket) => {
+    const { auth } = socket.data;
+    console.log(`🔌 Client connected: ${auth.name} (${auth.role})`);
+    socket.join(roleRoom(auth.role));
+
+    /**
+     * { rooms: ['all', 'device:<id>', 'department:<name>', 'queue-ops'], since, limit }
+     * Acknowledged with the rooms joined and those refused.
+     */
+    socket.on('subscribe', (options, ack) => {
+        options = options || {};
+        const requested = Array.isArray(options.rooms) ? [...new Set(options.rooms)] : [];
+        const joined = [];
+        const denied = [];
+        for (const room of requested) {
+            const parsed = parseRoom(room);
+            const allowed = canJoin(auth.role, room)
+                && (parsed.kind !== 'device' || deviceSessions.has(parsed.id))
+                && socket.rooms.size <= REALTIME_CONFIG.maxRoomsPerSocket;
+            if (allowed) {
+                socket.join(room);
+                joined.push(room);
+            } else {
+                denied.push(room);
+            }
+        }
+
+        if (joined.length > 0) {
+            sendRoomSnapshot(socket, joined, options);
+        }
+        if (typeof ack === 'function') {
+            ack({ joined, denied, seq: attendanceSeq });
+        }
+    });
+
+    socket.on('unsubscribe', (options, ack) => {
+        const rooms = options && Array.isArray(options.rooms) ? options.rooms.filter(room => parseRoom(room)) : [];
+        rooms.forEach(room => socket.leave(room));
+        if (typeof ack === 'function') {
+            ack({ left: rooms });
+        }
+    });
 
     socket.on('disconnect', () => {
-        console.log('🔌 Client disconnected');
+        console.log(`🔌 Client disconnected: ${auth.name}`);
     });
 });
 
+// ===== DEVICE SESSIONS =====
+
+function createDeviceSession(device) {
+    return {
+        key: device._id.toString(),
+        device: device,
+        connected: false,
+        stopped: false,
+        connectionAttempts: 0,
+        realTimeListenersActive: false,
+        isPollingInProgress: false, // Prevent overlapping polls
+        pollingInterval: null,
+        reconnectTimer: null,
+        usersCache: [],
+        lastPolledTimestamp: new Date(),
+        lastPolledRecordCount: null,
+        stats: {
+            punches: 0,
+            duplicates: 0,
+            queued: 0,
+            delivered: 0,
+            failed: 0,
+            errors: 0,
+            lastPunchAt: null,
+            lastPolledAt: null,
+            lastConnectedAt: null,
+            clockDriftMs: null,
+            lastClockCheckAt: null
+        }
+    };
+}
+
+function describeDeviceSession(session) {
+    return {
+        deviceId: session.key,
+        name: session.device.name,
+        location: session.device.location,
+        ip: session.device.ip,
+        port: session.device.port,
+        connected: session.connected,
+        real_time_active: session.realTimeListenersActive,
+        polling_in_progress: session.isPollingInProgress,
+        connection_attempts: session.connectionAttempts,
+        last_polled: session.lastPolledTimestamp,
+        record_count: session.lastPolledRecordCount,
+        queue_length: getQueue(session.key).length,
+        users: session.usersCache.length,
+        stats: session.stats
+    };
+}
+
+/**
+ * Sessions addressed by a request: one device when deviceId is given, otherwise all
+ */
+function getRequestedSessions(deviceId) {
+    if (!deviceId) return [...deviceSessions.values()];
+    const session = deviceSessions.get(String(deviceId));
+    return session ? [session] : [];
+}
+
+/**
+ * Combine the cached user lists of several devices, one entry per user id
+ */
+function mergeDeviceUsers(sessions) {
+    const users = new Map();
+    for (const session of sessions) {
+        for (const user of session.usersCache) {
+            const userKey = user.userId || user.id;
+            if (users.has(userKey)) {
+                users.get(userKey).devices.push(session.device.name);
+            } else {
+                users.set(userKey, { ...user, devices: [session.device.name] });
+            }
+        }
+    }
+    return [...users.values()];
+}
+
+/**
+ * Re-read a device's users after a change and push the merged list to the dashboard
+ */
+async function refreshDeviceUsers(session) {
+    session.usersCache = await zktecoService.getUsers(session.key);
+    publish('users_data', ALL_ROOM, mergeDeviceUsers([...deviceSessions.values()]));
+}
+
+function scheduleDeviceInitialization(session, delay) {
+    if (session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+    }
+    session.reconnectTimer = setTimeout(() => {
+        session.reconnectTimer = null;
+        initializeDevice(session);
+    }, delay);
+}
+
+async function startDeviceSession(device) {
+    const session = createDeviceSession(device);
+    deviceSessions.set(session.key, session);
+
+    await loadPollingCursor(session);
+    initializeDevice(session);
+
+    return session;
+}
+
+async function stopDeviceSession(session) {
+    session.stopped = true;
+    deviceSessions.delete(session.key);
+    await disconnectDeviceSession(session);
+}
+
+/**
+ * Start, stop or restart sessions to match the active devices in the Device collection
+ */
+async function syncDeviceSessions() {
+    try {
+        const devices = await Device.find({ isActive: true }).lean();
+        const activeKeys = new Set(devices.map(device => device._id.toString()));
+
+        for (const session of [...deviceSessions.values()]) {
+            if (!activeKeys.has(session.key)) {
+                console.log(`📴 [${session.device.name}] Device removed or deactivated, stopping session`);
+                await stopDeviceSession(session);
+            }
+        }
+
+        for (const device of devices) {
+            const session = deviceSessions.get(device._id.toString());
+            if (!session) {
+                console.log(`📟 Starting session for ${device.name} (${device.ip}:${device.port})`);
+                await startDeviceSession(device);
+            } else if (session.device.ip !== device.ip || session.device.port !== device.port) {
+                console.log(`🔄 [${device.name}] Address changed, restarting session`);
+                await stopDeviceSession(session);
+                await startDeviceSession(device);
+            } else {
+                session.device = device;
+            }
+        }
+    } catch (error) {
+        console.error('❌ Failed to sync device sessions:', error.message);
+    }
+}
+
+async function seedDefaultDevice() {
+    try {
+        if (await Device.countDocuments() === 0) {
+            const device = await Device.create(DEFAULT_DEVICE);
+            console.log(`📟 No devices registered, added ${device.name} (${device.ip}:${device.port})`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to register default device:', error.message);
+    }
+}
+
+// ===== CLOCK DRIFT MONITORING =====
+async function runClockSync() {
+    for (const session of deviceSessions.values()) {
+        // Leave devices that are busy for the next run
+        if (!session.connected || zktecoService.busyWith(session.key)) continue;
+        const { device } = session;
+
+        try {
+            const { drift, wandering } = await zktecoService.runExclusive(session.key, 'clock sync', () => checkDeviceClock(device, CLOCK_SYNC_CONFIG));
+            session.stats.clockDriftMs = drift.driftMs;
+            session.stats.lastClockCheckAt = drift.measuredAt;
+
+            console.log(`⏱️ [CLOCK] [${device.name}] Drift ${(drift.driftMs / 1000).toFixed(1)}s${drift.corrected ? ', corrected' : ''}`);
+            publish('clock_drift', [ALL_ROOM, deviceRoom(session.key)], {
+                deviceId: session.key,
+                deviceName: device.name,
+                driftMs: drift.driftMs,
+                corrected: drift.corrected,
+                measuredAt: drift.measuredAt
+            });
+
+            if (drift.correctionError || wandering) {
+                const message = drift.correctionError
+                    ? `Could not correct the clock of ${device.name}: ${drift.correctionError}`
+                    : `${device.name} clock needed ${wandering.corrections} corrections in the last ${wandering.windowMs / 3600000}h`;
+
+                console.warn(`⚠️ [CLOCK ALERT] ${message}`);
+                publish('clock_drift_alert', [ALL_ROOM, deviceRoom(session.key)], {
+                    deviceId: session.key,
+                    deviceName: device.name,
+                    driftMs: drift.driftMs,
+                    wandering: wandering,
+                    message: message
+                });
+            }
+        } catch (error) {
+            console.error(`❌ [CLOCK] [${device.name}] Drift check failed:`, error.message);
+        }
+    }
+}
+
+/**
+ * Sync users across device sessions and refresh what the dashboard shows
+ */
+async function runUserSync(sessions, options) {
+    const deviceKeys = sessions.map(session => session.key);
+    return zktecoService.runExclusive(deviceKeys, 'user sync', () => syncSessionUsers(sessions, options));
+}
+
+async function syncSessionUsers(sessions, options) {
+    const result = await zktecoService.syncUsers(sessions.map(session => session.device), options);
+    const { summary } = result;
+    console.log(`👥 [USER SYNC]${options.dryRun ? ' [DRY RUN]' : ''} ${summary.add} to add, ${summary.update} to update, ${summary.remove} to remove, ${summary.conflicts} conflicts`);
+    result.conflicts.forEach(conflict => console.warn(`⚠️ [USER SYNC] ${conflict.message}`));
+
+    if (!options.dryRun) {
+        for (const { deviceId, applied } of result.results) {
+            const session = deviceSessions.get(deviceId);
+            if (!session || applied === 0) continue;
+            try {
+                session.usersCache = await zktecoService.getUsers(session.key);
+            } catch (error) {
+                console.error(`Error refreshing users of ${session.device.name}:`, error.message);
+            }
+        }
+        await refreshEmployeeDirectory();
+        publish('users_data', ALL_ROOM, mergeDeviceUsers([...deviceSessions.values()]));
+        publish('user_sync', ALL_ROOM, { summary, results: result.results, errors: result.errors });
+    }
+    return result;
+}
+
+async function runScheduledUserSync() {
+    const sessions = [...deviceSessions.values()].filter(session => session.connected);
+    if (sessions.length < 2) return;
+    try {
+        await runUserSync(sessions, { dryRun: false, removeUnknown: USER_SYNC_CONFIG.removeUnknown });
+    } catch (error) {
+        if (error.busy) {
+            console.log(`⏳ [USER SYNC] ${error.message}, skipping this run`);
+            return;
+        }
+        console.error('❌ [USER SYNC] Scheduled sync failed:', error.message);
+    }
+}
+
 // ===== ENHANCED DEVICE INITIALIZATION =====
-async function initializeDevice() {
+async function initializeDevice(session) {
+    if (session.stopped) return;
+    const { device } = session;
+
     try {
-        if (connectionAttempts >= MAX_RETRIES) {
-            console.log('Max connection attempts reached. Waiting 1 minute...');
-            connectionAttempts = 0;
-            setTimeout(initializeDevice, 60000);
+        if (session.connectionAttempts >= MAX_RETRIES) {
+            console.log(`[${device.name}] Max connection attempts reached. Waiting 1 minute...`);
+            session.connectionAttempts = 0;
+            scheduleDeviceInitialization(session, 60000);
             return;
         }
 
-        console.log(`🔌 Attempting to connect to device at ${DEVICE_IP}:${DEVICE_PORT}...`);
-        deviceInstance = new Zkteco(DEVICE_IP, DEVICE_PORT, CONNECTION_TIMEOUT);
-        
+        console.log(`🔌 Attempting to connect to ${device.name} at ${device.ip}:${device.port}...`);
+
         await Promise.race([
-            deviceInstance.createSocket(),
-            new Promise((_, reject) => 
+            zktecoService.connect(device._id, device.ip, device.port, device.timeout, device.inactivity),
+            new Promise((_, reject) =>
                 setTimeout(() => reject(new Error('Connection timeout')), CONNECTION_TIMEOUT)
             )
         ]);
 
-        console.log(`✅ Connected to device at ${DEVICE_IP}:${DEVICE_PORT}`);
+        session.connected = true;
+        session.stats.lastConnectedAt = new Date().toISOString();
+
+        console.log(`✅ Connected to ${device.name} at ${device.ip}:${device.port}`);
         console.log(`🌐 External API: ${EXTERNAL_API_CONFIG.enabled ? 'ENABLED' : 'DISABLED'}`);
         console.log(`🚀 Rush Handling: ${RUSH_HANDLING_CONFIG.enabled ? 'ENABLED' : 'DISABLED'}`);
         console.log(`🔍 Polling: ${POLLING_CONFIG.enabled ? 'ENABLED' : 'DISABLED'}`);
 
         // Get device info
         try {
-            const deviceInfo = await deviceInstance.getInfo();
-            console.log('📊 Device Info:', deviceInfo);
+            const deviceInfo = await zktecoService.getInfo(session.key);
+            console.log(`📊 [${device.name}] Device Info:`, deviceInfo);
         } catch (error) {
-            console.error('❌ Error getting device info:', error.message);
+            console.error(`❌ [${device.name}] Error getting device info:`, error.message);
         }
 
         // Get users
         try {
-            const users = await deviceInstance.getUsers();
-            if (users && typeof users === 'object' && !Array.isArray(users)) {
-                usersCache = Object.values(users).find(val => Array.isArray(val)) || [];
-            } else {
-                usersCache = Array.isArray(users) ? users : [];
-            }
-            console.log(`👥 Total users on device: ${usersCache.length}`);
+            session.usersCache = await zktecoService.getUsers(session.key);
+            console.log(`👥 [${device.name}] Total users on device: ${session.usersCache.length}`);
         } catch (error) {
-            console.error('❌ Error loading users:', error.message);
+            console.error(`❌ [${device.name}] Error loading users:`, error.message);
         }
 
         // Set up real-time monitoring
         try {
-            await deviceInstance.getRealTimeLogs((realTimeLog) => {
-                console.log('\n🔔 ===== REAL-TIME PUNCH DETECTED FROM DEVICE =====');
-                realTimeListenersActive = true;
-                processAndBroadcastAttendance(realTimeLog);
+            await zktecoService.getRealTimeLogs(session.key, (realTimeLog) => {
+                console.log(`\n🔔 ===== REAL-TIME PUNCH DETECTED FROM ${device.name} =====`);
+                session.realTimeListenersActive = true;
+                processAndBroadcastAttendance(realTimeLog, session);
             });
-            console.log('👂 Listening for real-time attendance data...');
-            realTimeListenersActive = true;
+            console.log(`👂 [${device.name}] Listening for real-time attendance data...`);
+            session.realTimeListenersActive = true;
         } catch (error) {
-            console.error('❌ Failed to setup real-time monitoring:', error.message);
-            realTimeListenersActive = false;
+            console.error(`❌ [${device.name}] Failed to setup real-time monitoring:`, error.message);
+            session.realTimeListenersActive = false;
             console.log('⚠️ Real-time monitoring disabled, relying on polling only');
         }
 
         // Set up polling as fallback
         if (POLLING_CONFIG.enabled) {
-            console.log(`🔍 Setting up polling every ${POLLING_CONFIG.interval}ms`);
-            
+            console.log(`🔍 [${device.name}] Setting up polling every ${POLLING_CONFIG.interval}ms`);
+
             // Clear any existing interval
-            if (pollingInterval) {
-                clearInterval(pollingInterval);
+            if (session.pollingInterval) {
+                clearInterval(session.pollingInterval);
             }
-            
+
             // Set up new polling interval
-            pollingInterval = setInterval(async () => {
+            session.pollingInterval = setInterval(async () => {
                 try {
-                    await pollForNewAttendances();
+                    await pollForNewAttendances(session);
                 } catch (error) {
-                    console.error('❌ Polling interval error:', error.message);
+                    console.error(`❌ [${device.name}] Polling interval error:`, error.message);
                 }
             }, POLLING_CONFIG.interval);
-            
+
             // Do initial poll after a delay
             setTimeout(() => {
-                console.log('🔍 Performing initial poll...');
-                pollForNewAttendances();
+                console.log(`🔍 [${device.name}] Performing initial poll...`);
+                pollForNewAttendances(session);
             }, 3000);
         }
 
-        connectionAttempts = 0;
-        io.emit('device_connection', { 
-            status: 'connected', 
-            message: 'Device connected successfully',
-            real_time_active: realTimeListenersActive,
+        session.connectionAttempts = 0;
+        publish('device_connection', [ALL_ROOM, deviceRoom(session.key)], {
+            deviceId: session.key,
+            deviceName: device.name,
+            status: 'connected',
+            message: `${device.name} connected successfully`,
+            real_time_active: session.realTimeListenersActive,
             polling_active: POLLING_CONFIG.enabled
         });
 
     } catch (error) {
-        console.error('❌ Failed to connect to device:', error.message);
-        if (deviceInstance) {
-            try {
-                deviceInstance.disconnect();
-            } catch (disconnectError) {
-                console.log('⚠️ Error during device disconnect:', disconnectError.message);
-            }
-            deviceInstance = null;
-        }
-        connectionAttempts++;
-        
-        io.emit('device_connection', { 
-            status: 'disconnected', 
-            message: `Connection attempt ${connectionAttempts}/${MAX_RETRIES} failed: ${error.message}` 
+        console.error(`❌ Failed to connect to ${device.name}:`, error.message);
+        await disconnectDeviceSession(session);
+        if (session.stopped) return;
+        session.connectionAttempts++;
+
+        publish('device_connection', [ALL_ROOM, deviceRoom(session.key)], {
+            deviceId: session.key,
+            deviceName: device.name,
+            status: 'disconnected',
+            message: `${device.name}: connection attempt ${session.connectionAttempts}/${MAX_RETRIES} failed: ${error.message}`
         });
-        
-        const retryDelay = Math.min(5000 * connectionAttempts, 30000); // Exponential backoff max 30s
-        console.log(`Retrying in ${retryDelay/1000} seconds... (${connectionAttempts}/${MAX_RETRIES})`);
-        setTimeout(initializeDevice, retryDelay);
+
+        const retryDelay = Math.min(5000 * session.connectionAttempts, 30000); // Exponential backoff max 30s
+        console.log(`[${device.name}] Retrying in ${retryDelay/1000} seconds... (${session.connectionAttempts}/${MAX_RETRIES})`);
+        scheduleDeviceInitialization(session, retryDelay);
     }
 }
 
 // ===== SERVER STARTUP =====
-server.listen(EXPRESS_PORT, () => {
+server.listen(EXPRESS_PORT, async () => {
     console.log(`🚀 HR System running on port ${EXPRESS_PORT}`);
     console.log(`📱 Dashboard: http://localhost:${EXPRESS_PORT}`);
-    console.log(`🔗 Device: ${DEVICE_IP}:${DEVICE_PORT}`);
+    console.log(`🔐 Auth: POST http://localhost:${EXPRESS_PORT}/api/auth/login, /api/accounts, /api/api-keys`);
+    console.log(`🌍 CORS: ${CORS_ORIGINS.length > 0 ? CORS_ORIGINS.join(', ') : 'same origin only'}`);
+    console.log(`📡 Live Feed: Socket.IO with a token, subscribe to all, device:<id>, department:<name>, queue-ops`);
+    console.log(`🔗 Devices: GET http://localhost:${EXPRESS_PORT}/api/devices`);
+    console.log(`👤 Device Users: GET/POST http://localhost:${EXPRESS_PORT}/api/users, PUT/DELETE /api/users/:userId`);
+    console.log(`👥 User Sync: POST http://localhost:${EXPRESS_PORT}/api/users/sync (${USER_SYNC_CONFIG.enabled ? USER_SYNC_CONFIG.schedule : 'manual only'})`);
+    console.log(`⏱️ Clock Sync: ${CLOCK_SYNC_CONFIG.enabled ? `ENABLED (${CLOCK_SYNC_CONFIG.schedule})` : 'DISABLED'}`);
     console.log(`🌐 External API: ${EXTERNAL_API_CONFIG.enabled ? 'ENABLED' : 'DISABLED'}`);
     console.log(`🚀 Auto Push: ${EXTERNAL_API_CONFIG.enabled ? 'ACTIVE' : 'INACTIVE'}`);
     console.log(`🔍 Polling: ${POLLING_CONFIG.enabled ? 'ACTIVE' : 'INACTIVE'}`);
     console.log(`📊 Test Auto Push: POST http://localhost:${EXPRESS_PORT}/api/test-auto-push`);
     console.log(`🔍 Manual Poll: POST http://localhost:${EXPRESS_PORT}/api/poll-now`);
     console.log(`🔄 Reinitialize Device: POST http://localhost:${EXPRESS_PORT}/api/reinitialize-device`);
+    console.log(`🪦 Dead Letters: GET http://localhost:${EXPRESS_PORT}/api/dead-letters`);
+    console.log(`📍 Polling Cursor: GET/PUT http://localhost:${EXPRESS_PORT}/api/polling-cursor`);
+    console.log(`📟 Device Sessions: GET http://localhost:${EXPRESS_PORT}/api/device-sessions`);
+    console.log(`🎯 Destinations: GET http://localhost:${EXPRESS_PORT}/api/destinations`);
+    console.log(`🪪 Employees: GET http://localhost:${EXPRESS_PORT}/api/employees`);
+    console.log(`🗓️ Timesheets: GET http://localhost:${EXPRESS_PORT}/api/timesheets?startDate=&endDate=`);
+    console.log(`🕘 Shifts & Rosters: GET http://localhost:${EXPRESS_PORT}/api/shifts, /api/rosters`);
+    console.log(`📈 Attendance Report: GET http://localhost:${EXPRESS_PORT}/api/reports/attendance?startDate=&endDate=`);
+    console.log(`📤 Exports: GET http://localhost:${EXPRESS_PORT}/api/records/export?dataset=&format=`);
+    console.log(`💰 Payroll: GET http://localhost:${EXPRESS_PORT}/api/payroll/summary?month=, /api/payroll/export?month=&format=`);
+    console.log(`🏖️ Holidays & Leave: GET http://localhost:${EXPRESS_PORT}/api/holidays, /api/leaves`);
+    console.log(`✏️ Corrections: GET/POST http://localhost:${EXPRESS_PORT}/api/corrections, POST /api/corrections/:id/approve`);
+    console.log(`🧬 Biometric Backups: GET/POST http://localhost:${EXPRESS_PORT}/api/biometric-backups${process.env.BIOMETRIC_BACKUP_KEY ? '' : ' (BIOMETRIC_BACKUP_KEY not set)'}`);
+    console.log(`📬 Deliveries: GET http://localhost:${EXPRESS_PORT}/api/deliveries/:recordId`);
     console.log(`🐛 Debug Endpoints:`);
     console.log(`   - POST http://localhost:${EXPRESS_PORT}/api/debug-push-payload`);
     console.log(`   - POST http://localhost:${EXPRESS_PORT}/api/test-external-api`);
@@ -1089,32 +2930,51 @@ server.listen(EXPRESS_PORT, () => {
     // Increase max listeners to prevent warnings (ES modules compatible)
     EventEmitter.defaultMaxListeners = 20;
     process.setMaxListeners(20);
-    
-    initializeDevice();
+
+    await connectDB();
+    if (!hasConfiguredSecret()) {
+        console.warn('⚠️ JWT_SECRET not set, sessions end when the server restarts');
+    }
+    const initialAdmin = await ensureInitialAdmin();
+    if (initialAdmin) {
+        console.log(`🔐 Created admin account "${initialAdmin.username}"`);
+        if (initialAdmin.generatedPassword) {
+            console.log(`🔑 Generated password (shown once, change it after signing in): ${initialAdmin.generatedPassword}`);
+        }
+    }
+    await seedDefaultDestination();
+    await loadDestinations();
+    setInterval(loadDestinations, DESTINATION_SYNC_INTERVAL);
+    await refreshEmployeeDirectory();
+    console.log(`🪪 Employee directory: ${getEmployeeCount()} employees`);
+    setInterval(refreshEmployeeDirectory, EMPLOYEE_SYNC_INTERVAL);
+
+    await resumePersistedQueue();
+    await seedDefaultDevice();
+    await syncDeviceSessions();
+
+    setInterval(syncDeviceSessions, DEVICE_SYNC_INTERVAL);
+
+    if (USER_SYNC_CONFIG.enabled) {
+        cron.schedule(USER_SYNC_CONFIG.schedule, runScheduledUserSync);
+    }
+    if (CLOCK_SYNC_CONFIG.enabled) {
+        cron.schedule(CLOCK_SYNC_CONFIG.schedule, runClockSync);
+    }
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down server...');
-    isProcessingQueue = false;
-    
-    // Clear polling interval
-    if (pollingInterval) {
-        clearInterval(pollingInterval);
-    }
-    
-    if (deviceInstance) {
-        try {
-            deviceInstance.disconnect();
-            console.log('📴 Disconnected from device');
-        } catch (error) {
-            console.log('⚠️ Error during device disconnect:', error.message);
-        }
-    }
-    
-    server.close(() => {
-        console.log('✅ Server closed');
-        process.exit(0);
+    queuePaused = true;
+
+    // Stop polling and disconnect every device
+    const sessions = [...deviceSessions.values()];
+    Promise.allSettled(sessions.map(stopDeviceSession)).finally(() => {
+        server.close(() => {
+            console.log('✅ Server closed');
+            process.exit(0);
+        });
     });
 });
 
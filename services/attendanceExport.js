@@ -0,0 +1,209 @@
+// Attendance exports: raw punches and daily or monthly summaries, written
+// row by row through services/exportWriters.js. Punches are read with a
+// cursor and summaries one employee at a time, so a month for hundreds of
+// employees never sits in memory at once.
+const Attendance = require('../models/Attendance');
+const Device = require('../models/Device');
+const Employee = require('../models/Employee');
+const { getTimesheets, validateDateRange } = require('./timesheet');
+const { findEmployeeByCode } = require('./employeeDirectory');
+const { formatDate } = require('./payloadTemplate');
+const { EXPORT_FORMATS, createExportWriter } = require('./exportWriters');
+const { SERVER_TIME_ZONE } = require('./timeZone');
+
+const hours = minutes => Math.round(minutes / 6) / 10;
+const timeOf = (date, timeZone) => (date ? formatDate(new Date(date), 'HH:mm', timeZone) : null);
+
+const PUNCH_COLUMNS = [
+  { key: 'date', header: 'Date', width: 1, value: punch => formatDate(punch.timestamp, 'YYYY-MM-DD', punch.zone) },
+  { key: 'time', header: 'Time', width: 0.8, value: punch => formatDate(punch.timestamp, 'HH:mm:ss', punch.zone) },
+  { key: 'userId', header: 'User ID', width: 0.8, value: punch => punch.userId },
+  { key: 'userName', header: 'Name', width: 1.6, value: punch => punch.userName },
+  { key: 'empCode', header: 'Employee Code', width: 1, value: punch => punch.empCode },
+  { key: 'department', header: 'Department', width: 1.2, value: punch => punch.department },
+  { key: 'device', header: 'Device', width: 1.2, value: punch => punch.deviceName },
+  { key: 'deviceIp', header: 'Device IP', width: 1, value: punch => punch.deviceIp },
+  { key: 'state', header: 'State', width: 0.5, value: punch => punch.status },
+  { key: 'punchType', header: 'Punch Type', width: 1, value: punch => punch.punchType },
+  { key: 'inferredPunchType', header: 'Inferred Type', width: 1, value: punch => punch.inferredPunchType },
+  { key: 'verificationMethod', header: 'Verification', width: 1, value: punch => punch.verificationMethod },
+  { key: 'source', header: 'Source', width: 0.8, value: punch => punch.source },
+  { key: 'timeZone', header: 'Time Zone', width: 1.2, value: punch => punch.zone }
+];
+
+const DAILY_COLUMNS = [
+  { key: 'date', header: 'Date', width: 1, value: day => day.date },
+  { key: 'empCode', header: 'Employee Code', width: 1, value: day => day.empCode },
+  { key: 'userName', header: 'Name', width: 1.6, value: day => day.userName },
+  { key: 'department', header: 'Department', width: 1.2, value: day => day.department },
+  { key: 'firstIn', header: 'First In', width: 0.8, value: day => timeOf(day.firstIn, day.timeZone) },
+  { key: 'lastOut', header: 'Last Out', width: 0.8, value: day => timeOf(day.lastOut, day.timeZone) },
+  { key: 'workedMinutes', header: 'Worked (min)', width: 0.8, value: day => day.workedMinutes },
+  { key: 'workedHours', header: 'Worked (h)', width: 0.8, value: day => hours(day.workedMinutes) },
+  { key: 'breakMinutes', header: 'Break (min)', width: 0.8, value: day => day.breakMinutes },
+  { key: 'punchCount', header: 'Punches', width: 0.6, value: day => day.punchCount },
+  { key: 'flags', header: 'Flags', width: 1.6, value: day => day.flags.join(' ') }
+];
+
+const MONTHLY_COLUMNS = [
+  { key: 'month', header: 'Month', width: 0.8, value: month => month.month },
+  { key: 'empCode', header: 'Employee Code', width: 1, value: month => month.empCode },
+  { key: 'userName', header: 'Name', width: 1.6, value: month => month.userName },
+  { key: 'department', header: 'Department', width: 1.2, value: month => month.department },
+  { key: 'daysPresent', header: 'Days Present', width: 0.8, value: month => month.daysPresent },
+  { key: 'workedMinutes', header: 'Worked (min)', width: 0.8, value: month => month.workedMinutes },
+  { key: 'workedHours', header: 'Worked (h)', width: 0.8, value: month => hours(month.workedMinutes) },
+  { key: 'breakMinutes', header: 'Break (min)', width: 0.8, value: month => month.breakMinutes },
+  { key: 'flaggedDays', header: 'Flagged Days', width: 0.8, value: month => month.flaggedDays }
+];
+
+// Same filter as the JSON listing, so an export holds the punches it shows
+function buildRecordFilter({ userId, deviceId, startDate, endDate }) {
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (deviceId) filter.device = deviceId;
+
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+  return filter;
+}
+
+async function* punchRows(filters) {
+  const devices = await Device.find().select('name ip timeZone').lean();
+  const byId = new Map(devices.map(device => [String(device._id), device]));
+
+  const cursor = Attendance.find(buildRecordFilter(filters)).sort({ timestamp: 1 }).lean().cursor();
+  for await (const punch of cursor) {
+    const device = punch.device && byId.get(String(punch.device));
+    const employee = punch.empCode && findEmployeeByCode(punch.empCode);
+    yield {
+      ...punch,
+      zone: punch.timeZone || (device && device.timeZone) || SERVER_TIME_ZONE,
+      deviceName: device ? device.name : punch.source,
+      deviceIp: punch.deviceIp || (device && device.ip),
+      department: employee ? employee.department : null
+    };
+  }
+}
+
+// Every employee code with punches in the range, one timesheet query each
+async function* employeeTimesheets({ userId, deviceId, startDate, endDate }) {
+  const [employees, storedCodes] = await Promise.all([
+    Employee.find().select('empCode').lean(),
+    Attendance.distinct('empCode', {
+      ...buildRecordFilter({ userId, deviceId }),
+      timestamp: {
+        $gte: new Date(Date.parse(startDate) - 24 * 60 * 60 * 1000),
+        $lt: new Date(Date.parse(endDate) + 2 * 24 * 60 * 60 * 1000)
+      }
+    })
+  ]);
+  const empCodes = [...new Set([...employees.map(({ empCode }) => empCode), ...storedCodes.filter(Boolean)])].sort();
+
+  for (const empCode of empCodes) {
+    const days = await getTimesheets({ startDate, endDate, empCode, userId, deviceId });
+    if (days.length > 0) yield days;
+  }
+}
+
+async function* dailyRows(filters) {
+  for await (const days of employeeTimesheets(filters)) {
+    yield* days;
+  }
+}
+
+async function* monthlyRows(filters) {
+  for await (const days of employeeTimesheets(filters)) {
+    const months = new Map();
+    for (const day of days) {
+      const key = day.date.slice(0, 7);
+      if (!months.has(key)) {
+        months.set(key, {
+          month: key,
+          empCode: day.empCode,
+          userName: day.userName,
+          department: day.department,
+          daysPresent: 0,
+          workedMinutes: 0,
+          breakMinutes: 0,
+          flaggedDays: 0
+        });
+      }
+      const month = months.get(key);
+      if (day.firstIn || day.lastOut) month.daysPresent++;
+      month.workedMinutes += day.workedMinutes;
+      month.breakMinutes += day.breakMinutes;
+      if (day.flags.length > 0) month.flaggedDays++;
+    }
+    yield* months.values();
+  }
+}
+
+const DATASETS = {
+  punches: { title: 'Attendance Punches', columns: PUNCH_COLUMNS, rows: punchRows, maxDays: 366 },
+  daily: { title: 'Daily Timesheets', columns: DAILY_COLUMNS, rows: dailyRows, maxDays: 93 },
+  monthly: { title: 'Monthly Summary', columns: MONTHLY_COLUMNS, rows: monthlyRows, maxDays: 366 }
+};
+
+// Problem with an export request, null when it can run
+function validateExport({ dataset, format, columns, filters }) {
+  const definition = DATASETS[dataset];
+  if (!definition) {
+    return `dataset must be one of: ${Object.keys(DATASETS).join(', ')}`;
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+  }
+  if (columns) {
+    const known = definition.columns.map(column => column.key);
+    const unknown = columns.filter(key => !known.includes(key));
+    if (columns.length === 0 || unknown.length > 0) {
+      return `Unknown ${dataset} column(s): ${unknown.join(', ') || '(none given)'}. Available: ${known.join(', ')}`;
+    }
+  }
+
+  if (definition.maxDays) {
+    return validateDateRange(filters.startDate, filters.endDate, definition.maxDays);
+  }
+  for (const name of ['startDate', 'endDate']) {
+    if (filters[name] && isNaN(new Date(filters[name]).getTime())) {
+      return `${name} must be a valid date`;
+    }
+  }
+  return null;
+}
+
+function exportFileName({ dataset, format, filters }) {
+  const range = [filters.startDate, filters.endDate].filter(Boolean).join('_to_');
+  return `attendance-${dataset}${range ? `-${range}` : ''}.${EXPORT_FORMATS[format].extension}`
+    .replace(/[^\w.-]/g, '-');
+}
+
+// Stream an export into `stream`. columns: column keys in output order,
+// all columns when not given.
+async function writeExport(stream, { dataset, format, columns, filters }) {
+  const definition = DATASETS[dataset];
+  const selected = columns
+    ? columns.map(key => definition.columns.find(column => column.key === key))
+    : definition.columns;
+
+  const writer = createExportWriter(format, stream, { title: definition.title, columns: selected });
+  let rows = 0;
+  for await (const row of definition.rows(filters)) {
+    await writer.writeRow(selected.map(column => column.value(row)));
+    rows++;
+  }
+  await writer.end();
+  return rows;
+}
+
+module.exports = {
+  DATASETS,
+  buildRecordFilter,
+  validateExport,
+  exportFileName,
+  writeExport
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+// Who is calling and what they may do.
+//
+// People sign in with a username and password and get a JWT session token;
+// services send an API key. Both carry one of the roles below, and every
+// route requires a permission (middleware/authMiddleware.js).
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const Account = require('../models/Account');
+const ApiKey = require('../models/ApiKey');
+
+const ROLES = ['admin', 'hr', 'viewer', 'integration'];
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  hr: [
+    'devices:read', 'device-users:read', 'device-users:write',
+    'attendance:read', 'attendance:push', 'corrections:request', 'corrections:approve',
+    'employees:read', 'employees:write', 'schedules:write',
+    'leave:write', 'leave:approve', 'payroll:read', 'queue:read'
+  ],
+  viewer: ['devices:read', 'device-users:read', 'attendance:read', 'employees:read', 'queue:read'],
+  integration: [
+    'attendance:read', 'attendance:push', 'corrections:request',
+    'employees:read', 'employees:write', 'leave:write', 'payroll:read'
+  ]
+};
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '8h';
+const API_KEY_PATTERN = /^zk_([a-f0-9]{12})_([a-f0-9]{48})$/;
+// lastUsedAt is only written this often per key
+const API_KEY_TOUCH_MS = 60 * 1000;
+
+// Without JWT_SECRET sessions only last until the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const hasConfiguredSecret = () => Boolean(process.env.JWT_SECRET);
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username is unknown, so that takes as long as a wrong password
+const unknownAccountHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Problem with a new password, null when it is acceptable
+function checkPasswordStrength(password) {
+  if (typeof password !== 'string' || password.length < 10) {
+    return 'Password must be at least 10 characters';
+  }
+  return null;
+}
+
+const principalOf = account => ({
+  type: 'account',
+  id: String(account._id),
+  name: account.username,
+  role: account.role
+});
+
+// Sign in. Returns { token, expiresIn, account } or null on bad credentials.
+async function login(username, password) {
+  const account = await Account.findOne({ username: String(username || '').toLowerCase().trim(), isActive: true });
+  const valid = await verifyPassword(String(password || ''), account ? account.passwordHash : await unknownAccountHash);
+  if (!account || !valid) return null;
+
+  account.lastLoginAt = new Date();
+  await account.save();
+
+  const token = jwt.sign({ role: account.role }, JWT_SECRET, { subject: String(account._id), expiresIn: TOKEN_TTL });
+  return { token, expiresIn: TOKEN_TTL, account };
+}
+
+// The account behind a session token, null when invalid, expired or disabled.
+// The role is read from the account so changes apply to open sessions.
+async function verifySessionToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  const account = await Account.findById(claims.sub).lean();
+  return account && account.isActive ? principalOf(account) : null;
+}
+
+// Create an API key. The returned key is the only copy.
+async function createApiKey({ name, role = 'integration', expiresAt, createdBy }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+  const key = `zk_${prefix}_${secret}`;
+  const apiKey = await ApiKey.create({
+    name,
+    role,
+    expiresAt,
+    createdBy,
+    prefix,
+    keyHash: crypto.createHash('sha256').update(key).digest('hex')
+  });
+  return { apiKey, key };
+}
+
+async function verifyApiKey(key) {
+  const match = API_KEY_PATTERN.exec(key || '');
+  if (!match) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1], isActive: true });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+
+  const hash = crypto.createHash('sha256').update(key).digest();
+  if (!crypto.timingSafeEqual(hash, Buffer.from(apiKey.keyHash, 'hex'))) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return { type: 'apiKey', id: String(apiKey._id), name: `api-key:${apiKey.name}`, role: apiKey.role };
+}
+
+// The caller of a request from `Authorization: Bearer <token or key>` or
+// `X-API-Key: <key>`, null when there are no valid credentials
+async function authenticateCredentials({ authorization, apiKey }) {
+  if (apiKey) return verifyApiKey(apiKey);
+
+  const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+  if (!match) return null;
+  const credential = match[1].trim();
+  return API_KEY_PATTERN.test(credential) ? verifyApiKey(credential) : verifySessionToken(credential);
+}
+
+// First start: create an admin from ADMIN_USERNAME / ADMIN_PASSWORD, or
+// with a generated password that is printed once
+async function ensureInitialAdmin() {
+  if (await Account.exists({})) return null;
+
+  const username = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  await Account.create({ username, name: 'Administrator', role: 'admin', passwordHash: await hashPassword(password) });
+  return { username, generatedPassword: process.env.ADMIN_PASSWORD ? null : password };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  hasConfiguredSecret,
+  hashPassword,
+  checkPasswordStrength,
+  login,
+  verifyPassword,
+  createApiKey,
+  authenticateCredentials,
+  ensureInitialAdmin
+};
\ No newline at end of file
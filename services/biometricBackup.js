@@ -0,0 +1,197 @@
+// Backups of the users and fingerprint templates of a device, encrypted at
+// rest with a key derived from BIOMETRIC_BACKUP_KEY. Restores write the
+// users back with their templates and then count what the device holds.
+//
+// Face templates cannot be read from the terminals, so a backup records how
+// many faces the device had and warns that they have to be enrolled again.
+const crypto = require('crypto');
+const BiometricBackup = require('../models/BiometricBackup');
+const BiometricBackupEntry = require('../models/BiometricBackupEntry');
+const zktecoService = require('./zktecoService');
+
+const ALGORITHM = 'aes-256-gcm';
+// Users written to the device per transfer
+const RESTORE_BATCH_SIZE = 50;
+
+function getKey() {
+  const secret = process.env.BIOMETRIC_BACKUP_KEY;
+  if (!secret) {
+    throw new Error('BIOMETRIC_BACKUP_KEY is not set');
+  }
+  return crypto.scryptSync(secret, 'zkteco-biometric-backup', 32);
+}
+
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function encrypt(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const content = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    content: content.toString('base64')
+  };
+}
+
+function decrypt({ iv, tag, content }, key) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(content, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+function groupByUid(templates) {
+  const byUid = new Map();
+  for (const { uid, ...finger } of templates) {
+    if (!byUid.has(uid)) byUid.set(uid, []);
+    byUid.get(uid).push(finger);
+  }
+  return byUid;
+}
+
+function faceWarning(faceCount) {
+  return `${faceCount} face template(s) on the device are not included, those users have to enroll their face again after a restore`;
+}
+
+// Read every user and fingerprint of a device into a new backup
+async function backupDevice(device) {
+  const key = getKey();
+  const users = await zktecoService.getUsers(device._id);
+  const fingersByUid = groupByUid(await zktecoService.getFingerTemplates(device._id));
+  const warnings = [];
+  let faceCount = null;
+  try {
+    faceCount = await zktecoService.getFaceCount(device._id);
+    if (faceCount > 0) warnings.push(faceWarning(faceCount));
+  } catch (error) {
+    warnings.push(`Could not check the device for face templates, which are never included: ${error.message}`);
+  }
+
+  const backup = await BiometricBackup.create({
+    device: device._id,
+    deviceName: device.name,
+    userCount: users.length,
+    fingerCount: users.reduce((total, user) => total + (fingersByUid.get(user.uid) || []).length, 0),
+    faceCount,
+    warnings,
+    keyId: getKeyId(key)
+  });
+
+  try {
+    await BiometricBackupEntry.insertMany(users.map(user => {
+      const fingers = fingersByUid.get(user.uid) || [];
+      return {
+        backup: backup._id,
+        uid: user.uid,
+        userId: String(user.userId),
+        fingerCount: fingers.length,
+        data: encrypt({
+          name: user.name,
+          password: user.password || '',
+          role: user.role || 0,
+          cardno: user.cardno || 0,
+          fingers
+        }, key)
+      };
+    }));
+  } catch (error) {
+    await BiometricBackup.deleteOne({ _id: backup._id });
+    throw error;
+  }
+
+  return backup;
+}
+
+// Compare what a device holds with a backup, optionally for some users only
+async function verifyBackup(backup, device, { userIds } = {}) {
+  const entries = await BiometricBackupEntry.find({
+    backup: backup._id,
+    ...(userIds ? { userId: { $in: userIds } } : {})
+  }).select('-data').lean();
+
+  const users = await zktecoService.getUsers(device._id);
+  const fingersByUid = groupByUid(await zktecoService.getFingerTemplates(device._id));
+
+  const mismatches = [];
+  let foundUsers = 0;
+  let foundFingers = 0;
+  for (const entry of entries) {
+    const user = users.find(candidate => String(candidate.userId) === entry.userId);
+    const fingers = user ? (fingersByUid.get(user.uid) || []).length : 0;
+    if (user) foundUsers++;
+    foundFingers += Math.min(fingers, entry.fingerCount);
+
+    if (!user || fingers < entry.fingerCount) {
+      mismatches.push({
+        userId: entry.userId,
+        missingUser: !user,
+        expectedFingers: entry.fingerCount,
+        foundFingers: fingers
+      });
+    }
+  }
+
+  return {
+    users: { expected: entries.length, found: foundUsers },
+    fingers: { expected: entries.reduce((total, entry) => total + entry.fingerCount, 0), found: foundFingers },
+    matches: mismatches.length === 0,
+    mismatches
+  };
+}
+
+// Write the users of a backup (all, or those in userIds) to a device.
+// A user keeps their uid unless the device knows them under another one;
+// users whose uid is taken by someone else are skipped.
+async function restoreBackup(backup, device, { userIds } = {}) {
+  const key = getKey();
+  if (backup.keyId !== getKeyId(key)) {
+    throw new Error('Backup was encrypted with a different BIOMETRIC_BACKUP_KEY');
+  }
+
+  const entries = await BiometricBackupEntry.find({
+    backup: backup._id,
+    ...(userIds ? { userId: { $in: userIds } } : {})
+  }).lean();
+  const deviceUsers = await zktecoService.getUsers(device._id);
+
+  const results = [];
+  const writable = [];
+  for (const entry of entries) {
+    const known = deviceUsers.find(user => String(user.userId) === entry.userId);
+    const uid = known ? known.uid : entry.uid;
+    const occupant = deviceUsers.find(user => user.uid === uid && String(user.userId) !== entry.userId);
+    if (occupant) {
+      results.push({ userId: entry.userId, success: false, error: `uid ${uid} belongs to ${occupant.userId} on ${device.name}` });
+      continue;
+    }
+    writable.push({ uid, userId: entry.userId, ...decrypt(entry.data, key) });
+  }
+
+  for (let start = 0; start < writable.length; start += RESTORE_BATCH_SIZE) {
+    const batch = writable.slice(start, start + RESTORE_BATCH_SIZE);
+    try {
+      await zktecoService.saveUserTemplates(device._id, batch);
+      batch.forEach(user => results.push({ userId: user.userId, uid: user.uid, fingers: user.fingers.length, success: true }));
+    } catch (error) {
+      batch.forEach(user => results.push({ userId: user.userId, uid: user.uid, success: false, error: error.message }));
+    }
+  }
+
+  const restoredIds = results.filter(result => result.success).map(result => result.userId);
+  return {
+    restored: restoredIds.length,
+    failed: results.length - restoredIds.length,
+    warnings: backup.faceCount > 0 ? [faceWarning(backup.faceCount)] : [],
+    results,
+    verification: await verifyBackup(backup, device, { userIds: restoredIds })
+  };
+}
+
+module.exports = {
+  backupDevice,
+  verifyBackup,
+  restoreBackup
+};
\ No newline at end of file
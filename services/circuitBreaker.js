@@ -0,0 +1,103 @@
+// Circuit breaker for an outbound endpoint.
+//
+// closed    - requests flow, consecutive failures are counted
+// open      - requests are refused until resetTimeout has passed
+// half-open - a limited number of probe requests decide whether to close
+//             again (probe succeeded) or re-open (probe failed)
+class CircuitBreaker {
+  constructor(name, options = {}, onStateChange = null) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests || 1;
+    this.onStateChange = onStateChange;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.lastFailure = null;
+    this.stats = { opened: 0, rejected: 0 };
+  }
+
+  // Whether a request may be sent now. Every allowed request must be
+  // followed by recordSuccess() or recordFailure().
+  tryAcquire() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition('half-open');
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half-open' && this.probesInFlight < this.halfOpenMaxRequests) {
+      this.probesInFlight++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state === 'half-open') {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.transition('closed');
+    }
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastFailure = { at: new Date(), error };
+
+    if (this.state === 'half-open') {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.open();
+    } else if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  // When refused requests should be tried again
+  getRetryAt() {
+    if (this.state === 'open') {
+      return new Date(this.openedAt + this.resetTimeout);
+    }
+    // Half-open with its probes in flight: check back shortly
+    return new Date(Date.now() + Math.min(this.resetTimeout, 5000));
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.stats.opened++;
+    this.transition('open');
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    const previous = this.state;
+    this.state = state;
+    if (state !== 'half-open') {
+      this.probesInFlight = 0;
+    }
+    if (this.onStateChange) {
+      this.onStateChange(this, previous);
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === 'closed' ? null : this.getRetryAt(),
+      lastFailure: this.lastFailure,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
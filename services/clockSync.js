@@ -0,0 +1,90 @@
+const ClockDrift = require('../models/ClockDrift');
+const zktecoService = require('./zktecoService');
+
+const DEFAULT_OPTIONS = {
+  // Clocks further off than this are set to server time
+  thresholdMs: 30000,
+  autoCorrect: true,
+  // A device needing this many corrections within the window keeps wandering
+  alertCorrections: 3,
+  alertWindowMs: 24 * 60 * 60 * 1000
+};
+
+// How far a device clock is from server time, positive when it runs ahead.
+// Devices report whole seconds, so a second or two of drift is noise.
+async function measureDrift(device) {
+  const before = Date.now();
+  const deviceTime = await zktecoService.getDeviceTime(device._id, device.timeZone);
+  const after = Date.now();
+
+  return {
+    deviceTime,
+    driftMs: deviceTime.getTime() - Math.round((before + after) / 2)
+  };
+}
+
+// Whether a device needed repeated corrections recently
+async function findWandering(deviceId, options = {}) {
+  const { alertCorrections, alertWindowMs } = { ...DEFAULT_OPTIONS, ...options };
+
+  const corrections = await ClockDrift.countDocuments({
+    device: deviceId,
+    corrected: true,
+    measuredAt: { $gte: new Date(Date.now() - alertWindowMs) }
+  });
+
+  return corrections >= alertCorrections
+    ? { corrections, windowMs: alertWindowMs }
+    : null;
+}
+
+// Measure a device clock, correct it when it is past the threshold (or when
+// `force` is set) and record the sample in the drift history
+async function checkDeviceClock(device, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { deviceTime, driftMs } = await measureDrift(device);
+
+  const sample = {
+    device: device._id,
+    deviceName: device.name,
+    measuredAt: new Date(),
+    deviceTime,
+    driftMs,
+    corrected: false
+  };
+
+  if (settings.force || (settings.autoCorrect && Math.abs(driftMs) > settings.thresholdMs)) {
+    try {
+      await zktecoService.setDeviceTime(device._id, new Date(), device.timeZone);
+      sample.corrected = true;
+    } catch (error) {
+      sample.correctionError = error.message;
+    }
+  }
+
+  const drift = await ClockDrift.create(sample);
+  const wandering = drift.corrected ? await findWandering(device._id, settings) : null;
+
+  return { drift, wandering };
+}
+
+async function getDriftHistory(deviceId, { limit = 100, startDate, endDate } = {}) {
+  const filter = { device: deviceId };
+  if (startDate || endDate) {
+    filter.measuredAt = {};
+    if (startDate) filter.measuredAt.$gte = new Date(startDate);
+    if (endDate) filter.measuredAt.$lte = new Date(endDate);
+  }
+
+  return ClockDrift.find(filter)
+    .sort({ measuredAt: -1 })
+    .limit(Math.min(parseInt(limit) || 100, 1000));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  measureDrift,
+  checkDeviceClock,
+  findWandering,
+  getDriftHistory
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Minimal CSV reader for calendar imports: a header row, comma separated,
+// fields optionally double-quoted with "" for a quote inside
+
+// Rows as arrays of strings
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Records keyed by the header names, with their line number for error
+// messages. Blank lines are skipped and values trimmed, empty ones dropped.
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const names = header.map(name => name.trim());
+  return rows
+    .map((values, index) => ({ line: index + 2, values }))
+    .filter(({ values }) => values.some(value => value.trim()))
+    .map(({ line, values }) => {
+      const record = {};
+      names.forEach((name, column) => {
+        const value = (values[column] || '').trim();
+        if (name && value) record[name] = value;
+      });
+      return { line, record };
+    });
+}
+
+module.exports = {
+  parseCsv
+};
\ No newline at end of file
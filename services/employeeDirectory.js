@@ -0,0 +1,52 @@
+// In-memory index of the employee directory, so punches can be translated
+// to HR employee codes without a database round trip per punch
+const Employee = require('../models/Employee');
+
+// `${deviceId}|${userId}` and `*|${userId}` -> employee
+let byDeviceUser = new Map();
+let byEmpCode = new Map();
+
+const ANY_DEVICE = '*';
+
+const deviceUserKey = (deviceId, userId) => `${deviceId || ANY_DEVICE}|${userId}`;
+
+async function loadEmployeeDirectory() {
+  const employees = await Employee.find().lean();
+
+  const nextByDeviceUser = new Map();
+  const nextByEmpCode = new Map();
+  for (const employee of employees) {
+    nextByEmpCode.set(employee.empCode, employee);
+    for (const { device, userId } of employee.deviceUsers || []) {
+      nextByDeviceUser.set(deviceUserKey(device && String(device), userId), employee);
+    }
+  }
+
+  byDeviceUser = nextByDeviceUser;
+  byEmpCode = nextByEmpCode;
+  return employees.length;
+}
+
+// The employee behind a device user: a mapping for that device wins over
+// one for every device
+function findEmployee(deviceId, userId) {
+  if (userId === undefined || userId === null) return null;
+  return (deviceId && byDeviceUser.get(deviceUserKey(String(deviceId), userId)))
+    || byDeviceUser.get(deviceUserKey(null, userId))
+    || null;
+}
+
+function findEmployeeByCode(empCode) {
+  return byEmpCode.get(String(empCode)) || null;
+}
+
+function getEmployeeCount() {
+  return byEmpCode.size;
+}
+
+module.exports = {
+  loadEmployeeDirectory,
+  findEmployee,
+  findEmployeeByCode,
+  getEmployeeCount
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+// Row writers for file exports. Every writer streams to `stream` as rows
+// come in, so an export never holds more than a page of rows:
+//
+//   const writer = createExportWriter('csv', res, { title, columns });
+//   await writer.writeRow(['2026-10-01', 'EMP001', ...]);
+//   await writer.end();
+//
+// columns: [{ header, width }] where width is a relative weight used by the
+// XLSX column widths and the PDF table layout.
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Wait for the consumer when the stream buffer is full
+function write(stream, chunk) {
+  stream.write(chunk);
+  return drained(stream);
+}
+
+function drained(stream) {
+  if (!stream.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Export stream closed')); };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvWriter(stream, { columns }) {
+  const line = values => values.map(csvCell).join(',') + '\r\n';
+  // BOM so spreadsheet apps read the file as UTF-8
+  const started = write(stream, '\uFEFF' + line(columns.map(column => column.header)));
+  return {
+    writeRow: async values => {
+      await started;
+      await write(stream, line(values));
+    },
+    end: async () => {
+      await started;
+      stream.end();
+    }
+  };
+}
+
+// Rows between checks on how far the XLSX output got
+const XLSX_DRAIN_INTERVAL = 100;
+
+function xlsxWriter(stream, { title, columns }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(column => ({ header: column.header, width: (column.width || 1) * 12 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  let rows = 0;
+  return {
+    writeRow: async values => {
+      sheet.addRow(values.map(value => (value === null || value === undefined ? '' : value))).commit();
+      // The zip is compressed off the main thread, give it a turn to reach
+      // `stream` before asking whether the consumer keeps up
+      if (++rows % XLSX_DRAIN_INTERVAL === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+        await drained(stream);
+      }
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+const PDF_FONT_SIZE = 8;
+const PDF_ROW_HEIGHT = 14;
+
+function pdfWriter(stream, { title, columns }) {
+  // Not piped: pages are handed on as they are finished, waiting whenever
+  // the consumer falls behind, so the document never builds up in memory
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  const flush = async () => {
+    let chunk;
+    while ((chunk = doc.read()) !== null) await write(stream, chunk);
+  };
+
+  const left = doc.page.margins.left;
+  const usable = doc.page.width - left - doc.page.margins.right;
+  const totalWeight = columns.reduce((total, column) => total + (column.width || 1), 0);
+  const widths = columns.map(column => usable * (column.width || 1) / totalWeight);
+  const bottom = () => doc.page.height - doc.page.margins.bottom - PDF_ROW_HEIGHT;
+
+  let y = doc.page.margins.top;
+  let page = 1;
+
+  const drawRow = (values, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(PDF_FONT_SIZE);
+    let x = left;
+    values.forEach((value, index) => {
+      doc.text(value === null || value === undefined ? '' : String(value), x + 2, y + 3, {
+        width: widths[index] - 4,
+        height: PDF_ROW_HEIGHT,
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += widths[index];
+    });
+    y += PDF_ROW_HEIGHT;
+    doc.moveTo(left, y).lineTo(left + usable, y).lineWidth(0.3).strokeColor('#cccccc').stroke();
+  };
+
+  const drawHeader = () => {
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000')
+      .text(`${title}${page > 1 ? ` (page ${page})` : ''}`, left, y);
+    y = doc.y + 6;
+    drawRow(columns.map(column => column.header), true);
+  };
+  drawHeader();
+
+  return {
+    writeRow: async values => {
+      if (y > bottom()) {
+        doc.addPage();
+        page++;
+        y = doc.page.margins.top;
+        drawHeader();
+        await flush();
+      }
+      drawRow(values, false);
+    },
+    end: async () => {
+      doc.end();
+      for await (const chunk of doc) await write(stream, chunk);
+      await new Promise((resolve, reject) => {
+        stream.once('finish', resolve);
+        stream.once('error', reject);
+        stream.end();
+      });
+    }
+  };
+}
+
+const WRITERS = { csv: csvWriter, xlsx: xlsxWriter, pdf: pdfWriter };
+
+function createExportWriter(format, stream, options) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+  return writer(stream, options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvCell,
+  createExportWriter
+};
\ No newline at end of file
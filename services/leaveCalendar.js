@@ -0,0 +1,65 @@
+// Holidays and approved leave over a date range, so absence calculations
+// know who was excused on which day
+const Holiday = require('../models/Holiday');
+const Leave = require('../models/Leave');
+
+// Weight of an excused day: a half day excuses half the scheduled time
+const DURATION_WEIGHT = { full: 1, half: 0.5 };
+
+function buildCalendar(holidays, leaves) {
+  const holidaysByDate = new Map();
+  for (const holiday of holidays) {
+    if (!holidaysByDate.has(holiday.date)) holidaysByDate.set(holiday.date, []);
+    holidaysByDate.get(holiday.date).push(holiday);
+  }
+
+  const leavesByEmployee = new Map();
+  for (const leave of leaves) {
+    if (!leavesByEmployee.has(leave.empCode)) leavesByEmployee.set(leave.empCode, []);
+    leavesByEmployee.get(leave.empCode).push(leave);
+  }
+
+  // A department's own holiday wins over a company-wide one
+  const holidayOn = (date, department) => {
+    const candidates = holidaysByDate.get(date) || [];
+    return candidates.find(holiday => department && holiday.department === department)
+      || candidates.find(holiday => !holiday.department)
+      || null;
+  };
+
+  const leaveOn = (empCode, date) => (leavesByEmployee.get(empCode) || [])
+    .find(leave => leave.startDate <= date && leave.endDate >= date) || null;
+
+  return {
+    holidayOn,
+    leaveOn,
+    // What excuses an employee on a day: { holiday, leave }
+    dayOf: (employee, date) => ({
+      holiday: holidayOn(date, employee.department),
+      leave: leaveOn(employee.empCode, date)
+    })
+  };
+}
+
+const EMPTY_CALENDAR = buildCalendar([], []);
+
+// Calendar of an inclusive YYYY-MM-DD range. empCodes limits the leave loaded.
+async function loadCalendar({ startDate, endDate, empCodes }) {
+  const [holidays, leaves] = await Promise.all([
+    Holiday.find({ date: { $gte: startDate, $lte: endDate } }).lean(),
+    Leave.find({
+      status: 'approved',
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate },
+      ...(empCodes ? { empCode: { $in: empCodes } } : {})
+    }).lean()
+  ]);
+  return buildCalendar(holidays, leaves);
+}
+
+module.exports = {
+  DURATION_WEIGHT,
+  EMPTY_CALENDAR,
+  buildCalendar,
+  loadCalendar
+};
\ No newline at end of file
@@ -0,0 +1,199 @@
+// Payload templates describe how a destination wants a punch shaped:
+//
+//   {
+//     fields: {
+//       emp_code: 'userId',                                   // record field
+//       punch_time: { field: 'timestamp', format: 'HH:mm:ss' }, // formatted date
+//       company: { value: 'ACME' },                           // static value
+//       card: { user: 'cardno', default: '' }                 // user metadata
+//     }
+//   }
+//
+// Dates are formatted in the destination's time zone.
+
+const { SERVER_TIME_ZONE, getZonedParts } = require('./timeZone');
+
+const RECORD_FIELDS = [
+  'id',
+  'userId',
+  'userName',
+  'empCode',
+  'department',
+  'timestamp',
+  'state',
+  'punchType',
+  'inferredPunchType',
+  'verificationMethod',
+  'source',
+  'deviceId',
+  'deviceName',
+  'deviceIp',
+  'timeZone'
+];
+
+const DATE_FIELDS = ['timestamp'];
+
+// Formats that are not built from tokens
+const NAMED_FORMATS = {
+  iso: date => date.toISOString(),
+  unix: date => Math.floor(date.getTime() / 1000),
+  unix_ms: date => date.getTime()
+};
+
+const FORMAT_TOKENS = /YYYY|YY|MM|DD|HH|mm|ss|SSS/g;
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  form: 'application/x-www-form-urlencoded'
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function formatDate(date, format, timeZone = SERVER_TIME_ZONE) {
+  if (NAMED_FORMATS[format]) {
+    return NAMED_FORMATS[format](date);
+  }
+
+  const zoned = getZonedParts(date, timeZone);
+  const parts = {
+    YYYY: zoned.year,
+    YY: pad(zoned.year % 100),
+    MM: pad(zoned.month),
+    DD: pad(zoned.day),
+    HH: pad(zoned.hour),
+    mm: pad(zoned.minute),
+    ss: pad(zoned.second),
+    SSS: pad(zoned.millisecond, 3)
+  };
+  return format.replace(FORMAT_TOKENS, token => parts[token]);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStaticValue(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Return a list of problems with a template, empty when it is usable
+function validateTemplate(template) {
+  if (!isPlainObject(template) || !isPlainObject(template.fields)) {
+    return ['template.fields must be an object mapping payload fields to values'];
+  }
+
+  const names = Object.keys(template.fields);
+  if (names.length === 0) {
+    return ['template.fields must define at least one field'];
+  }
+
+  const errors = [];
+  for (const name of names) {
+    const spec = template.fields[name];
+    const where = `template.fields.${name}`;
+
+    if (!name.trim()) {
+      errors.push('template field names cannot be empty');
+    } else if (typeof spec === 'string') {
+      if (!RECORD_FIELDS.includes(spec)) {
+        errors.push(`${where}: unknown record field "${spec}"`);
+      }
+    } else if (!isPlainObject(spec)) {
+      errors.push(`${where} must be a record field name or an object`);
+    } else if ('value' in spec) {
+      if (!isStaticValue(spec.value)) {
+        errors.push(`${where}.value must be a string, number, boolean or null`);
+      }
+    } else if ('user' in spec) {
+      if (typeof spec.user !== 'string' || !spec.user.trim()) {
+        errors.push(`${where}.user must name a user property`);
+      }
+    } else if ('field' in spec) {
+      if (!RECORD_FIELDS.includes(spec.field)) {
+        errors.push(`${where}: unknown record field "${spec.field}"`);
+      } else if (spec.format !== undefined) {
+        if (!DATE_FIELDS.includes(spec.field)) {
+          errors.push(`${where}.format only applies to ${DATE_FIELDS.join(', ')}`);
+        } else if (typeof spec.format !== 'string' || !spec.format.trim()) {
+          errors.push(`${where}.format must be a non-empty string`);
+        }
+      }
+    } else {
+      errors.push(`${where} must have one of "field", "value" or "user"`);
+    }
+
+    if (isPlainObject(spec) && spec.default !== undefined && !isStaticValue(spec.default)) {
+      errors.push(`${where}.default must be a string, number, boolean or null`);
+    }
+  }
+  return errors;
+}
+
+function resolveField(spec, record, user, timeZone) {
+  if (typeof spec === 'string') {
+    return record[spec];
+  }
+  if ('value' in spec) {
+    return spec.value;
+  }
+  if ('user' in spec) {
+    return user ? user[spec.user] : undefined;
+  }
+
+  const value = record[spec.field];
+  if (spec.format && value !== undefined && value !== null) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : formatDate(date, spec.format, timeZone);
+  }
+  return value;
+}
+
+// Build the outbound payload for a record. `user` is the metadata known
+// about the punching user (device user, employee record...), if any.
+function renderPayload(template, record, user = null, timeZone = SERVER_TIME_ZONE) {
+  const payload = {};
+  for (const [name, spec] of Object.entries(template.fields)) {
+    let value = resolveField(spec, record, user, timeZone);
+    if ((value === undefined || value === null) && isPlainObject(spec) && spec.default !== undefined) {
+      value = spec.default;
+    }
+    if (value !== undefined) {
+      payload[name] = value;
+    }
+  }
+  return payload;
+}
+
+// Turn a payload into fetch() options for a destination
+function buildRequest(destination, payload) {
+  const method = destination.method || 'POST';
+  const contentType = destination.contentType || 'json';
+
+  if (method === 'GET') {
+    const url = new URL(destination.url);
+    for (const [name, value] of Object.entries(payload)) {
+      url.searchParams.append(name, value === null ? '' : String(value));
+    }
+    return { url: url.toString(), method, headers: {} };
+  }
+
+  const body = contentType === 'form'
+    ? new URLSearchParams(Object.entries(payload).map(([name, value]) => [name, value === null ? '' : String(value)])).toString()
+    : JSON.stringify(payload);
+
+  return {
+    url: destination.url,
+    method,
+    headers: { 'Content-Type': CONTENT_TYPES[contentType] },
+    body
+  };
+}
+
+module.exports = {
+  RECORD_FIELDS,
+  CONTENT_TYPES,
+  formatDate,
+  validateTemplate,
+  renderPayload,
+  buildRequest
+};
@@ -0,0 +1,79 @@
+// Monthly payroll summary per employee, built from the shift evaluation of
+// the month's punches (services/shiftEvaluation.js). Approved leave and
+// holidays are not absences; work on a holiday is counted on its own.
+const { evaluateAttendance } = require('./shiftEvaluation');
+const { DURATION_WEIGHT } = require('./leaveCalendar');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const toHours = minutes => Math.round(minutes / 0.6) / 100;
+
+// First and last YYYY-MM-DD day of a YYYY-MM month, null when malformed
+function monthRange(month) {
+  const match = MONTH_PATTERN.exec(month || '');
+  if (!match) return null;
+  const lastDay = new Date(Date.UTC(Number(match[1]), Number(match[2]), 0)).getUTCDate();
+  return { startDate: `${month}-01`, endDate: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function summarizeEmployee(employee, days, month, complete) {
+  const worked = days.filter(day => day.punchCount > 0);
+  const sum = (list, field) => list.reduce((total, day) => total + day[field], 0);
+  const workedMinutes = sum(days, 'workedMinutes');
+  const overtimeMinutes = sum(days, 'overtimeMinutes');
+
+  // Leave only counts on days the employee was scheduled to work
+  const leaveByType = {};
+  for (const { shift, leave } of days) {
+    if (shift && leave) {
+      leaveByType[leave.type] = (leaveByType[leave.type] || 0) + DURATION_WEIGHT[leave.duration];
+    }
+  }
+
+  return {
+    month,
+    empCode: employee.empCode,
+    name: employee.name,
+    department: employee.department || null,
+    scheduledDays: days.filter(day => day.shift).length,
+    daysPresent: new Set(worked.map(day => day.date)).size,
+    absences: sum(days, 'absence'),
+    leaveDays: Object.values(leaveByType).reduce((total, count) => total + count, 0),
+    leaveByType,
+    holidays: days.filter(day => day.shift && day.holiday).length,
+    lateCount: days.filter(day => day.lateMinutes > 0).length,
+    lateMinutes: sum(days, 'lateMinutes'),
+    earlyLeaveCount: days.filter(day => day.earlyLeaveMinutes > 0).length,
+    workedMinutes,
+    totalHours: toHours(workedMinutes),
+    overtimeMinutes,
+    overtimeHours: toHours(overtimeMinutes),
+    holidaysWorked: worked.filter(day => day.holidayWork).length,
+    offDaysWorked: worked.filter(day => day.status === 'off' && !day.holidayWork).length,
+    flaggedDays: days.filter(day => day.flags.length > 0).length,
+    // Payroll should only be closed on a month that is over
+    complete
+  };
+}
+
+// Payroll summaries of the employees matching the filters for a YYYY-MM month,
+// including those deactivated since who worked or were rostered in it
+async function getPayrollSummary({ month, empCode, department, now = new Date() }) {
+  const { startDate, endDate } = monthRange(month);
+  const report = await evaluateAttendance({ startDate, endDate, empCode, department, includeInactive: true, now });
+
+  // The last day's shift may run into the next morning, so wait for the day after
+  const complete = now.getTime() >= Date.parse(endDate) + 2 * 24 * 60 * 60 * 1000;
+  return report.employees.map(employee => summarizeEmployee(
+    employee,
+    report.days.filter(day => day.empCode === employee.empCode),
+    month,
+    complete
+  ));
+}
+
+module.exports = {
+  MONTH_PATTERN,
+  monthRange,
+  getPayrollSummary
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Payroll export formats. A format turns a month's payroll summaries
+// (services/payroll.js) into the file a payroll system imports:
+//
+//   registerPayrollFormat('acme', {
+//     description: 'ACME payroll import',
+//     contentType: 'text/plain; charset=utf-8',
+//     extension: 'txt',
+//     render: (summaries, { month }) => '...'
+//   });
+const { csvCell } = require('./exportWriters');
+
+const LINE_END = '\r\n';
+
+// Columns of the generic CSV layout
+const CSV_FIELDS = [
+  ['empCode', 'Employee Code'],
+  ['name', 'Name'],
+  ['department', 'Department'],
+  ['month', 'Month'],
+  ['scheduledDays', 'Scheduled Days'],
+  ['daysPresent', 'Days Present'],
+  ['absences', 'Absences'],
+  ['leaveDays', 'Leave Days'],
+  ['holidays', 'Holidays'],
+  ['lateCount', 'Late Count'],
+  ['lateMinutes', 'Late Minutes'],
+  ['earlyLeaveCount', 'Early Leave Count'],
+  ['totalHours', 'Total Hours'],
+  ['overtimeHours', 'Overtime Hours'],
+  ['holidaysWorked', 'Holidays Worked'],
+  ['offDaysWorked', 'Off Days Worked']
+];
+
+// Fixed-width record: text left-aligned and space padded, numbers
+// right-aligned and zero padded. Hours are in hundredths (8.5h -> 850) and
+// absence and leave days in tenths, as half days exist (1.5 days -> 15).
+const FIXED_WIDTH_LAYOUT = [
+  { name: 'empCode', width: 12 },
+  { name: 'name', width: 30 },
+  { name: 'month', width: 6, value: summary => summary.month.replace('-', '') },
+  { name: 'daysPresent', width: 3, numeric: true },
+  { name: 'absences', width: 4, numeric: true, value: summary => Math.round(summary.absences * 10) },
+  { name: 'leaveDays', width: 4, numeric: true, value: summary => Math.round(summary.leaveDays * 10) },
+  { name: 'lateCount', width: 3, numeric: true },
+  { name: 'totalHours', width: 7, numeric: true, value: summary => Math.round(summary.totalHours * 100) },
+  { name: 'overtimeHours', width: 6, numeric: true, value: summary => Math.round(summary.overtimeHours * 100) },
+  { name: 'holidaysWorked', width: 3, numeric: true }
+];
+
+function fixedWidthField({ name, width, numeric, value }, summary) {
+  const raw = value ? value(summary) : summary[name];
+  if (numeric) {
+    const digits = String(Math.max(0, Math.round(raw || 0)));
+    if (digits.length > width) {
+      throw new Error(`${name} of ${summary.empCode} (${digits}) does not fit in ${width} digits`);
+    }
+    return digits.padStart(width, '0');
+  }
+  return String(raw === null || raw === undefined ? '' : raw).slice(0, width).padEnd(width, ' ');
+}
+
+const formats = new Map();
+
+function registerPayrollFormat(name, format) {
+  if (typeof format.render !== 'function') {
+    throw new Error(`Payroll format "${name}" must have a render function`);
+  }
+  formats.set(name, {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    ...format
+  });
+}
+
+registerPayrollFormat('csv', {
+  description: 'Generic CSV with a header row',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  render: summaries => [
+    CSV_FIELDS.map(([, header]) => header),
+    ...summaries.map(summary => CSV_FIELDS.map(([field]) => summary[field]))
+  ].map(values => values.map(csvCell).join(',') + LINE_END).join('')
+});
+
+registerPayrollFormat('fixed-width', {
+  description: `Fixed-width text, ${FIXED_WIDTH_LAYOUT.reduce((total, { width }) => total + width, 0)} characters per employee: `
+    + FIXED_WIDTH_LAYOUT.map(({ name, width }) => `${name}(${width})`).join(' '),
+  render: summaries => summaries
+    .map(summary => FIXED_WIDTH_LAYOUT.map(field => fixedWidthField(field, summary)).join('') + LINE_END)
+    .join('')
+});
+
+function getPayrollFormat(name) {
+  return formats.get(name) || null;
+}
+
+function listPayrollFormats() {
+  return [...formats].map(([name, { description, contentType, extension }]) => ({ name, description, contentType, extension }));
+}
+
+module.exports = {
+  registerPayrollFormat,
+  getPayrollFormat,
+  listPayrollFormats
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+// Manual punch corrections (models/PunchCorrection.js): requested with a
+// reason, approved or rejected, and only then applied. Applying an add or
+// edit stores a new punch through the normal processing path; the punch
+// being corrected is kept as recorded and marked as superseded.
+//
+// Voids are local only. Destinations are only ever sent punches, so one that
+// already received a voided punch, or the punch an edit replaces, keeps it
+// and has to be corrected on its side.
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const PunchCorrection = require('../models/PunchCorrection');
+const { SERVER_TIME_ZONE, isValidTimeZone, zonedTimeToInstant, formatDateInZone } = require('./timeZone');
+
+const ACTIONS = ['add', 'edit', 'void'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+const historyEntry = (event, by, note) => ({ event, by, at: new Date(), note });
+
+// A wall-clock YYYY-MM-DD date and HH:mm[:ss] time in a zone as an
+// instant, null when malformed
+function parseWallClock(date, time, timeZone) {
+  const dateMatch = DATE_PATTERN.exec(date || '');
+  const timeMatch = TIME_PATTERN.exec(time || '');
+  if (!dateMatch || !timeMatch) return null;
+
+  const timestamp = zonedTimeToInstant({
+    year: Number(dateMatch[1]),
+    month: Number(dateMatch[2]),
+    day: Number(dateMatch[3]),
+    hour: Number(timeMatch[1]),
+    minute: Number(timeMatch[2]),
+    second: Number(timeMatch[3] || 0)
+  }, timeZone);
+  // Days that do not exist (2026-02-30) roll over and are refused
+  return isNaN(timestamp.getTime()) || formatDateInZone(timestamp, timeZone) !== date ? null : timestamp;
+}
+
+// Validate and store a correction request. Returns { correction }, or
+// { status, error } when it cannot be requested.
+async function requestCorrection({ action, empCode, attendanceId, punchDate, punchTime, timeZone, state, reason, requestedBy }) {
+  if (!ACTIONS.includes(action)) {
+    return { status: 400, error: `action must be one of: ${ACTIONS.join(', ')}` };
+  }
+  if (!reason || !String(reason).trim()) {
+    return { status: 400, error: 'A reason is required' };
+  }
+  const hasState = state !== undefined && state !== null && state !== '';
+  if (hasState && !(Number.isInteger(Number(state)) && Number(state) >= 0 && Number(state) <= 5)) {
+    return { status: 400, error: 'state must be an integer between 0 and 5' };
+  }
+
+  let original = null;
+  if (action !== 'add') {
+    if (!mongoose.isValidObjectId(attendanceId)) {
+      return { status: 400, error: `attendanceId of the punch to ${action} is required` };
+    }
+    original = await Attendance.findById(attendanceId).lean();
+    if (!original) {
+      return { status: 404, error: 'Punch not found' };
+    }
+    if (original.supersededBy) {
+      return { status: 409, error: 'Punch has already been corrected' };
+    }
+    const open = await PunchCorrection.findOne({ original: original._id, status: { $in: ['pending', 'approved'] } }).lean();
+    if (open) {
+      return { status: 409, error: `Punch already has an open correction (${open._id})` };
+    }
+  }
+
+  const zone = timeZone || (original && original.timeZone) || SERVER_TIME_ZONE;
+  if (!isValidTimeZone(zone)) {
+    return { status: 400, error: `${zone} is not a valid IANA time zone` };
+  }
+
+  let timestamp = null;
+  if (action !== 'void') {
+    // An edit keeps the original's day unless told otherwise
+    const date = punchDate || formatDateInZone(original ? original.timestamp : new Date(), zone);
+    timestamp = parseWallClock(date, punchTime, zone);
+    if (!timestamp) {
+      return { status: 400, error: 'punchTime is required as HH:mm[:ss] and punchDate as YYYY-MM-DD' };
+    }
+    if (timestamp > new Date()) {
+      return { status: 400, error: 'A corrected punch cannot be in the future' };
+    }
+  }
+
+  const code = empCode || (original && original.empCode);
+  if (!code) {
+    return { status: 400, error: 'empCode is required' };
+  }
+
+  const correction = await PunchCorrection.create({
+    action,
+    empCode: String(code),
+    original: original ? original._id : undefined,
+    originalPunch: original ? {
+      timestamp: original.timestamp,
+      status: original.status,
+      punchType: original.punchType,
+      userId: original.userId,
+      device: original.device,
+      deviceIp: original.deviceIp,
+      source: original.source,
+      punchKey: original.punchKey
+    } : undefined,
+    timestamp: timestamp || undefined,
+    state: action === 'void' ? undefined : hasState ? Number(state) : original && original.status !== null ? original.status : 0,
+    timeZone: action === 'void' ? undefined : zone,
+    reason,
+    requestedBy,
+    history: [historyEntry('requested', requestedBy, reason)]
+  });
+  return { correction };
+}
+
+// Approve or reject a pending correction. A failed one can be approved
+// again once the cause is fixed, and nobody approves their own request.
+// Null when the correction cannot be decided.
+function decideCorrection(id, approve, { decidedBy, note } = {}) {
+  const status = approve ? 'approved' : 'rejected';
+  return PunchCorrection.findOneAndUpdate(
+    approve
+      ? { _id: id, status: { $in: ['pending', 'failed'] }, requestedBy: { $ne: decidedBy } }
+      : { _id: id, status: 'pending' },
+    {
+      $set: { status, decidedBy, decidedAt: new Date(), decisionNote: note },
+      $push: { history: historyEntry(status, decidedBy, note) }
+    },
+    { new: true }
+  );
+}
+
+// Record how applying an approved correction ended
+function finishCorrection(correction, { appliedPunch, error } = {}) {
+  const status = error ? 'failed' : 'applied';
+  return PunchCorrection.findByIdAndUpdate(
+    correction._id,
+    {
+      $set: { status, appliedPunch: appliedPunch || null, error: error || null },
+      $push: { history: historyEntry(status, 'system', error) }
+    },
+    { new: true }
+  );
+}
+
+// Mark the original punch as replaced. False when another correction got there first.
+async function supersedeOriginal(correction) {
+  const result = await Attendance.updateOne(
+    { _id: correction.original, supersededBy: null },
+    { $set: { supersededBy: correction._id } }
+  );
+  return result.modifiedCount === 1;
+}
+
+async function restoreOriginal(correction) {
+  await Attendance.updateOne(
+    { _id: correction.original, supersededBy: correction._id },
+    { $set: { supersededBy: null } }
+  );
+}
+
+// The punch an approved add or edit feeds into processing. It has no
+// device of its own, so it can never be taken for the original.
+function correctionRecord(correction, original, { userName, department }) {
+  return {
+    userId: original ? original.userId : correction.empCode,
+    userName,
+    empCode: correction.empCode,
+    department,
+    timestamp: correction.timestamp.toISOString(),
+    verificationMethod: 'Manual',
+    state: correction.state,
+    source: 'correction',
+    timeZone: correction.timeZone,
+    correctionId: correction._id
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  parseWallClock,
+  requestCorrection,
+  decideCorrection,
+  finishCorrection,
+  supersedeOriginal,
+  restoreOriginal,
+  correctionRecord
+};
\ No newline at end of file
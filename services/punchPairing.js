@@ -0,0 +1,261 @@
+// Pairs a user's punches into work sessions and infers what each punch was.
+//
+// Many terminals report every punch with state 0, so the raw state cannot
+// tell a check-in from a check-out. Punches are instead read in sequence:
+//
+//   - a punch with no open session opens one (Check-in)
+//   - the next punch closes it (Check-out), whichever calendar day it is on
+//   - a session open longer than maxSessionHours, or a punch belonging to a
+//     different shift occurrence, closes the open session as missing its out
+//     (so a session runs across midnight as long as it stays within limits)
+//   - a session opened soon after the previous one closed within the same
+//     shift turns the pair between them into Break-out / Break-in
+//   - punches repeated within duplicateWindowSeconds are Duplicate
+//
+// Raw states 1-5 are deliberate and always honoured. State 0 is only taken
+// as a check-in when trustCheckIn is set.
+const Attendance = require('../models/Attendance');
+const Roster = require('../models/Roster');
+const Shift = require('../models/Shift');
+const { findEmployee, findEmployeeByCode } = require('./employeeDirectory');
+const { MANUAL_SOURCES, employeePunchFilter } = require('./timesheet');
+const { resolveShift, scheduleFor } = require('./shiftEvaluation');
+const { SERVER_TIME_ZONE, formatDateInZone } = require('./timeZone');
+
+const DEFAULT_PAIRING_OPTIONS = {
+  duplicateWindowSeconds: 60,
+  maxSessionHours: 16,
+  maxBreakMinutes: 120,
+  trustCheckIn: false
+};
+
+const PUNCH_TYPES = ['Check-in', 'Check-out', 'Break-out', 'Break-in', 'Overtime-in', 'Overtime-out', 'Duplicate'];
+const EXPLICIT_TYPES = { 1: 'Check-out', 2: 'Break-out', 3: 'Break-in', 4: 'Overtime-in', 5: 'Overtime-out' };
+const IN_TYPES = ['Check-in', 'Break-in', 'Overtime-in'];
+
+const HOUR_MS = 60 * 60 * 1000;
+// Widest offset from UTC, so a day in any zone falls inside the query
+const MAX_ZONE_OFFSET_MS = 14 * HOUR_MS;
+// How long the shift list is reused; an edited shift is paired with after this
+const SHIFT_CACHE_MS = 60 * 1000;
+
+// The shift list, read once for all the punches of a rush
+let shiftCache = null;
+function loadShifts() {
+  if (!shiftCache || Date.now() - shiftCache.loadedAt > SHIFT_CACHE_MS) {
+    const shifts = Shift.find().lean();
+    shiftCache = { shifts, loadedAt: Date.now() };
+    // A failed read is retried by the next punch
+    shifts.catch(() => {
+      if (shiftCache && shiftCache.shifts === shifts) shiftCache = null;
+    });
+  }
+  return shiftCache.shifts;
+}
+
+// punches: one user's punches. occurrenceOf(punch) names the shift
+// occurrence a punch belongs to, null when there is no shift context.
+// Returns { types: Map(punch -> inferred type), sessions }
+function pairPunches(punches, { occurrenceOf = () => null, zoneOf = () => SERVER_TIME_ZONE, ...overrides } = {}) {
+  const options = { ...DEFAULT_PAIRING_OPTIONS, ...overrides };
+  const sorted = [...punches].sort((a, b) => a.timestamp - b.timestamp);
+  const types = new Map();
+  const sessions = [];
+
+  let open = null;
+  let lastClosed = null;
+  let previous = null;
+
+  const startSession = (punch, occurrence, explicit) => {
+    let type = explicit || 'Check-in';
+    // Without shift context the shift is whatever fits in one session length
+    const sameShift = lastClosed && lastClosed.in && lastClosed.out
+      && (occurrence !== null || lastClosed.occurrence !== null
+        ? occurrence === lastClosed.occurrence
+        : punch.timestamp - lastClosed.in.timestamp <= options.maxSessionHours * HOUR_MS);
+    if (!explicit && sameShift && punch.timestamp - lastClosed.out.timestamp <= options.maxBreakMinutes * 60000) {
+      type = 'Break-in';
+      if (!EXPLICIT_TYPES[lastClosed.out.status]) {
+        types.set(lastClosed.out, 'Break-out');
+      }
+    }
+    types.set(punch, type);
+    open = { in: punch, type, occurrence };
+  };
+
+  const closeSession = (out, flags = []) => {
+    const session = {
+      in: open ? open.in : null,
+      out,
+      occurrence: open ? open.occurrence : occurrenceOf(out),
+      flags
+    };
+    sessions.push(session);
+    lastClosed = session;
+    open = null;
+  };
+
+  for (const punch of sorted) {
+    if (previous && punch.timestamp - previous.timestamp < options.duplicateWindowSeconds * 1000) {
+      types.set(punch, 'Duplicate');
+      continue;
+    }
+    previous = punch;
+
+    const explicit = EXPLICIT_TYPES[punch.status] || (options.trustCheckIn && punch.status === 0 ? 'Check-in' : null);
+    const occurrence = occurrenceOf(punch);
+
+    if (open) {
+      const tooLong = punch.timestamp - open.in.timestamp > options.maxSessionHours * HOUR_MS;
+      const otherShift = occurrence !== null && open.occurrence !== null && occurrence !== open.occurrence;
+      if (tooLong || otherShift || IN_TYPES.includes(explicit)) {
+        closeSession(null, ['missing_out']);
+      }
+    }
+
+    if (open) {
+      types.set(punch, explicit || (open.type === 'Overtime-in' ? 'Overtime-out' : 'Check-out'));
+      closeSession(punch);
+    } else if (explicit && !IN_TYPES.includes(explicit)) {
+      types.set(punch, explicit);
+      closeSession(punch, ['missing_in']);
+    } else {
+      startSession(punch, occurrence, explicit);
+    }
+  }
+  if (open) {
+    sessions.push({ in: open.in, out: null, occurrence: open.occurrence, flags: ['open'] });
+  }
+
+  return {
+    types,
+    sessions: sessions.map(session => describeSession(session, zoneOf))
+  };
+}
+
+function describeSession({ in: checkIn, out, occurrence, flags }, zoneOf) {
+  const inDate = checkIn ? formatDateInZone(checkIn.timestamp, zoneOf(checkIn)) : null;
+  const outDate = out ? formatDateInZone(out.timestamp, zoneOf(out)) : null;
+  return {
+    in: checkIn ? checkIn.timestamp : null,
+    out: out ? out.timestamp : null,
+    date: inDate || outDate,
+    minutes: checkIn && out ? Math.round((out.timestamp - checkIn.timestamp) / 60000) : 0,
+    crossesMidnight: Boolean(inDate && outDate && inDate !== outDate),
+    occurrence,
+    flags
+  };
+}
+
+// Which shift occurrence a punch belongs to, from the employee's roster
+async function loadOccurrenceResolver(employee) {
+  if (!employee) return () => null;
+
+  const rosters = await Roster.find({ empCode: employee.empCode }).lean();
+  if (rosters.length === 0) return () => null;
+  const shifts = await loadShifts();
+  const shiftsById = new Map(shifts.map(shift => [String(shift._id), shift]));
+
+  const cache = new Map();
+  return punch => {
+    const day = formatDateInZone(punch.timestamp, punch.timeZone || SERVER_TIME_ZONE);
+    // The shift of the day before may still be running (night shifts)
+    const candidates = [new Date(Date.parse(day) - 24 * HOUR_MS).toISOString().slice(0, 10), day];
+    for (const date of candidates) {
+      if (!cache.has(date)) {
+        const { shift } = resolveShift(rosters, shiftsById, date);
+        cache.set(date, shift ? { shift, schedule: scheduleFor(shift, date) } : null);
+      }
+      const entry = cache.get(date);
+      if (!entry) continue;
+
+      const { beforeStartMinutes = 240, afterEndMinutes = 360 } = entry.shift.punchWindow || {};
+      if (punch.timestamp >= entry.schedule.start.getTime() - beforeStartMinutes * 60000
+        && punch.timestamp <= entry.schedule.end.getTime() + afterEndMinutes * 60000) {
+        return `${date}|${entry.shift._id}`;
+      }
+    }
+    return null;
+  };
+}
+
+// Who a record's punches belong to: the employee when known, else the
+// user on that device, as user ids of different devices are different people
+function findPunchOwner({ deviceId, deviceIp, userId, empCode, source }) {
+  const employee = MANUAL_SOURCES.includes(source) ? findEmployeeByCode(empCode || userId) : findEmployee(deviceId, userId);
+  if (employee) return { employee, filter: employeePunchFilter([employee]) };
+
+  const device = deviceId ? { device: deviceId } : { deviceIp: deviceIp || source };
+  return { employee, filter: { ...device, userId: String(userId) } };
+}
+
+// Re-pair the punches around a newly stored one and store the inferred
+// types that changed. Returns the inferred type of the new punch.
+async function pairRecentPunches(record, overrides = {}) {
+  const options = { ...DEFAULT_PAIRING_OPTIONS, ...overrides };
+  const at = new Date(record.timestamp).getTime();
+  // Earlier punches are read for context only; their sessions are settled
+  const settledBefore = at - options.maxSessionHours * HOUR_MS;
+  const from = at - 2 * options.maxSessionHours * HOUR_MS;
+  const to = at + options.maxSessionHours * HOUR_MS;
+
+  const { employee, filter } = findPunchOwner(record);
+  const punches = await Attendance.find({
+    ...filter,
+    timestamp: { $gte: new Date(from), $lte: new Date(to) },
+    supersededBy: null
+  }).sort({ timestamp: 1 }).lean();
+
+  const occurrenceOf = await loadOccurrenceResolver(employee);
+  const { types } = pairPunches(punches, { ...options, occurrenceOf, zoneOf: punch => punch.timeZone || SERVER_TIME_ZONE });
+
+  const updates = punches
+    .filter(punch => punch.timestamp >= settledBefore && types.get(punch) !== punch.inferredPunchType)
+    .map(punch => ({
+      updateOne: {
+        filter: { _id: punch._id },
+        update: { $set: { inferredPunchType: types.get(punch) } }
+      }
+    }));
+  if (updates.length > 0) {
+    await Attendance.bulkWrite(updates);
+  }
+
+  const stored = punches.find(punch => punch.punchKey === record.id);
+  return stored ? types.get(stored) : null;
+}
+
+// Sessions of one employee starting within an inclusive range of
+// YYYY-MM-DD days, paired on the fly
+async function getSessions({ empCode, startDate, endDate }, overrides = {}) {
+  const options = { ...DEFAULT_PAIRING_OPTIONS, ...overrides };
+  const employee = findEmployeeByCode(empCode);
+  const filter = employee ? employeePunchFilter([employee]) : { empCode };
+
+  // Read a session's length either side so sessions at the edges pair up
+  const margin = MAX_ZONE_OFFSET_MS + options.maxSessionHours * HOUR_MS;
+  const punches = await Attendance.find({
+    ...filter,
+    timestamp: {
+      $gte: new Date(Date.parse(startDate) - margin),
+      $lt: new Date(Date.parse(endDate) + 24 * HOUR_MS + margin)
+    },
+    supersededBy: null
+  }).sort({ timestamp: 1 }).lean();
+
+  const occurrenceOf = await loadOccurrenceResolver(employee);
+  const { sessions } = pairPunches(punches, {
+    ...options,
+    occurrenceOf,
+    zoneOf: punch => punch.timeZone || SERVER_TIME_ZONE
+  });
+  return sessions.filter(session => session.date >= startDate && session.date <= endDate);
+}
+
+module.exports = {
+  DEFAULT_PAIRING_OPTIONS,
+  PUNCH_TYPES,
+  pairPunches,
+  pairRecentPunches,
+  getSessions
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const Attendance = require('../models/Attendance');
+
+const UNKNOWN_STATE = '?';
+
+// Build the deterministic identity of a punch: the same physical punch
+// always gets the same key no matter which source reported it
+function buildPunchKey({ deviceId, deviceIp, source, userId, timestamp, state }) {
+  const device = deviceId || deviceIp || source;
+  const seconds = Math.floor(new Date(timestamp).getTime() / 1000);
+  const stateKey = state === null || state === undefined ? UNKNOWN_STATE : state;
+  return `${device}|${userId}|${seconds}|${stateKey}`;
+}
+
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000;
+}
+
+// Store a punch once. Returns { duplicate: true } when the punch was
+// already recorded by any source.
+//
+// A punch is identified by device, user and second, whatever its state:
+// real-time events from the device do not carry the state, so they match the
+// polled copy of the same punch, and a punch with a known state upgrades a
+// stored one whose state was unknown. The insert is an upsert on that
+// identity, backed by a unique index, so sources racing each other store it once.
+async function recordPunch(record) {
+  const timestamp = new Date(record.timestamp);
+  timestamp.setMilliseconds(0);
+
+  // Registered devices are matched by id, so re-addressing one keeps its history
+  const base = {
+    ...(record.deviceId ? { device: record.deviceId } : { deviceIp: record.deviceIp || record.source }),
+    userId: String(record.userId),
+    timestamp
+  };
+  const hasState = record.state !== null && record.state !== undefined;
+
+  let result;
+  try {
+    result = await Attendance.findOneAndUpdate(base, {
+      $setOnInsert: {
+        deviceIp: record.deviceIp || record.source,
+        timeZone: record.timeZone,
+        punchKey: record.id,
+        userName: record.userName,
+        empCode: record.empCode,
+        status: hasState ? record.state : null,
+        source: record.source,
+        punchType: record.punchType,
+        verificationMethod: record.verificationMethod,
+        correction: record.correctionId,
+        type: record.rawData && record.rawData.type !== undefined ? record.rawData.type : 0
+      }
+    }, { upsert: true, new: true, runValidators: true, includeResultMetadata: true });
+  } catch (error) {
+    // Another source stored the same punch in the meantime
+    if (isDuplicateKeyError(error)) {
+      return { duplicate: true, attendance: await Attendance.findOne(base) };
+    }
+    throw error;
+  }
+
+  const attendance = result.value;
+  if (!result.lastErrorObject.updatedExisting) {
+    return { duplicate: false, attendance };
+  }
+
+  if (hasState && attendance.status === null) {
+    await Attendance.updateOne(
+      { _id: attendance._id, status: null },
+      { status: record.state, punchKey: record.id, punchType: record.punchType }
+    );
+  }
+  return { duplicate: true, attendance };
+}
+
+module.exports = {
+  buildPunchKey,
+  recordPunch
+};
@@ -0,0 +1,97 @@
+// Rooms and permissions for the Socket.IO feed.
+//
+// Clients subscribe to rooms:
+//
+//   all                  every device and department
+//   device:<deviceId>    one terminal's punches and status
+//   department:<name>    punches and corrections of one department
+//   queue-ops            delivery queue, dead letters and circuit breakers
+//
+// Every socket also sits in `role:<role>`, so an event is kept from the roles
+// lacking its permission by excluding their rooms.
+const { ROLES, hasPermission } = require('./auth');
+
+const ALL_ROOM = 'all';
+const QUEUE_ROOM = 'queue-ops';
+
+// Permission a client needs to receive each event
+const EVENT_PERMISSIONS = {
+  attendance_record: 'attendance:read',
+  attendance_history: 'attendance:read',
+  correction_requested: 'attendance:read',
+  correction_applied: 'attendance:read',
+  users_data: 'device-users:read',
+  user_sync: 'device-users:read',
+  device_info: 'devices:read',
+  device_connection: 'devices:read',
+  clock_drift: 'devices:read',
+  clock_drift_alert: 'devices:read',
+  queue_status: 'queue:read',
+  push_statistics: 'queue:read',
+  attendance_queued: 'queue:read',
+  external_api_push: 'queue:read',
+  dead_letter: 'queue:read',
+  circuit_breaker: 'queue:read'
+};
+
+// Permissions that make a room worth joining
+const ROOM_PERMISSIONS = {
+  [ALL_ROOM]: ['attendance:read', 'devices:read', 'device-users:read'],
+  device: ['attendance:read', 'devices:read'],
+  department: ['attendance:read'],
+  [QUEUE_ROOM]: ['queue:read']
+};
+
+const roleRoom = role => `role:${role}`;
+const deviceRoom = deviceId => `device:${deviceId}`;
+const departmentRoom = department => `department:${department}`;
+
+// { kind, id } for a room name, null when it is not one clients can join
+function parseRoom(room) {
+  if (typeof room !== 'string') return null;
+  if (room === ALL_ROOM || room === QUEUE_ROOM) return { kind: room, id: null };
+
+  const match = room.match(/^(device|department):(.+)$/);
+  return match && match[2].trim() ? { kind: match[1], id: match[2] } : null;
+}
+
+function canJoin(role, room) {
+  const parsed = parseRoom(room);
+  return Boolean(parsed) && ROOM_PERMISSIONS[parsed.kind].some(permission => hasPermission(role, permission));
+}
+
+// Role rooms to leave out when emitting an event
+function excludedRoles(event) {
+  const permission = EVENT_PERMISSIONS[event];
+  if (!permission) {
+    throw new Error(`No permission defined for event ${event}`);
+  }
+  return ROLES.filter(role => !hasPermission(role, permission)).map(roleRoom);
+}
+
+// Rooms a punch is delivered to
+function recordRooms(record) {
+  const rooms = [ALL_ROOM];
+  if (record.deviceId) rooms.push(deviceRoom(record.deviceId));
+  if (record.department) rooms.push(departmentRoom(record.department));
+  return rooms;
+}
+
+// Whether a punch belongs to any of the rooms a client subscribed to
+function recordInRooms(record, rooms) {
+  return recordRooms(record).some(room => rooms.has(room));
+}
+
+module.exports = {
+  ALL_ROOM,
+  QUEUE_ROOM,
+  EVENT_PERMISSIONS,
+  roleRoom,
+  deviceRoom,
+  departmentRoom,
+  parseRoom,
+  canJoin,
+  excludedRoles,
+  recordRooms,
+  recordInRooms
+};
\ No newline at end of file
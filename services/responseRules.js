@@ -0,0 +1,125 @@
+// Response rules decide whether a destination accepted a punch and, if not,
+// whether trying again can help:
+//
+//   {
+//     successStatusCodes: [200, 201],            // empty: any 2xx
+//     jsonEquals: [{ path: 'status', value: 'success' }],
+//     jsonNotEquals: [{ path: 'status', value: 'error' }],
+//     bodyPattern: '"ok"\\s*:\\s*true',           // regex on the raw body
+//     retryableStatusCodes: [408, 429, 500, 502, 503, 504],
+//     retryRejectedBody: false                   // body rules failed on an accepted status
+//   }
+
+const DEFAULT_RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read a value by path such as "status" or "data.items[0].ok"
+function getPath(object, path) {
+  return path
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+// Return a list of problems with a rule set, empty when it is usable
+function validateResponseRules(rules) {
+  if (!rules) return [];
+
+  const errors = [];
+  const {
+    successStatusCodes = [],
+    retryableStatusCodes = [],
+    jsonEquals = [],
+    jsonNotEquals = [],
+    bodyPattern
+  } = rules;
+
+  for (const code of [...successStatusCodes, ...retryableStatusCodes]) {
+    if (!Number.isInteger(code) || code < 100 || code > 599) {
+      errors.push(`responseRules: ${code} is not an HTTP status code`);
+    }
+  }
+  for (const [name, list] of Object.entries({ jsonEquals, jsonNotEquals })) {
+    list.forEach((rule, index) => {
+      if (!rule || typeof rule.path !== 'string' || !rule.path.trim()) {
+        errors.push(`responseRules.${name}[${index}].path is required`);
+      }
+    });
+  }
+  if (bodyPattern && !compilePattern(bodyPattern)) {
+    errors.push(`responseRules.bodyPattern is not a valid regular expression`);
+  }
+  return errors;
+}
+
+// Judge a response: { success, retryable, reason }
+function evaluateResponse(rules, { status, text, data }) {
+  const {
+    successStatusCodes = [],
+    jsonEquals = [],
+    jsonNotEquals = [],
+    bodyPattern,
+    retryableStatusCodes = DEFAULT_RETRYABLE_STATUS_CODES,
+    retryRejectedBody = false
+  } = rules || {};
+
+  const statusAccepted = successStatusCodes.length > 0
+    ? successStatusCodes.includes(status)
+    : status >= 200 && status < 300;
+
+  if (!statusAccepted) {
+    return {
+      success: false,
+      retryable: retryableStatusCodes.includes(status),
+      reason: `HTTP ${status} is not a success status`
+    };
+  }
+
+  for (const { path, value } of jsonEquals) {
+    const actual = getPath(data, path);
+    // Loose comparison so "1" in the body matches 1 in the rule
+    if (actual != value) {
+      return {
+        success: false,
+        retryable: retryRejectedBody,
+        reason: `Response ${path} is ${JSON.stringify(actual)}, expected ${JSON.stringify(value)}`
+      };
+    }
+  }
+
+  for (const { path, value } of jsonNotEquals) {
+    const actual = getPath(data, path);
+    if (actual == value) {
+      return {
+        success: false,
+        retryable: retryRejectedBody,
+        reason: `Response ${path} is ${JSON.stringify(actual)}`
+      };
+    }
+  }
+
+  if (bodyPattern && !compilePattern(bodyPattern).test(text)) {
+    return {
+      success: false,
+      retryable: retryRejectedBody,
+      reason: `Response body does not match ${bodyPattern}`
+    };
+  }
+
+  return { success: true, retryable: false, reason: null };
+}
+
+module.exports = {
+  DEFAULT_RETRYABLE_STATUS_CODES,
+  getPath,
+  validateResponseRules,
+  evaluateResponse
+};
@@ -0,0 +1,321 @@
+// Evaluates punches against rostered shifts: lateness, early departure,
+// absence and overtime per employee per day.
+//
+// Punches are taken for a shift when they fall inside its punch window, so
+// a night shift collects its check-out from the next calendar day. Punches
+// outside any shift are reported on their own day as work on a day off
+// (overtime) or unscheduled work.
+//
+// Approved leave and holidays (services/leaveCalendar.js) excuse the time
+// they cover: a fully excused day is not an absence, and work on a holiday
+// is flagged as holiday work.
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Roster = require('../models/Roster');
+const Shift = require('../models/Shift');
+const { STATES, FLAGS, stateOf, buildDay, resolveEmpCode, employeePunchFilter } = require('./timesheet');
+const { DURATION_WEIGHT, loadCalendar } = require('./leaveCalendar');
+const { SERVER_TIME_ZONE, zonedTimeToInstant, formatDateInZone } = require('./timeZone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OUT_STATES = [STATES.CHECK_OUT, STATES.OVERTIME_OUT];
+const toMinutes = ms => Math.round(ms / 60000);
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// The shift an employee works on a day, null on days off or without a roster
+function resolveShift(rosters, shiftsById, date) {
+  const roster = rosters
+    .filter(candidate => candidate.startDate <= date && (!candidate.endDate || candidate.endDate >= date))
+    .sort((a, b) => b.startDate.localeCompare(a.startDate))[0];
+  if (!roster) return { roster: null, shift: null };
+
+  let shiftId;
+  if (roster.pattern === 'rotating') {
+    const cycleStart = roster.cycleStart || roster.startDate;
+    const offset = Math.round((Date.parse(date) - Date.parse(cycleStart)) / DAY_MS);
+    const length = roster.cycle.length;
+    shiftId = roster.cycle[((offset % length) + length) % length];
+  } else {
+    const weekday = new Date(Date.parse(date)).getUTCDay();
+    shiftId = roster.workDays.includes(weekday) ? roster.shift : null;
+  }
+
+  const shift = shiftId ? shiftsById.get(String(shiftId)) : null;
+  return { roster, shift: shift && shift.isActive !== false ? shift : null };
+}
+
+// Scheduled start and end of a shift worked on a day
+function scheduleFor(shift, date) {
+  const timeZone = shift.timeZone || SERVER_TIME_ZONE;
+  const at = (day, time) => {
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return zonedTimeToInstant({ year, month, day: dayOfMonth, hour, minute }, timeZone);
+  };
+
+  const endDay = shift.endTime <= shift.startTime ? addDays(date, 1) : date;
+  return { start: at(date, shift.startTime), end: at(endDay, shift.endTime) };
+}
+
+function describeExcuses({ holiday = null, leave = null }) {
+  return {
+    holiday: holiday ? { name: holiday.name, duration: holiday.duration } : null,
+    leave: leave ? { id: leave._id, type: leave.type, duration: leave.duration } : null
+  };
+}
+
+// Judge one scheduled day from the punches taken for it. excuses: the
+// holiday and approved leave on that day, see services/leaveCalendar.js
+function evaluateShiftDay(shift, schedule, punches, now = new Date(), excuses = {}) {
+  const day = buildDay(punches);
+  const { breakMinutes = 0, autoDeduct = false } = shift.breakRules || {};
+  const over = now >= schedule.end;
+
+  // The larger of holiday and leave, a half day each still leaves half a shift
+  const excused = Math.max(
+    excuses.holiday ? DURATION_WEIGHT[excuses.holiday.duration] : 0,
+    excuses.leave ? DURATION_WEIGHT[excuses.leave.duration] : 0
+  );
+  const fullMinutes = Math.max(0, toMinutes(schedule.end - schedule.start) - breakMinutes);
+  const scheduledMinutes = Math.round(fullMinutes * (1 - excused));
+
+  const result = {
+    ...day,
+    ...describeExcuses(excuses),
+    scheduledMinutes,
+    lateMinutes: 0,
+    earlyLeaveMinutes: 0,
+    overtimeMinutes: 0,
+    absent: false,
+    // Days of absence: 1, or 0.5 when half the day was excused
+    absence: 0,
+    holidayWork: false
+  };
+
+  if (punches.length === 0) {
+    result.flags = [];
+    if (excused === 1) {
+      result.status = excuses.holiday ? 'holiday' : 'leave';
+      return result;
+    }
+    result.status = over ? 'absent' : now >= schedule.start ? 'not_arrived' : 'upcoming';
+    result.absent = over;
+    result.absence = over ? 1 - excused : 0;
+    return result;
+  }
+  result.status = 'present';
+  if (excuses.holiday) {
+    result.holidayWork = true;
+    result.flags = [...result.flags, FLAGS.HOLIDAY_WORK];
+  }
+
+  if (autoDeduct && day.breaks.length === 0 && day.firstIn && day.lastOut) {
+    result.workedMinutes = Math.max(0, day.workedMinutes - breakMinutes);
+  }
+
+  // Part of the day is excused, so arriving late or leaving early is expected
+  if (day.firstIn && excused === 0) {
+    const late = toMinutes(day.firstIn - schedule.start);
+    if (late > (shift.graceLateMinutes || 0)) result.lateMinutes = late;
+  }
+  if (day.lastOut) {
+    const early = toMinutes(schedule.end - day.lastOut);
+    if (early > (shift.graceEarlyMinutes || 0) && excused === 0) result.earlyLeaveMinutes = early;
+
+    const extra = result.workedMinutes - scheduledMinutes;
+    if (extra > 0 && extra >= (shift.overtimeThresholdMinutes || 0)) result.overtimeMinutes = extra;
+  } else if (!over) {
+    // Still at work: the missing check-out is not a problem yet
+    result.flags = result.flags.filter(flag => flag !== 'missing_out');
+  }
+  return result;
+}
+
+function describeShift(shift, schedule) {
+  return {
+    id: shift._id,
+    name: shift.name,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    scheduledStart: schedule.start,
+    scheduledEnd: schedule.end
+  };
+}
+
+// Days of one employee. punches: the employee's punches, oldest first.
+// excusesOn(date) -> { holiday, leave } of the employee on that day.
+function evaluateEmployee(dates, rosters, shiftsById, punches, now = new Date(), excusesOn = () => ({})) {
+  const days = [];
+  const taken = new Set();
+  const offDays = new Map();
+
+  for (const date of dates) {
+    const { roster, shift } = resolveShift(rosters, shiftsById, date);
+    if (!shift) {
+      offDays.set(date, roster ? 'off' : 'unscheduled');
+      continue;
+    }
+
+    const schedule = scheduleFor(shift, date);
+    const { beforeStartMinutes = 240, afterEndMinutes = 360 } = shift.punchWindow || {};
+    const from = schedule.start.getTime() - beforeStartMinutes * 60000;
+    const to = schedule.end.getTime() + afterEndMinutes * 60000;
+
+    // Past the scheduled end, a check-out closes the shift unless overtime starts
+    const shiftPunches = [];
+    let checkedOut = false;
+    for (const punch of punches) {
+      if (taken.has(punch) || punch.timestamp < from) continue;
+      if (punch.timestamp > to) break;
+      if (checkedOut && punch.timestamp > schedule.end && stateOf(punch) !== STATES.OVERTIME_IN) break;
+
+      shiftPunches.push(punch);
+      taken.add(punch);
+      if (OUT_STATES.includes(stateOf(punch))) checkedOut = true;
+      else if (stateOf(punch) === STATES.OVERTIME_IN) checkedOut = false;
+    }
+
+    days.push({
+      date,
+      shift: describeShift(shift, schedule),
+      ...evaluateShiftDay(shift, schedule, shiftPunches, now, excusesOn(date))
+    });
+  }
+
+  // Work outside the roster
+  const loose = new Map();
+  for (const punch of punches) {
+    if (taken.has(punch)) continue;
+    const date = formatDateInZone(punch.timestamp, punch.timeZone || SERVER_TIME_ZONE);
+    if (!offDays.has(date)) continue;
+    if (!loose.has(date)) loose.set(date, []);
+    loose.get(date).push(punch);
+  }
+  for (const [date, dayPunches] of loose) {
+    const day = buildDay(dayPunches);
+    const status = offDays.get(date);
+    const excuses = excusesOn(date);
+    days.push({
+      date,
+      shift: null,
+      ...day,
+      ...describeExcuses(excuses),
+      flags: excuses.holiday ? [...day.flags, FLAGS.HOLIDAY_WORK] : day.flags,
+      status,
+      scheduledMinutes: 0,
+      lateMinutes: 0,
+      earlyLeaveMinutes: 0,
+      overtimeMinutes: status === 'off' || excuses.holiday ? day.workedMinutes : 0,
+      absent: false,
+      absence: 0,
+      holidayWork: Boolean(excuses.holiday)
+    });
+  }
+
+  return days.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function summarize(days) {
+  const count = predicate => days.filter(predicate).length;
+  const sum = field => days.reduce((total, day) => total + day[field], 0);
+  return {
+    scheduledDays: count(day => day.shift),
+    presentDays: count(day => day.status === 'present'),
+    absentDays: sum('absence'),
+    leaveDays: days.reduce((total, day) => total + (day.shift && day.leave ? DURATION_WEIGHT[day.leave.duration] : 0), 0),
+    holidayDays: count(day => day.shift && day.holiday),
+    holidayWorkDays: count(day => day.holidayWork),
+    lateDays: count(day => day.lateMinutes > 0),
+    lateMinutes: sum('lateMinutes'),
+    earlyLeaveDays: count(day => day.earlyLeaveMinutes > 0),
+    earlyLeaveMinutes: sum('earlyLeaveMinutes'),
+    overtimeMinutes: sum('overtimeMinutes'),
+    workedMinutes: sum('workedMinutes')
+  };
+}
+
+// Evaluate the employees matching the filters over an inclusive YYYY-MM-DD range.
+// Only active employees are listed unless includeInactive is set, which adds
+// the inactive ones with punches, a roster or leave in the range (payroll
+// still owes people who left during the month).
+async function evaluateAttendance({ startDate, endDate, empCode, department, includeInactive = false, now = new Date() }) {
+  const candidates = await Employee.find({
+    ...(empCode ? { empCode } : includeInactive ? {} : { isActive: true }),
+    ...(department ? { department } : {})
+  }).lean();
+  if (candidates.length === 0) return { employees: [], days: [] };
+
+  const empCodes = candidates.map(employee => employee.empCode);
+  const [rosters, shifts, punches] = await Promise.all([
+    Roster.find({
+      empCode: { $in: empCodes },
+      startDate: { $lte: endDate },
+      $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: startDate } }]
+    }).lean(),
+    Shift.find().lean(),
+    // A day either side for night shifts and zones ahead of or behind UTC
+    Attendance.find({
+      timestamp: { $gte: new Date(Date.parse(startDate) - DAY_MS), $lt: new Date(Date.parse(endDate) + 2 * DAY_MS) },
+      supersededBy: null,
+      ...employeePunchFilter(candidates)
+    }).sort({ timestamp: 1 }).lean()
+  ]);
+
+  const shiftsById = new Map(shifts.map(shift => [String(shift._id), shift]));
+  const dates = listDates(startDate, endDate);
+  const calendar = await loadCalendar({ startDate, endDate, empCodes });
+
+  const punchesByEmployee = new Map();
+  for (const punch of punches) {
+    const code = resolveEmpCode(punch);
+    if (!punchesByEmployee.has(code)) punchesByEmployee.set(code, []);
+    punchesByEmployee.get(code).push(punch);
+  }
+
+  const employees = candidates.filter(employee => empCode || employee.isActive !== false
+    || punchesByEmployee.has(employee.empCode)
+    || rosters.some(roster => roster.empCode === employee.empCode)
+    || dates.some(date => calendar.leaveOn(employee.empCode, date)));
+
+  const report = employees.map(employee => {
+    const days = evaluateEmployee(
+      dates,
+      rosters.filter(roster => roster.empCode === employee.empCode),
+      shiftsById,
+      punchesByEmployee.get(employee.empCode) || [],
+      now,
+      date => calendar.dayOf(employee, date)
+    ).map(day => ({ empCode: employee.empCode, name: employee.name, department: employee.department, ...day }));
+    return {
+      empCode: employee.empCode,
+      name: employee.name,
+      department: employee.department,
+      summary: summarize(days),
+      days
+    };
+  });
+
+  return {
+    employees: report.map(({ days, ...employee }) => employee),
+    days: report.flatMap(({ days }) => days)
+  };
+}
+
+module.exports = {
+  resolveShift,
+  scheduleFor,
+  evaluateShiftDay,
+  evaluateEmployee,
+  evaluateAttendance
+};
\ No newline at end of file
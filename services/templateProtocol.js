@@ -0,0 +1,140 @@
+// Fingerprint template transfer for ZKTeco terminals over TCP.
+//
+// zkteco-js only reads users and attendance, so templates are moved with the
+// same buffered commands it uses internally: templates are read as the
+// FCT_FINGERTMP table, and written as one user/fingerprint packet followed by
+// the "save user templates" command, the layout pyzk uses for terminals
+// with 72-byte user records.
+//
+// Face templates are not exposed through these commands, so only the number
+// of enrolled faces is read, for backups to report what they leave out.
+
+const { COMMANDS } = require('zkteco-js/src/helper/command');
+
+// pack('<bhii', 1, CMD_DB_RRQ, FCT_FINGERTMP, 0)
+const READ_FINGER_TEMPLATES = Buffer.from([0x01, 0x07, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+const CMD_SAVE_USERTEMPS = 110;
+const CHUNK_SIZE = 1024;
+const FINGER_INDEX_BASE = 0x10;
+
+function expectAck(reply, step) {
+  const commandId = reply && reply.length >= 2 ? reply.readUInt16LE(0) : null;
+  if (commandId !== COMMANDS.CMD_ACK_OK) {
+    throw new Error(`Device refused ${step}${commandId !== null ? ` (reply ${commandId})` : ''}`);
+  }
+}
+
+// Every fingerprint template on the device: [{ uid, fid, valid, template (base64) }]
+async function readFingerTemplates(ztcp) {
+  await ztcp.freeData();
+  const { data, err } = await ztcp.readWithBuffer(READ_FINGER_TEMPLATES);
+  await ztcp.freeData();
+
+  if (err) throw err;
+  if (!data || data.length < 4) return [];
+
+  const templates = [];
+  let remaining = data.readUInt32LE(0);
+  let rest = data.subarray(4);
+  while (remaining > 0 && rest.length >= 6) {
+    const size = rest.readUInt16LE(0);
+    if (size <= 6 || size > rest.length) break;
+
+    templates.push({
+      uid: rest.readUInt16LE(2),
+      fid: rest.readInt8(4),
+      valid: rest.readInt8(5),
+      template: rest.subarray(6, size).toString('base64')
+    });
+    rest = rest.subarray(size);
+    remaining -= size;
+  }
+  return templates;
+}
+
+// Faces enrolled on the device, from the free sizes reply (after the 8-byte
+// header: 20 counters, then faces, a reserved field and the face capacity).
+// Null when the terminal does not report faces.
+async function readFaceCount(ztcp) {
+  const reply = await ztcp.executeCmd(COMMANDS.CMD_GET_FREE_SIZES, '');
+  return reply && reply.length >= 100 ? reply.readInt32LE(88) : null;
+}
+
+// The 72-byte user record, prefixed with its record type
+function packUser({ uid, userId, name = '', password = '', role = 0, cardno = 0 }) {
+  const buffer = Buffer.alloc(73);
+  buffer.writeUInt8(2, 0);
+  buffer.writeUInt16LE(uid, 1);
+  buffer.writeUInt8(role, 3);
+  buffer.write(String(password), 4, 8, 'ascii');
+  buffer.write(String(name), 12, 24, 'ascii');
+  buffer.writeUInt32LE(Number(cardno) || 0, 36);
+  buffer.writeUInt8(1, 40);
+  buffer.write(String(userId), 49, 24, 'ascii');
+  return buffer;
+}
+
+async function sendWithBuffer(ztcp, packet) {
+  await ztcp.freeData();
+
+  const size = Buffer.alloc(4);
+  size.writeUInt32LE(packet.length, 0);
+  expectAck(await ztcp.executeCmd(COMMANDS.CMD_PREPARE_DATA, size), 'the data transfer');
+
+  for (let start = 0; start < packet.length; start += CHUNK_SIZE) {
+    expectAck(await ztcp.executeCmd(COMMANDS.CMD_DATA, packet.subarray(start, start + CHUNK_SIZE)), 'a data chunk');
+  }
+}
+
+// Write users together with their fingerprints:
+// [{ uid, userId, name, password, role, cardno, fingers: [{ fid, valid, template }] }]
+async function writeUserTemplates(ztcp, users) {
+  const userPacks = [];
+  const table = [];
+  const fingerPacks = [];
+  let offset = 0;
+
+  for (const user of users) {
+    userPacks.push(packUser(user));
+    for (const finger of user.fingers || []) {
+      const template = Buffer.from(finger.template, 'base64');
+      const fingerPack = Buffer.alloc(2 + template.length);
+      fingerPack.writeUInt16LE(template.length, 0);
+      template.copy(fingerPack, 2);
+
+      const entry = Buffer.alloc(8);
+      entry.writeInt8(2, 0);
+      entry.writeUInt16LE(user.uid, 1);
+      entry.writeUInt8(FINGER_INDEX_BASE + finger.fid, 3);
+      entry.writeUInt32LE(offset, 4);
+
+      table.push(entry);
+      fingerPacks.push(fingerPack);
+      offset += fingerPack.length;
+    }
+  }
+
+  const users72 = Buffer.concat(userPacks);
+  const fingerTable = Buffer.concat(table);
+  const fingers = Buffer.concat(fingerPacks);
+  const head = Buffer.alloc(12);
+  head.writeUInt32LE(users72.length, 0);
+  head.writeUInt32LE(fingerTable.length, 4);
+  head.writeUInt32LE(fingers.length, 8);
+
+  await sendWithBuffer(ztcp, Buffer.concat([head, users72, fingerTable, fingers]));
+
+  const save = Buffer.alloc(8);
+  save.writeUInt32LE(12, 0);
+  save.writeUInt16LE(0, 4);
+  save.writeUInt16LE(8, 6);
+  expectAck(await ztcp.executeCmd(CMD_SAVE_USERTEMPS, save), 'saving the templates');
+
+  await ztcp.executeCmd(COMMANDS.CMD_REFRESHDATA, '');
+}
+
+module.exports = {
+  readFingerTemplates,
+  readFaceCount,
+  writeUserTemplates
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Time zone helpers built on Intl, so IANA zones work without extra packages
+
+// Zone of the machine running the bridge, used when none is configured
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall clock of an instant in a zone: { year, month (1-12), day, hour, minute, second, millisecond }
+function getZonedParts(date, timeZone = SERVER_TIME_ZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getMilliseconds()
+  };
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function getOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+  return asUTC - timestamp;
+}
+
+// Instant at which a zone's wall clock shows the given time
+function zonedTimeToInstant({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  // Correct twice so times next to a DST change settle on the right offset
+  let instant = wallClock - getOffset(wallClock, timeZone);
+  instant = wallClock - getOffset(instant, timeZone);
+  return new Date(instant);
+}
+
+// Terminals report wall-clock times which the device libraries turn into
+// Dates in the server's zone. Read that wall clock back and place it in
+// the device's own zone.
+function deviceTimeToInstant(date, timeZone) {
+  if (!timeZone || timeZone === SERVER_TIME_ZONE) return date;
+  return zonedTimeToInstant({
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+    millisecond: date.getMilliseconds()
+  }, timeZone);
+}
+
+// The reverse, for writing times to a device: a Date whose server-zone
+// wall clock matches the device's wall clock at that instant
+function instantToDeviceTime(date, timeZone) {
+  if (!timeZone || timeZone === SERVER_TIME_ZONE) return date;
+  const parts = getZonedParts(date, timeZone);
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+}
+
+// YYYY-MM-DD of an instant in a zone
+function formatDateInZone(date, timeZone = SERVER_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+module.exports = {
+  SERVER_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToInstant,
+  deviceTimeToInstant,
+  instantToDeviceTime,
+  formatDateInZone
+};
@@ -0,0 +1,245 @@
+// Daily timesheets built from stored punches. A day is the calendar day of
+// the clock that recorded the punch:
+//
+//   firstIn    - first Check-in / Overtime-in of the day
+//   lastOut    - last Check-out / Overtime-out after it
+//   breaks     - Break-out followed by Break-in
+//   worked     - lastOut - firstIn - breaks
+//
+// Punches whose state the device did not report count as in or out by
+// position. The type inferred by services/punchPairing.js is preferred over
+// the raw state when stored, and duplicates are ignored. Gaps are flagged
+// instead of guessed.
+//
+// Days carry the holiday and approved leave they fall on; punches on a
+// holiday are flagged as holiday work.
+const Attendance = require('../models/Attendance');
+const Device = require('../models/Device');
+const Employee = require('../models/Employee');
+const { findEmployee } = require('./employeeDirectory');
+const { loadCalendar } = require('./leaveCalendar');
+const { SERVER_TIME_ZONE, formatDateInZone } = require('./timeZone');
+
+const STATES = {
+  CHECK_IN: 0,
+  CHECK_OUT: 1,
+  BREAK_OUT: 2,
+  BREAK_IN: 3,
+  OVERTIME_IN: 4,
+  OVERTIME_OUT: 5
+};
+
+const FLAGS = {
+  MISSING_IN: 'missing_in',
+  MISSING_OUT: 'missing_out',
+  MISSING_BREAK_OUT: 'missing_break_out',
+  MISSING_BREAK_IN: 'missing_break_in',
+  // Punches on a holiday, flagged for holiday pay
+  HOLIDAY_WORK: 'holiday_work'
+};
+
+const IN_STATES = [STATES.CHECK_IN, STATES.OVERTIME_IN];
+const OUT_STATES = [STATES.CHECK_OUT, STATES.OVERTIME_OUT];
+// Widest offset from UTC, so a day in any zone falls inside the query
+const MAX_ZONE_OFFSET_MS = 14 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Punches entered by hand carry the employee code instead of a device user
+const MANUAL_SOURCES = ['manual', 'correction'];
+
+const INFERRED_STATES = {
+  'Check-in': STATES.CHECK_IN,
+  'Check-out': STATES.CHECK_OUT,
+  'Break-out': STATES.BREAK_OUT,
+  'Break-in': STATES.BREAK_IN,
+  'Overtime-in': STATES.OVERTIME_IN,
+  'Overtime-out': STATES.OVERTIME_OUT
+};
+
+// Inferred state when pairing has run, else what the device reported
+const stateOf = punch => (punch.inferredPunchType in INFERRED_STATES
+  ? INFERRED_STATES[punch.inferredPunchType]
+  : punch.status);
+const hasState = punch => stateOf(punch) !== null && stateOf(punch) !== undefined;
+const isDuplicate = punch => punch.inferredPunchType === 'Duplicate';
+const toMinutes = ms => Math.round(ms / 60000);
+
+// One day of one employee from that day's punches, oldest first
+function buildDay(dayPunches) {
+  const flags = [];
+  const punches = dayPunches.filter(punch => !isDuplicate(punch));
+
+  const firstIn = punches.find(punch => !hasState(punch) || IN_STATES.includes(stateOf(punch))) || null;
+  const outs = punches.filter(punch =>
+    punch !== firstIn
+    && (!hasState(punch) || OUT_STATES.includes(stateOf(punch)))
+    && (!firstIn || punch.timestamp > firstIn.timestamp)
+  );
+  const lastOut = outs.length > 0 ? outs[outs.length - 1] : null;
+
+  const breaks = [];
+  let breakOut = null;
+  for (const punch of punches) {
+    if (stateOf(punch) === STATES.BREAK_OUT) {
+      if (breakOut) flags.push(FLAGS.MISSING_BREAK_IN);
+      breakOut = punch;
+    } else if (stateOf(punch) === STATES.BREAK_IN) {
+      if (breakOut) {
+        breaks.push({
+          start: breakOut.timestamp,
+          end: punch.timestamp,
+          minutes: toMinutes(punch.timestamp - breakOut.timestamp)
+        });
+        breakOut = null;
+      } else {
+        flags.push(FLAGS.MISSING_BREAK_OUT);
+      }
+    }
+  }
+  if (breakOut) flags.push(FLAGS.MISSING_BREAK_IN);
+
+  if (!firstIn) flags.push(FLAGS.MISSING_IN);
+  if (!lastOut) flags.push(FLAGS.MISSING_OUT);
+
+  const breakMs = breaks.reduce((total, { start, end }) => total + (end - start), 0);
+  const workedMs = firstIn && lastOut ? Math.max(0, lastOut.timestamp - firstIn.timestamp - breakMs) : 0;
+
+  return {
+    firstIn: firstIn ? firstIn.timestamp : null,
+    lastOut: lastOut ? lastOut.timestamp : null,
+    workedMinutes: toMinutes(workedMs),
+    breakMinutes: toMinutes(breakMs),
+    breaks,
+    punchCount: punches.length,
+    flags: [...new Set(flags)]
+  };
+}
+
+// Employee code a stored punch belongs to. The directory is asked first so
+// punches stored before a user was mapped still land on the employee.
+function resolveEmpCode(punch) {
+  if (!MANUAL_SOURCES.includes(punch.source)) {
+    const employee = findEmployee(punch.device && String(punch.device), punch.userId);
+    if (employee) return employee.empCode;
+  }
+  return punch.empCode || String(punch.userId);
+}
+
+// punches: stored Attendance documents, zoneOf(punch) -> IANA zone
+function buildTimesheets(punches, zoneOf = () => SERVER_TIME_ZONE) {
+  const days = new Map();
+  const sorted = [...punches].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const punch of sorted) {
+    const empCode = resolveEmpCode(punch);
+    const date = formatDateInZone(punch.timestamp, zoneOf(punch));
+    const key = `${empCode}|${date}`;
+    if (!days.has(key)) {
+      days.set(key, { empCode, userId: punch.userId, userName: punch.userName, date, timeZone: zoneOf(punch), punches: [] });
+    }
+    days.get(key).punches.push(punch);
+  }
+
+  return [...days.values()]
+    .map(({ punches: dayPunches, ...day }) => ({ ...day, ...buildDay(dayPunches) }))
+    .sort((a, b) => a.empCode.localeCompare(b.empCode) || a.date.localeCompare(b.date));
+}
+
+// Problem with an inclusive YYYY-MM-DD range, null when it is usable
+function validateDateRange(startDate, endDate, maxDays = 93) {
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')
+    || isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+    return 'startDate and endDate are required as YYYY-MM-DD';
+  }
+  if (startDate > endDate) {
+    return 'startDate must not be after endDate';
+  }
+  if ((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS >= maxDays) {
+    return `Date range cannot exceed ${maxDays} days`;
+  }
+  return null;
+}
+
+// Query condition for the punches of some employees, including punches
+// stored under their device user ids before they were mapped
+function employeePunchFilter(employees) {
+  const conditions = [{ empCode: { $in: employees.map(({ empCode }) => empCode) } }];
+  for (const employee of employees) {
+    for (const { device, userId } of employee.deviceUsers || []) {
+      conditions.push({ userId, ...(device ? { device } : {}) });
+    }
+  }
+  return { $or: conditions };
+}
+
+// Timesheets for an inclusive range of YYYY-MM-DD days
+async function getTimesheets({ startDate, endDate, empCode, userId, department, deviceId }) {
+  const filter = {
+    timestamp: {
+      $gte: new Date(Date.parse(startDate) - MAX_ZONE_OFFSET_MS),
+      $lt: new Date(Date.parse(endDate) + DAY_MS + MAX_ZONE_OFFSET_MS)
+    },
+    // Punches replaced by an approved correction no longer count
+    supersededBy: null
+  };
+  if (userId) filter.userId = userId;
+  if (deviceId) filter.device = deviceId;
+
+  let employees = null;
+  if (empCode || department) {
+    employees = await Employee.find({
+      ...(empCode ? { empCode } : {}),
+      ...(department ? { department } : {})
+    }).lean();
+    if (department && employees.length === 0) return [];
+    Object.assign(filter, employees.length > 0 ? employeePunchFilter(employees) : { empCode });
+  }
+
+  const [punches, devices] = await Promise.all([
+    Attendance.find(filter).lean(),
+    Device.find().select('timeZone').lean()
+  ]);
+  const deviceZones = new Map(devices.map(device => [String(device._id), device.timeZone]));
+  const zoneOf = punch => punch.timeZone || deviceZones.get(String(punch.device)) || SERVER_TIME_ZONE;
+
+  const wanted = employees && new Set(employees.map(employee => employee.empCode));
+  const timesheets = buildTimesheets(punches, zoneOf)
+    .filter(day => day.date >= startDate && day.date <= endDate)
+    .filter(day => !wanted || wanted.has(day.empCode) || (empCode && day.empCode === empCode));
+
+  // Names and departments from the directory where known
+  const empCodes = [...new Set(timesheets.map(day => day.empCode))];
+  const [directoryEntries, calendar] = await Promise.all([
+    Employee.find({ empCode: { $in: empCodes } }).select('empCode name department').lean(),
+    loadCalendar({ startDate, endDate, empCodes })
+  ]);
+  const directory = new Map(directoryEntries.map(employee => [employee.empCode, employee]));
+
+  return timesheets.map(day => {
+    const employee = directory.get(day.empCode);
+    const department = employee ? employee.department : null;
+    const holiday = calendar.holidayOn(day.date, department);
+    const leave = calendar.leaveOn(day.empCode, day.date);
+    return {
+      ...day,
+      userName: employee ? employee.name : day.userName,
+      department,
+      holiday: holiday ? { name: holiday.name, duration: holiday.duration } : null,
+      leave: leave ? { id: leave._id, type: leave.type, duration: leave.duration } : null,
+      flags: holiday && day.punchCount > 0 ? [...day.flags, FLAGS.HOLIDAY_WORK] : day.flags
+    };
+  });
+}
+
+module.exports = {
+  STATES,
+  FLAGS,
+  MANUAL_SOURCES,
+  stateOf,
+  buildDay,
+  buildTimesheets,
+  resolveEmpCode,
+  employeePunchFilter,
+  validateDateRange,
+  getTimesheets
+};
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Plans how to bring the users of several terminals in line with the
+// employee directory:
+//
+//   - active employees are added to every terminal they are missing from,
+//     with the uid, role, password and card they have where already enrolled
+//   - device users whose details differ from that reference are updated
+//   - users of inactive employees are removed, and users that are not in the
+//     directory at all when removeUnknown is set
+//
+// Conflicts (a uid or user id held by different people, a badge the device
+// cannot store) are reported and never overwritten.
+
+const MAX_UID = 3000;
+const MAX_NAME_LENGTH = 24;
+// Terminals report 4-byte card numbers but users are written with 2 bytes
+const MAX_CARDNO = 0xFFFF;
+
+// What a terminal reports for fields that were never set
+const USER_DEFAULTS = { name: '', role: 0, password: '', cardno: 0 };
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Mapping of an employee on a device; a device-specific one wins
+function findMapping(employee, deviceId) {
+  const deviceUsers = employee.deviceUsers || [];
+  return deviceUsers.find(({ device }) => device && sameId(device, deviceId))
+    || deviceUsers.find(({ device }) => !device)
+    || null;
+}
+
+function buildEmployeeIndex(employees) {
+  const index = new Map();
+  for (const employee of employees) {
+    for (const { device, userId } of employee.deviceUsers || []) {
+      index.set(`${device ? String(device) : '*'}|${userId}`, employee);
+    }
+  }
+  return (deviceId, userId) => index.get(`${deviceId}|${userId}`) || index.get(`*|${userId}`) || null;
+}
+
+function describeUser(user) {
+  return { uid: user.uid, userId: String(user.userId), name: user.name };
+}
+
+function nextFreeUid(takenUids) {
+  for (let uid = 1; uid <= MAX_UID; uid++) {
+    if (!takenUids.has(uid)) return uid;
+  }
+  return null;
+}
+
+// devices: [{ deviceId, deviceName, users }] as read from the terminals
+function planUserSync(devices, employees, { removeUnknown = false } = {}) {
+  const employeeFor = buildEmployeeIndex(employees);
+  const plans = devices.map(({ deviceId, deviceName }) => ({ deviceId, deviceName, add: [], update: [], remove: [] }));
+  const conflicts = [];
+  const unmapped = [];
+
+  // Users that should not be on the devices
+  devices.forEach(({ deviceId, deviceName, users }, index) => {
+    for (const user of users) {
+      const employee = employeeFor(deviceId, user.userId);
+      if (!employee) {
+        if (removeUnknown) {
+          plans[index].remove.push({ ...describeUser(user), reason: 'Not in the employee directory' });
+        } else {
+          unmapped.push({ deviceId, deviceName, ...describeUser(user) });
+        }
+      } else if (!employee.isActive) {
+        plans[index].remove.push({ ...describeUser(user), empCode: employee.empCode, reason: 'Employee is inactive' });
+      }
+    }
+  });
+
+  // The same uid used for different people on different devices
+  const uidHolders = new Map();
+  for (const { deviceId, deviceName, users } of devices) {
+    for (const user of users) {
+      const employee = employeeFor(deviceId, user.userId);
+      const person = employee ? `employee:${employee.empCode}` : `user:${user.userId}`;
+      if (!uidHolders.has(user.uid)) uidHolders.set(user.uid, []);
+      uidHolders.get(user.uid).push({ person, deviceId, deviceName, userId: String(user.userId), name: user.name });
+    }
+  }
+  for (const [uid, holders] of uidHolders) {
+    if (new Set(holders.map(({ person }) => person)).size > 1) {
+      conflicts.push({
+        type: 'uid',
+        uid,
+        message: `uid ${uid} belongs to different people on different devices`,
+        holders: holders.map(({ person, ...holder }) => holder)
+      });
+    }
+  }
+
+  const takenUids = devices.map(({ users }) => new Set(users.map(({ uid }) => uid)));
+
+  for (const employee of employees) {
+    if (!employee.isActive) continue;
+
+    // Where the employee is enrolled already
+    const enrolled = [];
+    devices.forEach(({ deviceId, users }, index) => {
+      const user = users.find(candidate => employeeFor(deviceId, candidate.userId) === employee);
+      if (user) enrolled.push({ index, user });
+    });
+    const reference = enrolled.length > 0 ? enrolled[0].user : null;
+
+    devices.forEach(({ deviceId, deviceName, users }, index) => {
+      const mapping = findMapping(employee, deviceId);
+      const userId = mapping ? mapping.userId : reference && reference.userId;
+      if (!userId) return;
+
+      const desired = {
+        userId: String(userId),
+        name: employee.name.slice(0, MAX_NAME_LENGTH),
+        role: reference ? reference.role : 0,
+        password: reference ? reference.password || '' : '',
+        cardno: reference ? reference.cardno || 0 : 0
+      };
+
+      const holder = employeeFor(deviceId, desired.userId);
+      if (holder && holder !== employee) {
+        conflicts.push({
+          type: 'userId',
+          deviceId,
+          deviceName,
+          userId: desired.userId,
+          message: `User ${desired.userId} on ${deviceName} belongs to ${holder.empCode}, not ${employee.empCode}`
+        });
+        return;
+      }
+
+      const badgeConflict = {
+        type: 'cardno',
+        deviceId,
+        deviceName,
+        userId: desired.userId,
+        cardno: desired.cardno,
+        message: `Badge ${desired.cardno} of ${employee.empCode} is above ${MAX_CARDNO} and cannot be written to ${deviceName}`
+      };
+      const badgeFits = Number(desired.cardno) <= MAX_CARDNO;
+
+      const existing = users.find(user => sameId(user.userId, desired.userId));
+      if (existing) {
+        const changes = ['name', 'role', 'password', 'cardno']
+          .filter(field => String(existing[field] || USER_DEFAULTS[field]) !== String(desired[field] || USER_DEFAULTS[field]));
+        if (changes.length > 0 && !badgeFits) {
+          conflicts.push(badgeConflict);
+        } else if (changes.length > 0) {
+          plans[index].update.push({ ...desired, uid: existing.uid, empCode: employee.empCode, changes });
+        }
+        return;
+      }
+
+      if (!badgeFits) {
+        conflicts.push(badgeConflict);
+        return;
+      }
+
+      // Keep the uid the employee has elsewhere when the slot is free
+      let uid = reference ? reference.uid : null;
+      if (uid && takenUids[index].has(uid)) {
+        const occupant = users.find(user => user.uid === uid);
+        conflicts.push({
+          type: 'uid',
+          uid,
+          deviceId,
+          deviceName,
+          message: `uid ${uid} on ${deviceName} is taken by ${occupant ? occupant.userId : 'another new user'}, ${employee.empCode} gets a free slot`
+        });
+        uid = null;
+      }
+      uid = uid || nextFreeUid(takenUids[index]);
+      if (!uid) {
+        conflicts.push({
+          type: 'capacity',
+          deviceId,
+          deviceName,
+          message: `${deviceName} has no free slot for ${employee.empCode}`
+        });
+        return;
+      }
+
+      takenUids[index].add(uid);
+      plans[index].add.push({ ...desired, uid, empCode: employee.empCode, employeeId: employee._id });
+    });
+  }
+
+  const count = action => plans.reduce((total, plan) => total + plan[action].length, 0);
+  return {
+    devices: plans,
+    conflicts,
+    unmapped,
+    summary: {
+      add: count('add'),
+      update: count('update'),
+      remove: count('remove'),
+      conflicts: conflicts.length,
+      unmapped: unmapped.length
+    }
+  };
+}
+
+module.exports = {
+  findMapping,
+  planUserSync
+};
\ No newline at end of file
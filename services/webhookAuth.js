@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Outbound authentication for destinations:
+//   bearer - Authorization: Bearer <token>
+//   basic  - Authorization: Basic base64(username:password)
+//   apiKey - <headerName>: <apiKey>
+//   hmac   - <timestampHeader>: unix seconds, <signatureHeader>: sha256=<hex>
+//            where hex = HMAC-SHA256(secret, `${timestamp}.${content}`) and content
+//            is the request body, or the query string for GET requests
+const AUTH_TYPES = ['none', 'bearer', 'basic', 'apiKey', 'hmac'];
+
+const REQUIRED_FIELDS = {
+  none: [],
+  bearer: ['token'],
+  basic: ['username', 'password'],
+  apiKey: ['headerName', 'apiKey'],
+  hmac: ['secret']
+};
+
+// Fields never sent back through the API
+const SECRET_FIELDS = ['token', 'password', 'apiKey', 'secret'];
+const MASK = '********';
+
+// Return a list of problems with an auth configuration, empty when it is usable
+function validateAuth(auth) {
+  const type = (auth && auth.type) || 'none';
+  if (!AUTH_TYPES.includes(type)) {
+    return [`auth.type must be one of ${AUTH_TYPES.join(', ')}`];
+  }
+  return REQUIRED_FIELDS[type]
+    .filter(field => typeof auth[field] !== 'string' || !auth[field].trim())
+    .map(field => `auth.${field} is required for ${type} auth`);
+}
+
+function signContent(secret, timestamp, content) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${content}`)
+    .digest('hex');
+}
+
+// Add the authentication headers for a destination to a request built by
+// payloadTemplate.buildRequest. The request must not change after signing.
+function applyAuth(auth, request) {
+  const type = (auth && auth.type) || 'none';
+  const headers = { ...request.headers };
+
+  switch (type) {
+    case 'bearer':
+      headers.Authorization = `Bearer ${auth.token}`;
+      break;
+    case 'basic':
+      headers.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+      break;
+    case 'apiKey':
+      headers[auth.headerName] = auth.apiKey;
+      break;
+    case 'hmac': {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const content = request.body !== undefined ? request.body : new URL(request.url).search.slice(1);
+      headers[auth.timestampHeader || 'X-Timestamp'] = String(timestamp);
+      headers[auth.signatureHeader || 'X-Signature'] = `sha256=${signContent(auth.secret, timestamp, content)}`;
+      break;
+    }
+  }
+
+  return { ...request, headers };
+}
+
+// Copy of an auth configuration with its secrets masked
+function redactAuth(auth) {
+  if (!auth) return auth;
+  const redacted = { ...auth };
+  for (const field of SECRET_FIELDS) {
+    if (redacted[field]) redacted[field] = MASK;
+  }
+  return redacted;
+}
+
+// Put stored secrets back where an update echoed the masked value
+function restoreSecrets(auth, storedAuth) {
+  const restored = { ...auth };
+  for (const field of SECRET_FIELDS) {
+    if (restored[field] === MASK) {
+      restored[field] = storedAuth ? storedAuth[field] : undefined;
+    }
+  }
+  return restored;
+}
+
+module.exports = {
+  AUTH_TYPES,
+  validateAuth,
+  signContent,
+  applyAuth,
+  redactAuth,
+  restoreSecrets
+};
@@ -1,12 +1,49 @@
 const Zkteco = require('zkteco-js');
 const Device = require('../models/Device');
+const Employee = require('../models/Employee');
+const { deviceTimeToInstant, instantToDeviceTime } = require('./timeZone');
+const { findMapping, planUserSync } = require('./userSync');
+const { readFingerTemplates, readFaceCount, writeUserTemplates } = require('./templateProtocol');
 
 class ZktecoService {
   constructor() {
     this.devices = new Map();
-    
-    // Restore connections from database on startup
-    this.restoreConnections();
+    // Device id -> the job holding its connection, see runExclusive
+    this.jobs = new Map();
+  }
+
+  // Name of the job holding a device, null when it is free
+  busyWith(deviceId) {
+    return this.jobs.get(deviceId.toString()) || null;
+  }
+
+  // Hold the devices for a job until release. A device answers one command
+  // at a time and replies carry no request id, so two jobs talking to it at
+  // once read each other's replies; the second one is refused instead.
+  claim(deviceIds, job) {
+    const deviceKeys = [].concat(deviceIds).map(deviceId => deviceId.toString());
+    const busyKey = deviceKeys.find(deviceKey => this.jobs.has(deviceKey));
+    if (busyKey) {
+      const error = new Error(`Device ${busyKey} is busy with ${this.jobs.get(busyKey)}, try again shortly`);
+      error.busy = true;
+      throw error;
+    }
+    deviceKeys.forEach(deviceKey => this.jobs.set(deviceKey, job));
+  }
+
+  release(deviceIds) {
+    [].concat(deviceIds).forEach(deviceId => this.jobs.delete(deviceId.toString()));
+  }
+
+  // Run task with the devices held; throws an error with `busy` set when
+  // one of them is held already
+  async runExclusive(deviceIds, job, task) {
+    this.claim(deviceIds, job);
+    try {
+      return await task();
+    } finally {
+      this.release(deviceIds);
+    }
   }
 
   async restoreConnections() {
@@ -88,10 +125,15 @@ class ZktecoService {
       
       if (this.devices.has(deviceKey)) {
         const deviceObj = this.devices.get(deviceKey);
+        // Drop the connection even if the socket is already dead
+        this.devices.delete(deviceKey);
         if (deviceObj.isConnected) {
-          await deviceObj.device.disconnect();
+          try {
+            await deviceObj.device.disconnect();
+          } catch (error) {
+            console.error(`Error closing socket for device ${deviceKey}:`, error.message);
+          }
         }
-        this.devices.delete(deviceKey);
 
         // Update device status in database
         await Device.findByIdAndUpdate(deviceId, {
@@ -138,6 +180,264 @@ class ZktecoService {
     }
   }
 
+  async getUsers(deviceId) {
+    try {
+      const deviceKey = deviceId.toString();
+      
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      let users = await deviceObj.device.getUsers();
+      
+      // zkteco-js wraps the list as { data: [...] }
+      if (users && typeof users === 'object' && !Array.isArray(users)) {
+        users = Object.values(users).find(val => Array.isArray(val)) || [];
+      }
+      return Array.isArray(users) ? users : [];
+    } catch (error) {
+      throw new Error(`Failed to get users: ${error.message}`);
+    }
+  }
+
+  async findUser(deviceId, userId) {
+    const users = await this.getUsers(deviceId);
+    return users.find(user => String(user.userId) === String(userId)) || null;
+  }
+
+  // Create or update a user on the device. `uid` is the device's internal
+  // slot (1-3000): an existing user keeps theirs, a new user gets the next
+  // free one unless given.
+  async saveUser(deviceId, { uid, userId, name, password = '', role = 0, cardno = 0 }) {
+    try {
+      const deviceKey = deviceId.toString();
+
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const users = await this.getUsers(deviceId);
+      const existing = users.find(user => String(user.userId) === String(userId));
+      const slot = uid || (existing && existing.uid) || users.reduce((max, user) => Math.max(max, user.uid), 0) + 1;
+
+      if (slot > 3000) {
+        throw new Error('Device user capacity reached');
+      }
+      if (users.some(user => user.uid === slot && String(user.userId) !== String(userId))) {
+        throw new Error(`Slot ${slot} belongs to another user`);
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      await deviceObj.device.setUser(slot, String(userId), name, password || '', role, cardno);
+
+      return { uid: slot, userId: String(userId), name, role, cardno };
+    } catch (error) {
+      throw new Error(`Failed to save user: ${error.message}`);
+    }
+  }
+
+  // Remove a user from the device. Returns false when the user is not on it.
+  async deleteUser(deviceId, userId) {
+    try {
+      const deviceKey = deviceId.toString();
+
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const existing = await this.findUser(deviceId, userId);
+      if (!existing) {
+        return false;
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      await deviceObj.device.deleteUser(existing.uid);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete user: ${error.message}`);
+    }
+  }
+
+  // Fingerprint templates of every user, see services/templateProtocol.js.
+  // Only TCP connections carry the buffered transfers this needs.
+  async getFingerTemplates(deviceId) {
+    try {
+      const deviceKey = deviceId.toString();
+
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      if (deviceObj.device.connectionType !== 'tcp') {
+        throw new Error('Templates can only be read over TCP');
+      }
+      return await readFingerTemplates(deviceObj.device.ztcp);
+    } catch (error) {
+      throw new Error(`Failed to get templates: ${error.message}`);
+    }
+  }
+
+  // Number of faces enrolled on the device, null when it does not report them
+  async getFaceCount(deviceId) {
+    try {
+      const deviceKey = deviceId.toString();
+
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      if (deviceObj.device.connectionType !== 'tcp') {
+        return null;
+      }
+      return await readFaceCount(deviceObj.device.ztcp);
+    } catch (error) {
+      throw new Error(`Failed to get face count: ${error.message}`);
+    }
+  }
+
+  // Write users with their fingerprints: [{ uid, userId, name, password, role, cardno, fingers }]
+  async saveUserTemplates(deviceId, users) {
+    try {
+      const deviceKey = deviceId.toString();
+
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      if (deviceObj.device.connectionType !== 'tcp') {
+        throw new Error('Templates can only be written over TCP');
+      }
+      await writeUserTemplates(deviceObj.device.ztcp, users);
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to save templates: ${error.message}`);
+    }
+  }
+
+  // Bring the users of several devices in line with the employee directory,
+  // see services/userSync.js. With dryRun the plan is returned untouched.
+  async syncUsers(devices, { dryRun = false, removeUnknown = false } = {}) {
+    const readable = [];
+    const errors = [];
+    for (const device of devices) {
+      try {
+        readable.push({
+          deviceId: device._id.toString(),
+          deviceName: device.name,
+          users: await this.getUsers(device._id)
+        });
+      } catch (error) {
+        errors.push({ deviceId: device._id.toString(), deviceName: device.name, error: error.message });
+      }
+    }
+
+    const employees = await Employee.find().lean();
+    const plan = planUserSync(readable, employees, { removeUnknown });
+    if (dryRun) {
+      return { dryRun, ...plan, errors };
+    }
+
+    const results = [];
+    for (const devicePlan of plan.devices) {
+      results.push(await this.applyUserSync(devicePlan, employees));
+    }
+    return { dryRun, ...plan, results, errors };
+  }
+
+  // Carry out one device's share of a sync plan. Removals go first so their
+  // slots are free for additions.
+  async applyUserSync(devicePlan, employees) {
+    const { deviceId, deviceName } = devicePlan;
+    const result = { deviceId, deviceName, applied: 0, failed: 0, actions: [] };
+    const deviceObj = this.devices.get(deviceId);
+
+    const run = async (action, user, operation) => {
+      try {
+        if (!deviceObj || !deviceObj.isConnected) {
+          throw new Error('Device not connected');
+        }
+        await operation();
+        result.applied++;
+        result.actions.push({ action, uid: user.uid, userId: user.userId, success: true });
+      } catch (error) {
+        result.failed++;
+        result.actions.push({ action, uid: user.uid, userId: user.userId, success: false, error: error.message });
+      }
+    };
+
+    for (const user of devicePlan.remove) {
+      await run('remove', user, () => deviceObj.device.deleteUser(user.uid));
+    }
+
+    for (const user of devicePlan.add) {
+      await run('add', user, async () => {
+        await deviceObj.device.setUser(user.uid, user.userId, user.name, user.password, user.role, user.cardno);
+
+        // Record where the employee now is, unless a mapping already covers it
+        const employee = employees.find(candidate => String(candidate._id) === String(user.employeeId));
+        const mapping = employee && findMapping(employee, deviceId);
+        if (employee && !(mapping && String(mapping.userId) === user.userId)) {
+          await Employee.updateOne(
+            { _id: employee._id },
+            { $push: { deviceUsers: { device: deviceId, uid: user.uid, userId: user.userId } } }
+          );
+        }
+      });
+    }
+
+    for (const user of devicePlan.update) {
+      await run('update', user, () =>
+        deviceObj.device.setUser(user.uid, user.userId, user.name, user.password, user.role, user.cardno)
+      );
+    }
+
+    return result;
+  }
+
+  // The terminal clock as an instant. Terminals keep wall-clock time, which
+  // is read in the device's time zone (the server's zone when omitted).
+  async getDeviceTime(deviceId, timeZone) {
+    try {
+      const deviceKey = deviceId.toString();
+
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      const wallClock = await deviceObj.device.getTime();
+      return deviceTimeToInstant(wallClock, timeZone);
+    } catch (error) {
+      throw new Error(`Failed to get device time: ${error.message}`);
+    }
+  }
+
+  // Set the terminal clock to an instant, written as wall-clock time in the
+  // device's time zone. Defaults to now.
+  async setDeviceTime(deviceId, time = new Date(), timeZone) {
+    try {
+      const deviceKey = deviceId.toString();
+      const instant = new Date(time);
+
+      if (isNaN(instant.getTime())) {
+        throw new Error('Invalid time');
+      }
+      if (!this.devices.has(deviceKey) || !this.devices.get(deviceKey).isConnected) {
+        throw new Error('Device not connected');
+      }
+
+      const deviceObj = this.devices.get(deviceKey);
+      await deviceObj.device.setTime(instantToDeviceTime(instant, timeZone));
+      return { success: true, time: instant };
+    } catch (error) {
+      throw new Error(`Failed to set device time: ${error.message}`);
+    }
+  }
+
   async getInfo(deviceId) {
     try {
       const deviceKey = deviceId.toString();
@@ -194,25 +494,6 @@ class ZktecoService {
     const deviceKey = deviceId.toString();
     return this.devices.has(deviceKey) && this.devices.get(deviceKey).isConnected;
   }
-
-  async getInfo(deviceId) {
-  try {
-    const deviceKey = deviceId.toString();
-    console.log('Getting info for device:', deviceKey);
-    console.log('Connected devices:', Array.from(this.devices.keys()));
-    
-    // Check if device is in the map
-    if (!this.devices.has(deviceKey)) {
-      console.log('Device not found in connected devices');
-      throw new Error('Device not connected');
-    }
-    
-    // Rest of the code...
-  } catch (error) {
-    console.error('Error in getInfo:', error);
-    throw new Error(`Failed to get device info: ${error.message}`);
-  }
-}
 }
 
 
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import authMiddleware from '../middleware/authMiddleware.js';
+import auth from '../services/auth.js';
+import Account from '../models/Account.js';
+
+const { requiredPermission, requireAccess } = authMiddleware;
+
+test('routes resolve to the first matching permission', () => {
+  assert.equal(requiredPermission('POST', '/api/auth/login'), 'public');
+  assert.equal(requiredPermission('GET', '/api/auth/me'), 'authenticated');
+  assert.equal(requiredPermission('GET', '/api/devices/abc123/records/export'), 'attendance:read');
+  assert.equal(requiredPermission('GET', '/api/devices/abc123/attendance'), 'devices:manage');
+  assert.equal(requiredPermission('GET', '/api/devices/abc123'), 'devices:read');
+  assert.equal(requiredPermission('DELETE', '/api/devices/abc123'), 'devices:manage');
+  assert.equal(requiredPermission('POST', '/api/leaves/42/approve'), 'leave:approve');
+  assert.equal(requiredPermission('POST', '/api/leaves/42/approve/'), 'leave:approve');
+  assert.equal(requiredPermission('PUT', '/api/leaves/42'), 'leave:write');
+  assert.equal(requiredPermission('GET', '/api/employees'), 'employees:read');
+});
+
+test('a `:name` matches one segment and `/*` does not match a longer name', () => {
+  assert.equal(requiredPermission('POST', '/api/corrections/1/2/approve'), '*');
+  assert.equal(requiredPermission('GET', '/api/employeesX'), '*');
+  assert.equal(requiredPermission('GET', '/api/unlisted'), '*');
+});
+
+const call = async (req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await requireAccess({ method: 'GET', get: () => undefined, ...req }, res, () => { passed = true; });
+  return { status: res.statusCode, passed };
+};
+
+test('requests outside the API are refused and public ones pass', async () => {
+  assert.deepEqual(await call({ path: '/etc/passwd' }), { status: 404, passed: false });
+  assert.equal((await call({ method: 'POST', path: '/api/auth/login' })).passed, true);
+  assert.equal((await call({ method: 'OPTIONS', path: '/api/accounts' })).passed, true);
+});
+
+test('paths are matched whatever their case', async () => {
+  assert.equal((await call({ method: 'POST', path: '/API/rush-handling-control' })).status, 401);
+  assert.equal((await call({ method: 'POST', path: '/Api/Auth/Login' })).passed, true);
+});
+
+test('the role of the caller is checked against the route', async t => {
+  const viewer = { _id: '64b000000000000000000001', username: 'viewer', role: 'viewer', isActive: true, save: async () => {} };
+  viewer.passwordHash = await auth.hashPassword('a long password');
+  t.mock.method(Account, 'findOne', async () => viewer);
+  t.mock.method(Account, 'findById', () => ({ lean: async () => viewer }));
+
+  const { token } = await auth.login('viewer', 'a long password');
+  const authorization = `Bearer ${token}`;
+  const withToken = (method, path) => call({ method, path, get: name => (name === 'authorization' ? authorization : undefined) });
+
+  assert.equal((await withToken('GET', '/api/attendance')).passed, true);
+  assert.equal((await withToken('POST', '/api/push-attendance')).status, 403);
+  assert.equal((await withToken('GET', '/API/ACCOUNTS')).status, 403);
+  assert.equal((await call({ path: '/api/attendance', get: () => 'Bearer not-a-token' })).status, 401);
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../services/circuitBreaker');
+
+const fail = (breaker, times) => {
+  for (let i = 0; i < times; i++) {
+    assert.equal(breaker.tryAcquire(), true);
+    breaker.recordFailure('HTTP 503');
+  }
+};
+
+test('the breaker opens after the failure threshold and refuses requests', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const changes = [];
+  const breaker = new CircuitBreaker('hr', { failureThreshold: 3, resetTimeout: 10000 }, (cb, previous) => changes.push(`${previous}>${cb.state}`));
+
+  fail(breaker, 2);
+  breaker.tryAcquire();
+  breaker.recordSuccess();
+  fail(breaker, 2);
+  assert.equal(breaker.state, 'closed', 'a success resets the count');
+
+  fail(breaker, 1);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.tryAcquire(), false);
+  assert.equal(breaker.getRetryAt().getTime(), 10000);
+  assert.equal(breaker.stats.rejected, 1);
+  assert.deepEqual(changes, ['closed>open']);
+});
+
+test('after the reset timeout one probe decides whether to close or re-open', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const breaker = new CircuitBreaker('hr', { failureThreshold: 1, resetTimeout: 10000 });
+  fail(breaker, 1);
+
+  t.mock.timers.tick(9999);
+  assert.equal(breaker.tryAcquire(), false);
+  t.mock.timers.tick(1);
+  assert.equal(breaker.tryAcquire(), true);
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.tryAcquire(), false, 'only one probe at a time');
+
+  breaker.recordFailure('timeout');
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.getStatus().openedAt.getTime(), 10000);
+
+  t.mock.timers.tick(10000);
+  assert.equal(breaker.tryAcquire(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.tryAcquire(), true);
+  assert.equal(breaker.getStatus().retryAt, null);
+  assert.equal(breaker.stats.opened, 2);
+});
\ No newline at end of file
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../services/csvImport');
+
+test('rows become records keyed by the header', () => {
+  const records = parseCsv('\uFEFFempCode, type ,startDate\r\nE1,annual,2026-03-02\r\nE2, sick ,2026-03-03\r\n');
+
+  assert.deepEqual(records, [
+    { line: 2, record: { empCode: 'E1', type: 'annual', startDate: '2026-03-02' } },
+    { line: 3, record: { empCode: 'E2', type: 'sick', startDate: '2026-03-03' } }
+  ]);
+});
+
+test('quoted fields keep commas, quotes and line breaks', () => {
+  const [{ record }] = parseCsv('name,reason\n"Eid, day 2","Said ""hello""\nthen left"');
+
+  assert.deepEqual(record, { name: 'Eid, day 2', reason: 'Said "hello"\nthen left' });
+});
+
+test('blank lines and empty values are left out, line numbers still count them', () => {
+  const records = parseCsv('empCode,reason,status\n\nE1,,\n  ,  ,\nE2,x');
+
+  assert.deepEqual(records, [
+    { line: 3, record: { empCode: 'E1' } },
+    { line: 5, record: { empCode: 'E2', reason: 'x' } }
+  ]);
+});
+
+test('an empty file has no records', () => {
+  assert.deepEqual(parseCsv(''), []);
+  assert.deepEqual(parseCsv('empCode,type\n'), []);
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDate, validateTemplate, renderPayload, buildRequest } = require('../services/payloadTemplate');
+
+const record = {
+  id: 'dev|42|1772442000|0',
+  userId: '42',
+  empCode: 'E042',
+  timestamp: '2026-03-02T09:05:07.000Z',
+  state: 0,
+  department: null
+};
+
+test('dates are formatted in the destination zone', () => {
+  const date = new Date('2026-03-02T23:05:07.123Z');
+
+  assert.equal(formatDate(date, 'YYYY-MM-DD HH:mm:ss.SSS', 'UTC'), '2026-03-02 23:05:07.123');
+  assert.equal(formatDate(date, 'DD/MM/YY HH:mm', 'Asia/Dubai'), '03/03/26 03:05');
+  assert.equal(formatDate(date, 'iso', 'Asia/Dubai'), '2026-03-02T23:05:07.123Z');
+  assert.equal(formatDate(date, 'unix'), 1772492707);
+});
+
+test('a payload takes record fields, static values, user metadata and defaults', () => {
+  const template = {
+    fields: {
+      emp_code: 'empCode',
+      punch_date: { field: 'timestamp', format: 'YYYY-MM-DD', default: '' },
+      punch_time: { field: 'timestamp', format: 'HH:mm:ss' },
+      company: { value: 'ACME' },
+      card: { user: 'cardno', default: 'none' },
+      department: { field: 'department', default: 'General' },
+      missing: 'userName'
+    }
+  };
+  assert.deepEqual(validateTemplate(template), []);
+
+  assert.deepEqual(renderPayload(template, record, { cardno: 777 }, 'Asia/Kolkata'), {
+    emp_code: 'E042',
+    punch_date: '2026-03-02',
+    punch_time: '14:35:07',
+    company: 'ACME',
+    card: 777,
+    department: 'General'
+  });
+  assert.equal(renderPayload(template, record, null, 'UTC').card, 'none');
+});
+
+test('template mistakes are listed', () => {
+  assert.deepEqual(validateTemplate({ fields: {} }), ['template.fields must define at least one field']);
+  assert.deepEqual(validateTemplate({
+    fields: {
+      a: 'nope',
+      b: { field: 'userId', format: 'HH:mm' },
+      c: { value: { nested: true } },
+      d: { other: 1 }
+    }
+  }), [
+    'template.fields.a: unknown record field "nope"',
+    'template.fields.b.format only applies to timestamp',
+    'template.fields.c.value must be a string, number, boolean or null',
+    'template.fields.d must have one of "field", "value" or "user"'
+  ]);
+});
+
+test('requests carry the payload as JSON, a form or a query string', () => {
+  const payload = { emp_code: 'E042', note: null };
+
+  const json = buildRequest({ url: 'https://hr.example/punch' }, payload);
+  assert.equal(json.method, 'POST');
+  assert.equal(json.headers['Content-Type'], 'application/json');
+  assert.equal(json.body, '{"emp_code":"E042","note":null}');
+
+  const form = buildRequest({ url: 'https://hr.example/punch', contentType: 'form' }, payload);
+  assert.equal(form.headers['Content-Type'], 'application/x-www-form-urlencoded');
+  assert.equal(form.body, 'emp_code=E042&note=');
+
+  const get = buildRequest({ url: 'https://hr.example/punch?key=1', method: 'GET' }, payload);
+  assert.equal(get.url, 'https://hr.example/punch?key=1&emp_code=E042&note=');
+  assert.equal(get.body, undefined);
+});
\ No newline at end of file
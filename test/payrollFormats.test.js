@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerPayrollFormat, getPayrollFormat, listPayrollFormats } = require('../services/payrollFormats');
+
+const summary = {
+  empCode: 'E042',
+  name: 'Zoë "Zed" Müller-Lüdenscheidt, Senior Engineer',
+  department: 'R&D',
+  month: '2026-03',
+  scheduledDays: 22,
+  daysPresent: 19,
+  absences: 1.5,
+  leaveDays: 1.5,
+  holidays: 1,
+  lateCount: 3,
+  lateMinutes: 41,
+  earlyLeaveCount: 0,
+  totalHours: 152.25,
+  overtimeHours: 4.5,
+  holidaysWorked: 0,
+  offDaysWorked: 1
+};
+
+test('the fixed-width layout pads text and zero-fills scaled numbers', () => {
+  const line = getPayrollFormat('fixed-width').render([summary], { month: '2026-03' });
+
+  assert.ok(line.endsWith('\r\n'));
+  const record = line.slice(0, -2);
+  assert.equal(record.length, 78);
+  assert.deepEqual([
+    record.slice(0, 12),
+    record.slice(12, 42),
+    record.slice(42, 48),
+    record.slice(48, 51),
+    record.slice(51, 55),
+    record.slice(55, 59),
+    record.slice(59, 62),
+    record.slice(62, 69),
+    record.slice(69, 75),
+    record.slice(75, 78)
+  ], [
+    'E042        ',
+    'Zoë "Zed" Müller-Lüdenscheidt,',
+    '202603',
+    '019',
+    '0015',
+    '0015',
+    '003',
+    '0015225',
+    '000450',
+    '000'
+  ]);
+});
+
+test('a number too wide for its field is refused', () => {
+  assert.throws(
+    () => getPayrollFormat('fixed-width').render([{ ...summary, totalHours: 100000 }]),
+    /totalHours of E042 \(10000000\) does not fit in 7 digits/
+  );
+});
+
+test('the CSV layout has a header row and quotes where needed', () => {
+  const lines = getPayrollFormat('csv').render([summary]).split('\r\n');
+
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith('Employee Code,Name,Department,Month,'));
+  assert.ok(lines[1].startsWith('E042,"Zoë ""Zed"" Müller-Lüdenscheidt, Senior Engineer",R&D,2026-03,22,19,1.5,'));
+  assert.equal(lines[2], '');
+});
+
+test('formats can be registered and listed', () => {
+  assert.throws(() => registerPayrollFormat('broken', {}), /must have a render function/);
+
+  registerPayrollFormat('test-count', { description: 'Employee count', render: summaries => String(summaries.length) });
+  assert.equal(getPayrollFormat('test-count').render([summary, summary]), '2');
+  assert.deepEqual(listPayrollFormats().find(({ name }) => name === 'test-count'), {
+    name: 'test-count', description: 'Employee count', contentType: 'text/plain; charset=utf-8', extension: 'txt'
+  });
+  assert.equal(getPayrollFormat('missing'), null);
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Attendance = require('../models/Attendance');
+const { pairPunches, pairRecentPunches } = require('../services/punchPairing');
+
+const punch = (iso, status = 0) => ({ timestamp: new Date(iso), status });
+const typesOf = (punches, options) => {
+  const { types } = pairPunches(punches, { zoneOf: () => 'UTC', ...options });
+  return punches.map(p => types.get(p));
+};
+
+test('a session runs across midnight', () => {
+  const punches = [punch('2026-03-02T22:00:00Z'), punch('2026-03-03T06:00:00Z')];
+  const { types, sessions } = pairPunches(punches, { zoneOf: () => 'UTC' });
+
+  assert.deepEqual(punches.map(p => types.get(p)), ['Check-in', 'Check-out']);
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].date, '2026-03-02');
+  assert.equal(sessions[0].minutes, 480);
+  assert.equal(sessions[0].crossesMidnight, true);
+  assert.deepEqual(sessions[0].flags, []);
+});
+
+test('a session longer than maxSessionHours is closed as missing its out', () => {
+  const punches = [punch('2026-03-02T08:00:00Z'), punch('2026-03-03T01:00:00Z')];
+  const { types, sessions } = pairPunches(punches, { zoneOf: () => 'UTC' });
+
+  assert.deepEqual(punches.map(p => types.get(p)), ['Check-in', 'Check-in']);
+  assert.deepEqual(sessions.map(session => session.flags), [['missing_out'], ['open']]);
+});
+
+test('punches repeated within the duplicate window are duplicates', () => {
+  const punches = [
+    punch('2026-03-02T09:00:00Z'),
+    punch('2026-03-02T09:00:30Z'),
+    punch('2026-03-02T17:00:00Z')
+  ];
+  assert.deepEqual(typesOf(punches), ['Check-in', 'Duplicate', 'Check-out']);
+  assert.deepEqual(typesOf(punches, { duplicateWindowSeconds: 10 }), ['Check-in', 'Check-out', 'Check-in']);
+});
+
+test('a short gap within the shift becomes a break', () => {
+  const punches = [
+    punch('2026-03-02T09:00:00Z'),
+    punch('2026-03-02T12:00:00Z'),
+    punch('2026-03-02T12:45:00Z'),
+    punch('2026-03-02T17:00:00Z')
+  ];
+  assert.deepEqual(typesOf(punches), ['Check-in', 'Break-out', 'Break-in', 'Check-out']);
+  assert.deepEqual(typesOf(punches, { maxBreakMinutes: 30 }), ['Check-in', 'Check-out', 'Check-in', 'Check-out']);
+});
+
+test('punches of different shift occurrences are not paired', () => {
+  const punches = [punch('2026-03-02T09:00:00Z'), punch('2026-03-02T18:00:00Z')];
+  const occurrences = new Map([[punches[0], 'a'], [punches[1], 'b']]);
+  const { types, sessions } = pairPunches(punches, { zoneOf: () => 'UTC', occurrenceOf: p => occurrences.get(p) });
+
+  assert.deepEqual(punches.map(p => types.get(p)), ['Check-in', 'Check-in']);
+  assert.deepEqual(sessions.map(session => session.flags), [['missing_out'], ['open']]);
+});
+
+test('explicit device states are honoured', () => {
+  // An out with nothing open is an out missing its in
+  const lone = [punch('2026-03-02T17:00:00Z', 1)];
+  const { sessions } = pairPunches(lone, { zoneOf: () => 'UTC' });
+  assert.deepEqual(typesOf(lone), ['Check-out']);
+  assert.deepEqual(sessions[0].flags, ['missing_in']);
+
+  // A break-out punched as such stays one, even long before the break-in
+  const breaks = [
+    punch('2026-03-02T09:00:00Z'),
+    punch('2026-03-02T12:00:00Z', 2),
+    punch('2026-03-02T15:30:00Z', 3),
+    punch('2026-03-02T18:00:00Z')
+  ];
+  assert.deepEqual(typesOf(breaks), ['Check-in', 'Break-out', 'Break-in', 'Check-out']);
+
+  // An explicit in closes a session left open
+  const forgotten = [punch('2026-03-02T09:00:00Z'), punch('2026-03-02T18:00:00Z', 4), punch('2026-03-02T20:00:00Z')];
+  assert.deepEqual(typesOf(forgotten), ['Check-in', 'Overtime-in', 'Overtime-out']);
+});
+
+test('state 0 is only a check-in when trustCheckIn is set', () => {
+  const punches = [punch('2026-03-02T09:00:00Z'), punch('2026-03-02T17:00:00Z', 0)];
+  assert.deepEqual(typesOf(punches), ['Check-in', 'Check-out']);
+  assert.deepEqual(typesOf(punches, { trustCheckIn: true }), ['Check-in', 'Check-in']);
+});
+
+test('an unmapped user is paired with their punches on the same device only', async t => {
+  const queries = [];
+  t.mock.method(Attendance, 'find', filter => {
+    queries.push(filter);
+    return { sort: () => ({ lean: async () => [] }) };
+  });
+
+  await pairRecentPunches({ id: 'k1', deviceId: 'device-a', userId: 5, source: 'poll', timestamp: '2026-03-02T09:00:00Z' });
+  await pairRecentPunches({ id: 'k2', deviceIp: '10.0.0.9', userId: 5, source: 'manual', timestamp: '2026-03-02T09:00:00Z' });
+
+  assert.equal(queries[0].device, 'device-a');
+  assert.equal(queries[0].userId, '5');
+  assert.equal(queries[1].device, undefined);
+  assert.equal(queries[1].deviceIp, '10.0.0.9');
+});
\ No newline at end of file
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveShift, scheduleFor, evaluateShiftDay } = require('../services/shiftEvaluation');
+
+const dayShift = {
+  startTime: '09:00',
+  endTime: '17:00',
+  timeZone: 'UTC',
+  breakRules: { breakMinutes: 60, autoDeduct: true },
+  graceLateMinutes: 5,
+  graceEarlyMinutes: 5,
+  overtimeThresholdMinutes: 30
+};
+const punch = (iso, inferredPunchType) => ({ timestamp: new Date(iso), status: null, inferredPunchType });
+const afterwards = new Date('2026-03-04T00:00:00Z');
+
+test('a night shift ends on the next day', () => {
+  const schedule = scheduleFor({ ...dayShift, startTime: '22:00', endTime: '06:00' }, '2026-03-02');
+
+  assert.equal(schedule.start.toISOString(), '2026-03-02T22:00:00.000Z');
+  assert.equal(schedule.end.toISOString(), '2026-03-03T06:00:00.000Z');
+});
+
+test('arriving after the grace period is late', () => {
+  const schedule = scheduleFor(dayShift, '2026-03-02');
+  const result = evaluateShiftDay(dayShift, schedule, [
+    punch('2026-03-02T09:20:00Z', 'Check-in'),
+    punch('2026-03-02T17:00:00Z', 'Check-out')
+  ], afterwards);
+
+  assert.equal(result.status, 'present');
+  assert.equal(result.lateMinutes, 20);
+  assert.equal(result.earlyLeaveMinutes, 0);
+  assert.equal(result.workedMinutes, 400);
+  assert.equal(result.scheduledMinutes, 420);
+});
+
+test('a day without punches is absent once it is over', () => {
+  const schedule = scheduleFor(dayShift, '2026-03-02');
+
+  const during = evaluateShiftDay(dayShift, schedule, [], new Date('2026-03-02T10:00:00Z'));
+  assert.equal(during.status, 'not_arrived');
+  assert.equal(during.absent, false);
+
+  const after = evaluateShiftDay(dayShift, schedule, [], afterwards);
+  assert.equal(after.status, 'absent');
+  assert.equal(after.absence, 1);
+});
+
+test('a full day of leave excuses the absence', () => {
+  const schedule = scheduleFor(dayShift, '2026-03-02');
+  const result = evaluateShiftDay(dayShift, schedule, [], afterwards, { leave: { duration: 'full', type: 'annual' } });
+
+  assert.equal(result.status, 'leave');
+  assert.equal(result.absent, false);
+  assert.equal(result.scheduledMinutes, 0);
+});
+
+test('a half-day excuse halves the schedule and forgives lateness', () => {
+  const schedule = scheduleFor(dayShift, '2026-03-02');
+  const excuses = { leave: { duration: 'half', type: 'annual' } };
+
+  const worked = evaluateShiftDay(dayShift, schedule, [
+    punch('2026-03-02T13:00:00Z', 'Check-in'),
+    punch('2026-03-02T17:00:00Z', 'Check-out')
+  ], afterwards, excuses);
+  assert.equal(worked.scheduledMinutes, 210);
+  assert.equal(worked.lateMinutes, 0);
+
+  const missed = evaluateShiftDay(dayShift, schedule, [], afterwards, excuses);
+  assert.equal(missed.status, 'absent');
+  assert.equal(missed.absence, 0.5);
+});
+
+test('the missing check-out is only flagged once the shift is over', () => {
+  const schedule = scheduleFor(dayShift, '2026-03-02');
+  const punches = [punch('2026-03-02T09:00:00Z', 'Check-in')];
+
+  assert.ok(!evaluateShiftDay(dayShift, schedule, punches, new Date('2026-03-02T12:00:00Z')).flags.includes('missing_out'));
+  assert.ok(evaluateShiftDay(dayShift, schedule, punches, afterwards).flags.includes('missing_out'));
+});
+
+test('rosters pick the shift by weekday or by rotation', () => {
+  const shifts = new Map([['day', { _id: 'day' }], ['night', { _id: 'night' }], ['off', { _id: 'off', isActive: false }]]);
+  const weekly = { startDate: '2026-01-01', pattern: 'weekly', shift: 'day', workDays: [1, 2, 3, 4, 5] };
+  const rotating = { startDate: '2026-03-01', pattern: 'rotating', cycle: ['day', 'night', null, 'off'] };
+
+  // 2026-02-28 is a Saturday, 2026-03-02 a Monday
+  assert.equal(resolveShift([weekly], shifts, '2026-02-28').shift, null);
+  assert.equal(resolveShift([weekly], shifts, '2026-02-27').shift._id, 'day');
+
+  // The latest roster starting on or before the day wins
+  const days = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05'];
+  assert.deepEqual(days.map(date => {
+    const { shift } = resolveShift([weekly, rotating], shifts, date);
+    return shift && shift._id;
+  }), ['day', 'night', null, null, 'day']);
+
+  assert.deepEqual(resolveShift([rotating], shifts, '2025-12-31'), { roster: null, shift: null });
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToInstant,
+  deviceTimeToInstant,
+  instantToDeviceTime,
+  formatDateInZone
+} = require('../services/timeZone');
+
+const wallClock = (day, hour, minute = 0) => ({ year: 2026, month: 3, day, hour, minute });
+
+test('a wall clock is placed on the right side of a DST change', () => {
+  // Europe/Berlin moves from UTC+1 to UTC+2 at 02:00 on 29 March 2026
+  assert.equal(zonedTimeToInstant(wallClock(28, 12), 'Europe/Berlin').toISOString(), '2026-03-28T11:00:00.000Z');
+  assert.equal(zonedTimeToInstant(wallClock(29, 1, 30), 'Europe/Berlin').toISOString(), '2026-03-29T00:30:00.000Z');
+  assert.equal(zonedTimeToInstant(wallClock(29, 3, 30), 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.equal(zonedTimeToInstant(wallClock(30, 12), 'Europe/Berlin').toISOString(), '2026-03-30T10:00:00.000Z');
+
+  // New York moved to UTC-4 on 8 March 2026
+  assert.equal(zonedTimeToInstant(wallClock(7, 9), 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+  assert.equal(zonedTimeToInstant(wallClock(9, 9), 'America/New_York').toISOString(), '2026-03-09T13:00:00.000Z');
+});
+
+test('an instant reads back as the wall clock it was built from', () => {
+  for (const timeZone of ['UTC', 'Asia/Kolkata', 'America/Los_Angeles', 'Pacific/Chatham']) {
+    const instant = zonedTimeToInstant({ year: 2026, month: 10, day: 19, hour: 23, minute: 45, second: 30 }, timeZone);
+    const parts = getZonedParts(instant, timeZone);
+    assert.deepEqual([parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second], [2026, 10, 19, 23, 45, 30], timeZone);
+  }
+});
+
+test('the date of an instant depends on the zone', () => {
+  const instant = new Date('2026-03-02T22:30:00Z');
+  assert.equal(formatDateInZone(instant, 'UTC'), '2026-03-02');
+  assert.equal(formatDateInZone(instant, 'Asia/Tokyo'), '2026-03-03');
+  assert.equal(formatDateInZone(instant, 'America/Chicago'), '2026-03-02');
+});
+
+test('device times round-trip through the server zone', () => {
+  // The device library reports the terminal's 08:15 as a server-zone Date
+  const reported = new Date(2026, 2, 2, 8, 15, 0);
+  const instant = deviceTimeToInstant(reported, 'Asia/Dubai');
+  assert.equal(formatDateInZone(instant, 'Asia/Dubai'), '2026-03-02');
+  assert.equal(getZonedParts(instant, 'Asia/Dubai').hour, 8);
+  assert.equal(instantToDeviceTime(instant, 'Asia/Dubai').getTime(), reported.getTime());
+
+  assert.equal(deviceTimeToInstant(reported, null), reported);
+});
+
+test('only IANA zone names are valid', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDay, buildTimesheets, validateDateRange, FLAGS } = require('../services/timesheet');
+
+const punch = (iso, inferredPunchType) => ({ timestamp: new Date(iso), status: null, inferredPunchType });
+
+test('a day with a break counts the time worked without it', () => {
+  const day = buildDay([
+    punch('2026-03-02T09:00:00Z', 'Check-in'),
+    punch('2026-03-02T12:00:00Z', 'Break-out'),
+    punch('2026-03-02T12:30:00Z', 'Break-in'),
+    punch('2026-03-02T17:00:00Z', 'Check-out')
+  ]);
+
+  assert.equal(day.firstIn.toISOString(), '2026-03-02T09:00:00.000Z');
+  assert.equal(day.lastOut.toISOString(), '2026-03-02T17:00:00.000Z');
+  assert.equal(day.breakMinutes, 30);
+  assert.equal(day.workedMinutes, 450);
+  assert.deepEqual(day.flags, []);
+});
+
+test('duplicates are left out of the day', () => {
+  const day = buildDay([
+    punch('2026-03-02T09:00:00Z', 'Check-in'),
+    punch('2026-03-02T09:00:20Z', 'Duplicate'),
+    punch('2026-03-02T17:00:00Z', 'Check-out'),
+    punch('2026-03-02T17:00:40Z', 'Duplicate')
+  ]);
+
+  assert.equal(day.punchCount, 2);
+  assert.equal(day.lastOut.toISOString(), '2026-03-02T17:00:00.000Z');
+  assert.equal(day.workedMinutes, 480);
+});
+
+test('a day without a check-out is flagged and counts no time', () => {
+  const day = buildDay([punch('2026-03-02T09:00:00Z', 'Check-in'), punch('2026-03-02T12:00:00Z', 'Break-out')]);
+
+  assert.equal(day.lastOut, null);
+  assert.equal(day.workedMinutes, 0);
+  assert.deepEqual(day.flags.sort(), [FLAGS.MISSING_BREAK_IN, FLAGS.MISSING_OUT].sort());
+});
+
+test('a day starting with a check-out is missing its check-in', () => {
+  const day = buildDay([punch('2026-03-02T17:00:00Z', 'Check-out')]);
+
+  assert.equal(day.firstIn, null);
+  assert.deepEqual(day.flags, [FLAGS.MISSING_IN]);
+});
+
+test('punches are grouped into days of the punch zone', () => {
+  const punches = [
+    { userId: '7', source: 'poll', timestamp: new Date('2026-03-02T20:00:00Z'), inferredPunchType: 'Check-in' },
+    { userId: '7', source: 'poll', timestamp: new Date('2026-03-02T23:30:00Z'), inferredPunchType: 'Check-out' }
+  ];
+
+  const utc = buildTimesheets(punches, () => 'UTC');
+  assert.deepEqual(utc.map(({ empCode, date, workedMinutes }) => ({ empCode, date, workedMinutes })), [
+    { empCode: '7', date: '2026-03-02', workedMinutes: 210 }
+  ]);
+
+  // 00:00 to 03:30 the next day in Dubai
+  const dubai = buildTimesheets(punches, () => 'Asia/Dubai');
+  assert.deepEqual(dubai.map(({ date, workedMinutes }) => ({ date, workedMinutes })), [
+    { date: '2026-03-03', workedMinutes: 210 }
+  ]);
+
+  // 23:00 to 02:30 in Moscow: each day keeps one side
+  const moscow = buildTimesheets(punches, () => 'Europe/Moscow');
+  assert.deepEqual(moscow.map(({ date, flags }) => ({ date, flags })), [
+    { date: '2026-03-02', flags: [FLAGS.MISSING_OUT] },
+    { date: '2026-03-03', flags: [FLAGS.MISSING_IN] }
+  ]);
+});
+
+test('date ranges must be valid, ordered and bounded', () => {
+  assert.equal(validateDateRange('2026-03-01', '2026-03-31'), null);
+  assert.equal(validateDateRange('2026-03-01', undefined), 'startDate and endDate are required as YYYY-MM-DD');
+  assert.equal(validateDateRange('2026-03-31', '2026-03-01'), 'startDate must not be after endDate');
+  assert.equal(validateDateRange('2026-01-01', '2026-12-31'), 'Date range cannot exceed 93 days');
+  assert.equal(validateDateRange('2026-01-01', '2026-12-31', 366), null);
+});
\ No newline at end of file
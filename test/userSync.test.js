@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planUserSync } = require('../services/userSync');
+
+const employee = (empCode, deviceUsers, isActive = true) => ({ _id: `id-${empCode}`, empCode, name: `Employee ${empCode}`, isActive, deviceUsers });
+const user = (uid, userId, extra = {}) => ({ uid, userId, name: `Employee E${userId}`, role: 0, password: '', cardno: 0, ...extra });
+
+test('an employee missing from a device is added with the uid and badge they have elsewhere', () => {
+  const plan = planUserSync([
+    { deviceId: 'a', deviceName: 'Gate', users: [user(7, '1', { cardno: 4242 })] },
+    { deviceId: 'b', deviceName: 'Yard', users: [] }
+  ], [employee('E1', [{ userId: '1' }])]);
+
+  assert.equal(plan.summary.add, 1);
+  assert.deepEqual(plan.devices[1].add[0], {
+    userId: '1', name: 'Employee E1', role: 0, password: '', cardno: 4242, uid: 7, empCode: 'E1', employeeId: 'id-E1'
+  });
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('a taken uid is reported and the employee gets a free slot', () => {
+  const plan = planUserSync([
+    { deviceId: 'a', deviceName: 'Gate', users: [user(1, '1')] },
+    { deviceId: 'b', deviceName: 'Yard', users: [user(1, '9')] }
+  ], [employee('E1', [{ userId: '1' }])]);
+
+  assert.equal(plan.devices[1].add[0].uid, 2);
+  assert.deepEqual(plan.conflicts.map(conflict => conflict.type), ['uid', 'uid']);
+  assert.deepEqual(plan.unmapped.map(({ userId }) => userId), ['9']);
+});
+
+test('differing details are updated and inactive employees removed', () => {
+  const plan = planUserSync([
+    { deviceId: 'a', deviceName: 'Gate', users: [user(1, '1', { name: 'Old name' }), user(2, '2')] }
+  ], [employee('E1', [{ userId: '1' }]), employee('E2', [{ userId: '2' }], false)]);
+
+  assert.deepEqual(plan.devices[0].update.map(({ userId, changes }) => ({ userId, changes })), [{ userId: '1', changes: ['name'] }]);
+  assert.deepEqual(plan.devices[0].remove.map(({ userId, reason }) => ({ userId, reason })), [{ userId: '2', reason: 'Employee is inactive' }]);
+});
+
+test('a user id mapped to someone else on the device is a conflict', () => {
+  const plan = planUserSync([
+    { deviceId: 'a', deviceName: 'Gate', users: [user(1, '1')] },
+    { deviceId: 'b', deviceName: 'Yard', users: [] }
+  ], [employee('E1', [{ userId: '1' }]), employee('E2', [{ device: 'b', userId: '1' }])]);
+
+  assert.deepEqual(plan.devices[1].add.map(({ empCode }) => empCode), ['E2']);
+  assert.equal(plan.conflicts.length, 1);
+  assert.equal(plan.conflicts[0].type, 'userId');
+  assert.equal(plan.conflicts[0].deviceId, 'b');
+});
+
+test('a badge above 65535 is reported instead of written', () => {
+  const plan = planUserSync([
+    { deviceId: 'a', deviceName: 'Gate', users: [user(1, '1', { cardno: 70000 }), user(2, '2', { cardno: 70001, name: 'Old name' })] },
+    { deviceId: 'b', deviceName: 'Yard', users: [] }
+  ], [employee('E1', [{ userId: '1' }]), employee('E2', [{ userId: '2' }])]);
+
+  assert.equal(plan.summary.add, 0);
+  assert.equal(plan.summary.update, 0);
+  assert.deepEqual(
+    plan.conflicts.map(({ type, deviceId, userId, cardno }) => ({ type, deviceId, userId, cardno })),
+    [
+      { type: 'cardno', deviceId: 'b', userId: '1', cardno: 70000 },
+      { type: 'cardno', deviceId: 'a', userId: '2', cardno: 70001 },
+      { type: 'cardno', deviceId: 'b', userId: '2', cardno: 70001 }
+    ]
+  );
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { validateAuth, signContent, applyAuth, redactAuth, restoreSecrets } = require('../services/webhookAuth');
+
+const post = { url: 'https://hr.example/punch', method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"emp_code":"E042"}' };
+
+test('the signature is an HMAC-SHA256 of the timestamp and the content', () => {
+  const expected = crypto.createHmac('sha256', 's3cret').update('1772442000.{"a":1}').digest('hex');
+  assert.equal(signContent('s3cret', 1772442000, '{"a":1}'), expected);
+});
+
+test('hmac auth signs the body of a POST and the query of a GET', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1772442000500 });
+
+  const signed = applyAuth({ type: 'hmac', secret: 's3cret' }, post);
+  assert.equal(signed.headers['X-Timestamp'], '1772442000');
+  assert.equal(signed.headers['X-Signature'], `sha256=${signContent('s3cret', 1772442000, post.body)}`);
+  assert.equal(signed.headers['Content-Type'], 'application/json');
+  assert.equal(post.headers['X-Signature'], undefined);
+
+  const get = { url: 'https://hr.example/punch?emp_code=E042&t=1', method: 'GET', headers: {} };
+  const signedGet = applyAuth({ type: 'hmac', secret: 's3cret', signatureHeader: 'X-Sig', timestampHeader: 'X-Ts' }, get);
+  assert.equal(signedGet.headers['X-Sig'], `sha256=${signContent('s3cret', 1772442000, 'emp_code=E042&t=1')}`);
+  assert.equal(signedGet.headers['X-Ts'], '1772442000');
+});
+
+test('bearer, basic and API key auth set their headers', () => {
+  assert.equal(applyAuth({ type: 'bearer', token: 'abc' }, post).headers.Authorization, 'Bearer abc');
+  assert.equal(applyAuth({ type: 'basic', username: 'hr', password: 'pw' }, post).headers.Authorization, `Basic ${Buffer.from('hr:pw').toString('base64')}`);
+  assert.equal(applyAuth({ type: 'apiKey', headerName: 'X-Api-Key', apiKey: 'k' }, post).headers['X-Api-Key'], 'k');
+  assert.deepEqual(applyAuth(null, post).headers, post.headers);
+});
+
+test('missing fields are listed per auth type', () => {
+  assert.deepEqual(validateAuth({ type: 'basic', username: 'hr' }), ['auth.password is required for basic auth']);
+  assert.deepEqual(validateAuth({ type: 'digest' }), ['auth.type must be one of none, bearer, basic, apiKey, hmac']);
+  assert.deepEqual(validateAuth(undefined), []);
+});
+
+test('secrets are masked on the way out and restored when echoed back', () => {
+  const stored = { type: 'hmac', secret: 's3cret', signatureHeader: 'X-Sig' };
+  const redacted = redactAuth(stored);
+  assert.equal(redacted.secret, '********');
+  assert.equal(redacted.signatureHeader, 'X-Sig');
+
+  assert.equal(restoreSecrets(redacted, stored).secret, 's3cret');
+  assert.equal(restoreSecrets({ ...redacted, secret: 'new' }, stored).secret, 'new');
+});
\ No newline at end of file